@@ -0,0 +1,227 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import aes from "aes-js";
+import { AccountError, DecryptionError, InvalidPublicKeyError } from "./Errors";
+
+// ECIES over secp256k1
+//
+// Envelope (all binary fields are 0x-prefixed hex):
+//  {
+//    version: 1,
+//    scheme: "ecies-secp256k1-aes-256-cbc-hmac-sha256",
+//    ephemeralPublicKey: uncompressed public key (65 bytes),
+//    iv: 16 bytes,
+//    ciphertext: AES-256-CBC with PKCS#7 padding,
+//    mac: HMAC-SHA256 over iv || ephemeralPublicKey || ciphertext (32 bytes)
+//  }
+//
+// The shared secret is the x coordinate of the ECDH point between a random
+// ephemeral key and the recipient key. The AES and MAC keys are the two
+// blocks of the concat KDF (NIST SP 800-56A) with SHA-256:
+//  encryptionKey = sha256(0x00000001 || sharedSecret)
+//  macKey = sha256(0x00000002 || sharedSecret)
+
+const VERSION = 1;
+const SCHEME = "ecies-secp256k1-aes-256-cbc-hmac-sha256";
+const HMAC_BLOCK_SIZE = 64;
+
+const { arrayify, concat, hexlify, sha256, SigningKey } = ethers.utils;
+
+// Public keys of other accounts, learned from addKnownPublicKey()
+const knownPublicKeys = new Map();
+
+const hmacSha256 = (key, data) => {
+  let keyBytes = arrayify(key);
+  if (keyBytes.length > HMAC_BLOCK_SIZE) keyBytes = arrayify(sha256(keyBytes));
+
+  const innerKey = new Uint8Array(HMAC_BLOCK_SIZE);
+  const outerKey = new Uint8Array(HMAC_BLOCK_SIZE);
+  for (let i = 0; i < HMAC_BLOCK_SIZE; i++) {
+    const byte = i < keyBytes.length ? keyBytes[i] : 0;
+    innerKey[i] = byte ^ 0x36;
+    outerKey[i] = byte ^ 0x5c;
+  }
+
+  const inner = sha256(concat([innerKey, data]));
+  return sha256(concat([outerKey, inner]));
+};
+
+const deriveKeys = sharedSecret => {
+  const block = counter =>
+    arrayify(sha256(concat([[0, 0, 0, counter], sharedSecret])));
+
+  return { encryptionKey: block(1), macKey: block(2) };
+};
+
+// Note: Avoids leaking where the MACs differ through timing
+const isEqual = (a, b) => {
+  const aBytes = arrayify(a);
+  const bBytes = arrayify(b);
+  if (aBytes.length !== bBytes.length) return false;
+
+  let difference = 0;
+  for (let i = 0; i < aBytes.length; i++) difference |= aBytes[i] ^ bBytes[i];
+  return difference === 0;
+};
+
+const getMac = (macKey, iv, ephemeralPublicKey, ciphertext) => {
+  return hmacSha256(macKey, concat([iv, ephemeralPublicKey, ciphertext]));
+};
+
+const toPublicKey = publicKey => {
+  try {
+    return ethers.utils.computePublicKey(publicKey);
+  } catch (error) {
+    throw new InvalidPublicKeyError(`Invalid public key`);
+  }
+};
+
+const toBytes = data => {
+  if (typeof data === "string") return ethers.utils.toUtf8Bytes(data);
+  if (data instanceof Uint8Array) return data;
+  throw new AccountError(`Data to encrypt should be a string or bytes`);
+};
+
+// Returns the uncompressed public key (65 bytes) of the wallet
+export const getPublicKey = wallet => {
+  if (!wallet || typeof wallet.privateKey !== "string")
+    throw new AccountError(`Cannot get the public key without a wallet`);
+
+  return new SigningKey(wallet.privateKey).publicKey;
+};
+
+// Returns the public key of the account that signed the message
+export const recoverPublicKey = (message, signature) => {
+  try {
+    return ethers.utils.recoverPublicKey(
+      ethers.utils.hashMessage(message),
+      signature
+    );
+  } catch (error) {
+    throw new InvalidPublicKeyError(`Cannot recover a public key`);
+  }
+};
+
+// Remembers the public key, so data can be encrypted for its address
+// Returns the address
+export const addKnownPublicKey = publicKey => {
+  const uncompressed = toPublicKey(publicKey);
+  const address = ethers.utils.computeAddress(uncompressed);
+  knownPublicKeys.set(address, uncompressed);
+  return address;
+};
+
+export const getKnownPublicKey = address => {
+  try {
+    return knownPublicKeys.get(ethers.utils.getAddress(address));
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// `recipient` is a public key or an address with a known public key
+// `data` is a string or bytes
+export const encryptFor = (recipient, data) => {
+  let publicKey;
+  if (typeof recipient === "string" && /^0x[0-9A-Fa-f]{40}$/.test(recipient)) {
+    publicKey = getKnownPublicKey(recipient);
+    if (!publicKey)
+      throw new InvalidPublicKeyError(
+        `Unknown public key for address ${recipient}`
+      );
+  } else {
+    publicKey = toPublicKey(recipient);
+  }
+
+  const plaintext = toBytes(data);
+
+  const ephemeralKey = new SigningKey(ethers.utils.randomBytes(32));
+  const sharedSecret = ephemeralKey.computeSharedSecret(publicKey);
+  const { encryptionKey, macKey } = deriveKeys(sharedSecret);
+
+  const iv = ethers.utils.randomBytes(16);
+  const aesCbc = new aes.ModeOfOperation.cbc(encryptionKey, iv);
+  const ciphertext = aesCbc.encrypt(aes.padding.pkcs7.pad(plaintext));
+
+  const { publicKey: ephemeralPublicKey } = ephemeralKey;
+
+  return {
+    version: VERSION,
+    scheme: SCHEME,
+    ephemeralPublicKey,
+    iv: hexlify(iv),
+    ciphertext: hexlify(ciphertext),
+    mac: getMac(macKey, iv, ephemeralPublicKey, ciphertext),
+  };
+};
+
+// `payload` is the envelope returned by encryptFor() or its JSON
+// Options:
+//  - encoding: "utf8" (default) or "bytes"
+export const decrypt = (wallet, payload, options = {}) => {
+  const { encoding = "utf8" } = options;
+
+  if (!wallet || typeof wallet.privateKey !== "string")
+    throw new AccountError(`Cannot decrypt without a wallet`);
+
+  let envelope = payload;
+  if (typeof payload === "string") {
+    try {
+      envelope = JSON.parse(payload);
+    } catch (error) {
+      throw new DecryptionError(`Encrypted payload is corrupt`);
+    }
+  }
+
+  if (
+    !envelope ||
+    envelope.version !== VERSION ||
+    envelope.scheme !== SCHEME ||
+    ![
+      envelope.ephemeralPublicKey,
+      envelope.iv,
+      envelope.ciphertext,
+      envelope.mac,
+    ].every(field => ethers.utils.isHexString(field))
+  )
+    throw new DecryptionError(`Unsupported encrypted payload`);
+
+  const { ephemeralPublicKey, iv, ciphertext, mac } = envelope;
+
+  let sharedSecret;
+  try {
+    const signingKey = new SigningKey(wallet.privateKey);
+    sharedSecret = signingKey.computeSharedSecret(ephemeralPublicKey);
+  } catch (error) {
+    throw new DecryptionError(`Encrypted payload is corrupt`);
+  }
+
+  const { encryptionKey, macKey } = deriveKeys(sharedSecret);
+
+  if (!isEqual(getMac(macKey, iv, ephemeralPublicKey, ciphertext), mac))
+    throw new DecryptionError(
+      `Encrypted payload was tampered with or isn't for this account`
+    );
+
+  let plaintext;
+  try {
+    const aesCbc = new aes.ModeOfOperation.cbc(encryptionKey, arrayify(iv));
+    plaintext = aes.padding.pkcs7.strip(aesCbc.decrypt(arrayify(ciphertext)));
+  } catch (error) {
+    throw new DecryptionError(`Encrypted payload is corrupt`);
+  }
+
+  if (encoding === "bytes") return plaintext;
+  return ethers.utils.toUtf8String(plaintext);
+};
+
+export default {
+  getPublicKey,
+  recoverPublicKey,
+  addKnownPublicKey,
+  getKnownPublicKey,
+  encryptFor,
+  decrypt,
+};
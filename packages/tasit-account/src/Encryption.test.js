@@ -0,0 +1,165 @@
+import Account, {
+  AccountError,
+  DecryptionError,
+  InvalidPublicKeyError,
+} from "./TasitAccount";
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+const privateKey =
+  "0x11d943d7649fbdeb146dc57bd9cfc80b086bfab2330c7b25651dbaf382392f60";
+
+// Flips one bit of a hex field
+const tamper = hex => {
+  const bytes = ethers.utils.arrayify(hex);
+  bytes[bytes.length - 1] ^= 1;
+  return ethers.utils.hexlify(bytes);
+};
+
+describe("Account - encryption", function() {
+  let wallet, publicKey;
+
+  beforeEach("create wallet", async function() {
+    wallet = Account.fromPrivateKey(privateKey);
+    publicKey = Account.getPublicKey(wallet);
+  });
+
+  describe("public keys", function() {
+    it("should get the public key of a wallet", async function() {
+      expect(publicKey).to.match(/^0x04[0-9a-f]{128}$/);
+      expect(ethers.utils.computeAddress(publicKey)).to.equal(wallet.address);
+    });
+
+    it("should recover the public key from a signed message", async function() {
+      const signature = await Account.signMessage(wallet, "Hello World!");
+      const recovered = Account.recoverPublicKey("Hello World!", signature);
+      expect(recovered).to.equal(publicKey);
+    });
+
+    it("should not get the public key without a wallet", async function() {
+      expect(() => Account.getPublicKey()).to.throw(AccountError);
+    });
+  });
+
+  describe("encryption", function() {
+    it("should round trip a string", async function() {
+      const payload = Account.encryptFor(publicKey, "Private offer: 10 MANA");
+
+      expect(payload.version).to.equal(1);
+      expect(payload.scheme).to.equal(
+        "ecies-secp256k1-aes-256-cbc-hmac-sha256"
+      );
+      expect(payload.ephemeralPublicKey).to.match(/^0x04[0-9a-f]{128}$/);
+      expect(payload.iv).to.match(/^0x[0-9a-f]{32}$/);
+      expect(payload.mac).to.match(/^0x[0-9a-f]{64}$/);
+
+      expect(Account.decrypt(wallet, payload)).to.equal(
+        "Private offer: 10 MANA"
+      );
+    });
+
+    it("should round trip bytes", async function() {
+      const data = ethers.utils.randomBytes(100);
+      const payload = Account.encryptFor(publicKey, data);
+      const decrypted = Account.decrypt(wallet, payload, { encoding: "bytes" });
+      expect(ethers.utils.hexlify(decrypted)).to.equal(
+        ethers.utils.hexlify(data)
+      );
+    });
+
+    it("should round trip the JSON form", async function() {
+      const json = JSON.stringify(Account.encryptFor(publicKey, "notes"));
+      expect(Account.decrypt(wallet, json)).to.equal("notes");
+    });
+
+    it("should encrypt for a compressed public key", async function() {
+      const compressed = ethers.utils.computePublicKey(publicKey, true);
+      const payload = Account.encryptFor(compressed, "notes");
+      expect(Account.decrypt(wallet, payload)).to.equal("notes");
+    });
+
+    it("should encrypt for an address with a known public key", async function() {
+      const other = Account.create();
+      const otherPublicKey = Account.getPublicKey(other);
+
+      expect(() => Account.encryptFor(other.address, "notes")).to.throw(
+        InvalidPublicKeyError
+      );
+
+      const address = Account.addKnownPublicKey(otherPublicKey);
+      expect(address).to.equal(other.address);
+
+      const payload = Account.encryptFor(other.address.toLowerCase(), "notes");
+      expect(Account.decrypt(other, payload)).to.equal("notes");
+    });
+
+    it("should use a new ephemeral key each time", async function() {
+      const first = Account.encryptFor(publicKey, "notes");
+      const second = Account.encryptFor(publicKey, "notes");
+      expect(first.ephemeralPublicKey).not.to.equal(second.ephemeralPublicKey);
+      expect(first.ciphertext).not.to.equal(second.ciphertext);
+    });
+
+    it("should reject an invalid public key", async function() {
+      expect(() => Account.encryptFor("0x1234", "notes")).to.throw(
+        InvalidPublicKeyError
+      );
+    });
+
+    it("should reject invalid data", async function() {
+      expect(() => Account.encryptFor(publicKey, { a: 1 })).to.throw(
+        AccountError
+      );
+    });
+  });
+
+  describe("decryption failures", function() {
+    let payload;
+
+    beforeEach("encrypt", async function() {
+      payload = Account.encryptFor(publicKey, "Private offer: 10 MANA");
+    });
+
+    ["ciphertext", "iv", "mac"].forEach(field => {
+      it(`should reject a tampered ${field}`, async function() {
+        const tampered = Object.assign({}, payload, {
+          [field]: tamper(payload[field]),
+        });
+        expect(() => Account.decrypt(wallet, tampered)).to.throw(
+          DecryptionError
+        );
+      });
+    });
+
+    it("should reject a tampered ephemeral public key", async function() {
+      const ephemeralPublicKey = Account.getPublicKey(Account.create());
+      const tampered = Object.assign({}, payload, { ephemeralPublicKey });
+      expect(() => Account.decrypt(wallet, tampered)).to.throw(DecryptionError);
+    });
+
+    it("should reject a truncated ciphertext", async function() {
+      const tampered = Object.assign({}, payload, {
+        ciphertext: payload.ciphertext.slice(0, -32),
+      });
+      expect(() => Account.decrypt(wallet, tampered)).to.throw(DecryptionError);
+    });
+
+    it("should not decrypt with another account", async function() {
+      expect(() => Account.decrypt(Account.create(), payload)).to.throw(
+        DecryptionError
+      );
+    });
+
+    it("should reject an unsupported payload", async function() {
+      expect(() => Account.decrypt(wallet, "not json")).to.throw(
+        DecryptionError
+      );
+      expect(() =>
+        Account.decrypt(wallet, Object.assign({}, payload, { version: 2 }))
+      ).to.throw(DecryptionError);
+      expect(() =>
+        Account.decrypt(wallet, Object.assign({}, payload, { mac: undefined }))
+      ).to.throw(DecryptionError);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+// Typed errors thrown by tasit-account
+// Note: Messages never include key material (private keys, mnemonics, passwords)
+// so they are safe to log or to show to the user
+export class AccountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+export class InvalidPrivateKeyError extends AccountError {}
+
+export class InvalidMnemonicError extends AccountError {}
+
+export class InvalidPathError extends AccountError {}
+
+export class InvalidKeystoreError extends AccountError {}
+
+export class WrongPasswordError extends AccountError {}
+
+export class KeystoreNotFoundError extends AccountError {}
+
+export class UnsupportedFormatError extends AccountError {}
+
+export class InvalidTypedDataError extends AccountError {}
+
+export class InvalidSignatureError extends AccountError {}
+
+export class InvalidPublicKeyError extends AccountError {}
+
+export class DecryptionError extends AccountError {}
+
+export class InvalidShareError extends AccountError {}
+
+export class NotEnoughSharesError extends AccountError {}
+
+export class MismatchedSharesError extends AccountError {}
+
+// `reason` is one of: invalidChallenge, invalidMessage, invalidSignature,
+// addressMismatch, domainMismatch, chainMismatch, notYetValid, expired, replayedNonce
+export class LoginError extends AccountError {
+  constructor(message, reason) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+export default {
+  AccountError,
+  InvalidPrivateKeyError,
+  InvalidMnemonicError,
+  InvalidPathError,
+  InvalidKeystoreError,
+  WrongPasswordError,
+  KeystoreNotFoundError,
+  UnsupportedFormatError,
+  InvalidTypedDataError,
+  InvalidSignatureError,
+  InvalidPublicKeyError,
+  DecryptionError,
+  InvalidShareError,
+  NotEnoughSharesError,
+  MismatchedSharesError,
+  LoginError,
+};
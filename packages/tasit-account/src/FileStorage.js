@@ -0,0 +1,49 @@
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const unlink = promisify(fs.unlink);
+const mkdir = promisify(fs.mkdir);
+
+const filePath = (directory, key) => {
+  return path.join(directory, `${encodeURIComponent(key)}.json`);
+};
+
+// Node-only storage adapter that keeps each item in its own file
+// Note: Import it from "tasit-account/dist/FileStorage", it isn't part of
+// the main entry point because React Native can't resolve `fs`
+export class FileStorage {
+  constructor(directory) {
+    if (!directory || typeof directory !== "string")
+      throw new Error(`Cannot create a FileStorage without a directory`);
+
+    this.directory = directory;
+  }
+
+  async getItem(key) {
+    try {
+      return await readFile(filePath(this.directory, key), "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async setItem(key, value) {
+    await mkdir(this.directory, { recursive: true });
+    // Only the owner should be able to read a keystore file
+    await writeFile(filePath(this.directory, key), value, { mode: 0o600 });
+  }
+
+  async removeItem(key) {
+    try {
+      await unlink(filePath(this.directory, key));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+}
+
+export default FileStorage;
@@ -0,0 +1,151 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import { InvalidMnemonicError, InvalidPathError } from "./Errors";
+
+const { HDNode } = ethers.utils;
+
+const MNEMONIC_LENGTHS = [12, 15, 18, 21, 24];
+
+// BIP-44 path for Ethereum accounts, without the address index
+// Derived accounts live at `${basePath}/${index}`
+export const DEFAULT_BASE_PATH = "m/44'/60'/0'/0";
+
+const isValidPath = path => {
+  return typeof path === "string" && /^m(\/\d+'?)*$/.test(path);
+};
+
+const isValidIndex = index => {
+  return Number.isInteger(index) && index >= 0 && index < 0x80000000;
+};
+
+// Generates a new 12-word (128 bits of entropy) BIP-39 mnemonic
+export const generateMnemonic = () => {
+  const entropy = ethers.utils.randomBytes(16);
+  return HDNode.entropyToMnemonic(entropy);
+};
+
+export const isValidMnemonic = phrase => {
+  return typeof phrase === "string" && HDNode.isValidMnemonic(phrase);
+};
+
+export const normalizeMnemonic = mnemonic => {
+  if (typeof mnemonic !== "string")
+    throw new InvalidMnemonicError(`Mnemonic should be a string`);
+
+  return mnemonic
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .join(" ");
+};
+
+// Note: Only the count of bad words is reported, the words themselves are secret
+export const validateMnemonic = mnemonic => {
+  const phrase = normalizeMnemonic(mnemonic);
+  const words = phrase.split(" ");
+
+  if (!MNEMONIC_LENGTHS.includes(words.length))
+    throw new InvalidMnemonicError(
+      `Mnemonic should have ${MNEMONIC_LENGTHS.join(", ")} words`
+    );
+
+  const { en: wordlist } = ethers.wordlists;
+  const unknownWords = words.filter(word => wordlist.getWordIndex(word) === -1);
+
+  if (unknownWords.length > 0)
+    throw new InvalidMnemonicError(
+      `Mnemonic has ${unknownWords.length} word(s) not in the BIP-39 wordlist`
+    );
+
+  if (!ethers.utils.HDNode.isValidMnemonic(phrase))
+    throw new InvalidMnemonicError(`Mnemonic checksum is invalid`);
+
+  return phrase;
+};
+
+const toWallet = node => {
+  // Note: Creating the wallet from the private key only (instead of using the HD node)
+  // makes sure the mnemonic isn't exposed as a property of the wallet
+  return new ethers.Wallet(node.privateKey);
+};
+
+// Creates the wallet at the given full path (default: m/44'/60'/0'/0/0)
+export const fromMnemonic = (phrase, path = HDNode.defaultPath) => {
+  const mnemonic = validateMnemonic(phrase);
+
+  if (!isValidPath(path))
+    throw new InvalidPathError(`Invalid derivation path '${path}'`);
+
+  const node = HDNode.fromMnemonic(mnemonic).derivePath(path);
+  return toWallet(node);
+};
+
+// Creates an HD account that derives one wallet per index under `basePath`
+// The mnemonic is kept private, use exportMnemonic() to back it up
+export const createHDAccount = (phrase, basePath = DEFAULT_BASE_PATH) => {
+  const mnemonic = validateMnemonic(phrase);
+
+  if (!isValidPath(basePath))
+    throw new InvalidPathError(`Invalid derivation path '${basePath}'`);
+
+  const baseNode = HDNode.fromMnemonic(mnemonic).derivePath(basePath);
+
+  const getPath = index => {
+    if (!isValidIndex(index))
+      throw new InvalidPathError(`Invalid account index`);
+    return `${basePath}/${index}`;
+  };
+
+  const deriveWallet = index => {
+    if (!isValidIndex(index))
+      throw new InvalidPathError(`Invalid account index`);
+    return toWallet(baseNode.derivePath(`${index}`));
+  };
+
+  const getAddress = index => {
+    if (!isValidIndex(index))
+      throw new InvalidPathError(`Invalid account index`);
+    return baseNode.derivePath(`${index}`).address;
+  };
+
+  const getAddresses = (count, start = 0) => {
+    if (!Number.isInteger(count) || count < 0)
+      throw new InvalidPathError(`Invalid number of addresses`);
+
+    const addresses = [];
+    for (let index = start; index < start + count; index++) {
+      addresses.push(getAddress(index));
+    }
+    return addresses;
+  };
+
+  const exportMnemonic = () => {
+    return mnemonic;
+  };
+
+  return {
+    basePath,
+    getPath,
+    deriveWallet,
+    getAddress,
+    getAddresses,
+    exportMnemonic,
+  };
+};
+
+// Creates an HD account from a newly generated mnemonic
+export const createRandomHDAccount = (basePath = DEFAULT_BASE_PATH) => {
+  return createHDAccount(generateMnemonic(), basePath);
+};
+
+export default {
+  DEFAULT_BASE_PATH,
+  generateMnemonic,
+  isValidMnemonic,
+  validateMnemonic,
+  fromMnemonic,
+  createHDAccount,
+  createRandomHDAccount,
+};
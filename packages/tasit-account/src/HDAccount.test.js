@@ -0,0 +1,123 @@
+import Account from "./TasitAccount";
+import { expect } from "chai";
+
+// Test vector from the ethers.js docs
+const mnemonic =
+  "radar blur cabbage chef fix engine embark joy scheme fiction master release";
+const firstAddress = "0xaC39b311DCEb2A4b2f5d8461c1cdaF756F4F7Ae9";
+
+describe("Account - HD mnemonic accounts", function() {
+  describe("mnemonic generation and validation", function() {
+    it("should generate a valid 12-word mnemonic", async function() {
+      const phrase = Account.generateMnemonic();
+      expect(phrase.split(" ")).to.have.lengthOf(12);
+      expect(Account.isValidMnemonic(phrase)).to.be.true;
+    });
+
+    it("should generate different mnemonics", async function() {
+      expect(Account.generateMnemonic()).not.to.equal(
+        Account.generateMnemonic()
+      );
+    });
+
+    it("should validate a mnemonic", async function() {
+      expect(Account.isValidMnemonic(mnemonic)).to.be.true;
+    });
+
+    it("should reject a mnemonic with a bad checksum", async function() {
+      const badChecksum = mnemonic.replace("release", "radar");
+      expect(Account.isValidMnemonic(badChecksum)).to.be.false;
+    });
+
+    it("should reject invalid mnemonics", async function() {
+      expect(Account.isValidMnemonic("not a mnemonic")).to.be.false;
+      expect(Account.isValidMnemonic("")).to.be.false;
+      expect(Account.isValidMnemonic()).to.be.false;
+    });
+  });
+
+  describe("fromMnemonic", function() {
+    it("should create the wallet at the default path", async function() {
+      const wallet = Account.fromMnemonic(mnemonic);
+      expect(wallet.address).to.equal(firstAddress);
+    });
+
+    it("should create the wallet at a custom path", async function() {
+      const wallet = Account.fromMnemonic(mnemonic, "m/44'/60'/0'/0/1");
+      const hdAccount = Account.createHDAccount(mnemonic);
+      expect(wallet.address).to.equal(hdAccount.getAddress(1));
+    });
+
+    it("should not expose the mnemonic on the wallet", async function() {
+      const wallet = Account.fromMnemonic(mnemonic);
+      expect(wallet.mnemonic).to.be.undefined;
+      expect(JSON.stringify(wallet)).not.to.include("radar");
+    });
+
+    it("should throw on invalid mnemonic or path", async function() {
+      expect(() => Account.fromMnemonic("not a mnemonic")).to.throw();
+      expect(() => Account.fromMnemonic(mnemonic, "44/60")).to.throw();
+    });
+  });
+
+  describe("HD account", function() {
+    let hdAccount;
+
+    beforeEach("create HD account", async function() {
+      hdAccount = Account.createHDAccount(mnemonic);
+    });
+
+    it("should derive indexed wallets under the BIP-44 path", async function() {
+      const wallet = hdAccount.deriveWallet(0);
+      expect(wallet.address).to.equal(firstAddress);
+      expect(hdAccount.getPath(3)).to.equal("m/44'/60'/0'/0/3");
+    });
+
+    it("should derive different wallets for different indexes", async function() {
+      const first = hdAccount.deriveWallet(0);
+      const second = hdAccount.deriveWallet(1);
+      expect(first.address).not.to.equal(second.address);
+      expect(second.address).to.equal(hdAccount.getAddress(1));
+    });
+
+    it("should enumerate derived addresses", async function() {
+      const addresses = hdAccount.getAddresses(3);
+      expect(addresses).to.have.lengthOf(3);
+      expect(addresses[0]).to.equal(firstAddress);
+
+      const moreAddresses = hdAccount.getAddresses(2, 2);
+      expect(moreAddresses).to.deep.equal([
+        addresses[2],
+        hdAccount.getAddress(3),
+      ]);
+    });
+
+    it("should use a configurable base path", async function() {
+      const otherAccount = Account.createHDAccount(mnemonic, "m/44'/60'/1'/0");
+      expect(otherAccount.basePath).to.equal("m/44'/60'/1'/0");
+      expect(otherAccount.getAddress(0)).not.to.equal(firstAddress);
+      expect(otherAccount.getAddress(0)).to.equal(
+        Account.fromMnemonic(mnemonic, "m/44'/60'/1'/0/0").address
+      );
+    });
+
+    it("should only expose the mnemonic through an explicit call", async function() {
+      expect(JSON.stringify(hdAccount)).not.to.include("radar");
+      expect(hdAccount.deriveWallet(0).mnemonic).to.be.undefined;
+      expect(hdAccount.exportMnemonic()).to.equal(mnemonic);
+    });
+
+    it("should throw on invalid index", async function() {
+      expect(() => hdAccount.deriveWallet(-1)).to.throw();
+      expect(() => hdAccount.deriveWallet(1.5)).to.throw();
+      expect(() => hdAccount.getAddress(2 ** 31)).to.throw();
+    });
+
+    it("should create a random HD account", async function() {
+      const randomAccount = Account.createRandomHDAccount();
+      expect(Account.isValidMnemonic(randomAccount.exportMnemonic())).to.be
+        .true;
+      expect(randomAccount.getAddress(0)).to.have.lengthOf(42);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import { fromMnemonic } from "./HDAccount";
+import { encryptKeystore, decryptKeystore } from "./Keystore";
+import { InvalidPrivateKeyError, UnsupportedFormatError } from "./Errors";
+
+const { bigNumberify } = ethers.utils;
+
+// Order of the secp256k1 curve, a private key must be in the range [1, n - 1]
+const SECP256K1_N = bigNumberify(
+  "0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141"
+);
+
+export const FORMATS = ["privateKey", "mnemonic", "json"];
+
+export const validatePrivateKey = privateKey => {
+  if (typeof privateKey !== "string")
+    throw new InvalidPrivateKeyError(`Private key should be a hex string`);
+
+  const hex = privateKey.startsWith("0x") ? privateKey : `0x${privateKey}`;
+
+  if (!/^0x[0-9A-Fa-f]{64}$/.test(hex))
+    throw new InvalidPrivateKeyError(`Private key should be 32 bytes of hex`);
+
+  const value = bigNumberify(hex);
+  if (value.isZero() || value.gte(SECP256K1_N))
+    throw new InvalidPrivateKeyError(`Private key is out of range`);
+
+  return hex.toLowerCase();
+};
+
+export const fromPrivateKey = privateKey => {
+  return new ethers.Wallet(validatePrivateKey(privateKey));
+};
+
+// Imports a wallet from one of the supported formats:
+//  - { privateKey }
+//  - { mnemonic, path } (path default: m/44'/60'/0'/0/0)
+//  - { json, password, progressCallback } (Web3 Secret Storage V3 keystore)
+export const importAccount = async (input = {}) => {
+  const {
+    privateKey,
+    mnemonic,
+    path,
+    json,
+    password,
+    progressCallback,
+  } = input;
+
+  const provided = FORMATS.filter(format => input[format] !== undefined);
+
+  if (provided.length !== 1)
+    throw new UnsupportedFormatError(
+      `Provide exactly one of: [${FORMATS}] to import an account`
+    );
+
+  if (privateKey !== undefined) return fromPrivateKey(privateKey);
+
+  if (mnemonic !== undefined) return fromMnemonic(mnemonic, path);
+
+  return decryptKeystore(json, password, { progressCallback });
+};
+
+// Exports an account in one of the supported formats:
+//  - "privateKey" => hex string
+//  - "mnemonic" => phrase (only for HD accounts, see createHDAccount())
+//  - "json" => Web3 Secret Storage V3 keystore, options: { password, progressCallback, scrypt }
+export const exportAccount = async (account, format, options = {}) => {
+  if (!FORMATS.includes(format))
+    throw new UnsupportedFormatError(
+      `Invalid export format, use: [${FORMATS}]`
+    );
+
+  if (format === "mnemonic") {
+    if (!account || typeof account.exportMnemonic !== "function")
+      throw new UnsupportedFormatError(
+        `Only HD accounts can be exported as a mnemonic`
+      );
+
+    return account.exportMnemonic();
+  }
+
+  if (!account || typeof account.privateKey !== "string")
+    throw new UnsupportedFormatError(
+      `Only wallets can be exported as '${format}'`
+    );
+
+  if (format === "privateKey") return validatePrivateKey(account.privateKey);
+
+  const { password, progressCallback, scrypt } = options;
+  return encryptKeystore(account, password, { progressCallback, scrypt });
+};
+
+export default {
+  FORMATS,
+  validatePrivateKey,
+  fromPrivateKey,
+  importAccount,
+  exportAccount,
+};
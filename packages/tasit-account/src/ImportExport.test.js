@@ -0,0 +1,226 @@
+import Account, {
+  AccountError,
+  InvalidPrivateKeyError,
+  InvalidMnemonicError,
+  InvalidPathError,
+  InvalidKeystoreError,
+  WrongPasswordError,
+  UnsupportedFormatError,
+} from "./TasitAccount";
+import { expect } from "chai";
+import chai from "chai";
+chai.use(require("chai-as-promised"));
+
+const privateKey =
+  "0x11d943d7649fbdeb146dc57bd9cfc80b086bfab2330c7b25651dbaf382392f60";
+const address = "0xd68649157A061454e2c63c175236b07e98Bd9512";
+
+// Test vector from the ethers.js docs
+const mnemonic =
+  "radar blur cabbage chef fix engine embark joy scheme fiction master release";
+const mnemonicAddress = "0xaC39b311DCEb2A4b2f5d8461c1cdaF756F4F7Ae9";
+
+const password = "correct horse battery staple";
+const scrypt = { N: 1024 };
+
+const expectNoKeyMaterial = error => {
+  expect(error).to.be.an.instanceof(AccountError);
+  expect(error.message).not.to.include(privateKey.slice(2, 12));
+  expect(error.message).not.to.include("radar");
+  expect(error.message).not.to.include(password);
+};
+
+describe("Account - import/export", function() {
+  describe("private key", function() {
+    it("should import a private key", async function() {
+      const wallet = await Account.import({ privateKey });
+      expect(wallet.address).to.equal(address);
+    });
+
+    it("should import a private key without 0x prefix", async function() {
+      const wallet = await Account.import({ privateKey: privateKey.slice(2) });
+      expect(wallet.address).to.equal(address);
+    });
+
+    it("should create a wallet from a private key synchronously", async function() {
+      const wallet = Account.fromPrivateKey(privateKey);
+      expect(wallet.address).to.equal(address);
+    });
+
+    it("should export a private key", async function() {
+      const wallet = Account.fromPrivateKey(privateKey);
+      expect(await Account.export(wallet, "privateKey")).to.equal(privateKey);
+    });
+
+    const invalidKeys = {
+      "non-hex": `0x${"zz".repeat(32)}`,
+      "too short": privateKey.slice(0, 40),
+      "too long": `${privateKey}00`,
+      zero: `0x${"00".repeat(32)}`,
+      "equal to the curve order":
+        "0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141",
+      "not a string": 1234,
+    };
+
+    Object.keys(invalidKeys).forEach(description => {
+      it(`should reject a ${description} private key`, async function() {
+        const error = await expect(
+          Account.import({ privateKey: invalidKeys[description] })
+        ).to.be.rejectedWith(InvalidPrivateKeyError);
+        expectNoKeyMaterial(error);
+      });
+    });
+
+    it("should not leak the key when it is out of range", async function() {
+      const outOfRange = `0x${"ff".repeat(32)}`;
+      const error = await expect(
+        Account.import({ privateKey: outOfRange })
+      ).to.be.rejectedWith(InvalidPrivateKeyError, "out of range");
+      expect(error.message).not.to.include("ffff");
+    });
+  });
+
+  describe("mnemonic", function() {
+    it("should import a mnemonic", async function() {
+      const wallet = await Account.import({ mnemonic });
+      expect(wallet.address).to.equal(mnemonicAddress);
+      expect(wallet.mnemonic).to.be.undefined;
+    });
+
+    it("should import a mnemonic with irregular spacing and casing", async function() {
+      const messy = `  ${mnemonic.toUpperCase().replace(/ /g, "   ")} `;
+      const wallet = await Account.import({ mnemonic: messy });
+      expect(wallet.address).to.equal(mnemonicAddress);
+    });
+
+    it("should import a mnemonic using a custom path", async function() {
+      const wallet = await Account.import({
+        mnemonic,
+        path: "m/44'/60'/0'/0/1",
+      });
+      const hdAccount = Account.createHDAccount(mnemonic);
+      expect(wallet.address).to.equal(hdAccount.getAddress(1));
+    });
+
+    it("should reject a mnemonic with unknown words", async function() {
+      const badWords = mnemonic.replace("radar", "notaword");
+      const error = await expect(
+        Account.import({ mnemonic: badWords })
+      ).to.be.rejectedWith(InvalidMnemonicError, "1 word(s) not in");
+      expect(error.message).not.to.include("notaword");
+      expectNoKeyMaterial(error);
+    });
+
+    it("should reject a mnemonic with an invalid checksum", async function() {
+      const badChecksum = mnemonic.replace("release", "radar");
+      const error = await expect(
+        Account.import({ mnemonic: badChecksum })
+      ).to.be.rejectedWith(InvalidMnemonicError, "checksum");
+      expectNoKeyMaterial(error);
+    });
+
+    it("should reject a mnemonic with a wrong number of words", async function() {
+      const tooShort = mnemonic
+        .split(" ")
+        .slice(0, 11)
+        .join(" ");
+      await expect(Account.import({ mnemonic: tooShort })).to.be.rejectedWith(
+        InvalidMnemonicError
+      );
+    });
+
+    it("should reject an invalid path", async function() {
+      await expect(
+        Account.import({ mnemonic, path: "not/a/path" })
+      ).to.be.rejectedWith(InvalidPathError);
+    });
+
+    it("should export the mnemonic of an HD account", async function() {
+      const hdAccount = Account.createHDAccount(mnemonic);
+      expect(await Account.export(hdAccount, "mnemonic")).to.equal(mnemonic);
+    });
+
+    it("should not export a mnemonic from a plain wallet", async function() {
+      const wallet = Account.fromPrivateKey(privateKey);
+      await expect(Account.export(wallet, "mnemonic")).to.be.rejectedWith(
+        UnsupportedFormatError
+      );
+    });
+  });
+
+  describe("JSON keystore", function() {
+    let json;
+
+    before("export a keystore", async function() {
+      const wallet = Account.fromPrivateKey(privateKey);
+      json = await Account.export(wallet, "json", { password, scrypt });
+    });
+
+    it("should export a V3 keystore", async function() {
+      const keystore = JSON.parse(json);
+      expect(keystore.version).to.equal(3);
+      expect(`0x${keystore.address}`).to.equal(address.toLowerCase());
+      expect(json).not.to.include(privateKey.slice(2));
+    });
+
+    it("should import a V3 keystore", async function() {
+      const wallet = await Account.import({ json, password });
+      expect(wallet.address).to.equal(address);
+    });
+
+    it("should reject a wrong password", async function() {
+      const error = await expect(
+        Account.import({ json, password: "wrong password" })
+      ).to.be.rejectedWith(WrongPasswordError);
+      expect(error.message).not.to.include("wrong password");
+    });
+
+    it("should reject a keystore whose address doesn't match its key", async function() {
+      const keystore = JSON.parse(json);
+      keystore.address = "88a5c2d9919e46f883eb62f7b8dd9d0cc45bc290";
+
+      await expect(
+        Account.import({ json: JSON.stringify(keystore), password })
+      ).to.be.rejectedWith(InvalidKeystoreError, "doesn't match");
+    });
+
+    it("should reject corrupt keystore data", async function() {
+      await expect(
+        Account.import({ json: "{ not json", password })
+      ).to.be.rejectedWith(InvalidKeystoreError);
+
+      await expect(
+        Account.import({ json: JSON.stringify({ version: 3 }), password })
+      ).to.be.rejectedWith(InvalidKeystoreError);
+    });
+
+    it("should not export a keystore without password", async function() {
+      const wallet = Account.fromPrivateKey(privateKey);
+      await expect(Account.export(wallet, "json")).to.be.rejectedWith(
+        AccountError
+      );
+    });
+  });
+
+  describe("invalid formats", function() {
+    it("should reject an import without a known format", async function() {
+      await expect(Account.import({})).to.be.rejectedWith(
+        UnsupportedFormatError
+      );
+      await expect(Account.import()).to.be.rejectedWith(UnsupportedFormatError);
+    });
+
+    it("should reject an import with more than one format", async function() {
+      await expect(Account.import({ privateKey, mnemonic })).to.be.rejectedWith(
+        UnsupportedFormatError
+      );
+    });
+
+    it("should reject an unknown export format", async function() {
+      const wallet = Account.fromPrivateKey(privateKey);
+      await expect(Account.export(wallet, "pem")).to.be.rejectedWith(
+        UnsupportedFormatError
+      );
+    });
+  });
+});
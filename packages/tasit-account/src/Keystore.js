@@ -0,0 +1,100 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import {
+  AccountError,
+  InvalidKeystoreError,
+  WrongPasswordError,
+} from "./Errors";
+
+// Note: scrypt-js cancels the key derivation when the progress callback
+// returns a truthy value, so the app's return value is ignored
+const toScryptProgressCallback = progressCallback => {
+  if (!progressCallback) return undefined;
+
+  if (typeof progressCallback !== "function")
+    throw new AccountError(`Progress callback should be a function`);
+
+  return progress => {
+    progressCallback(progress);
+  };
+};
+
+export const isKeystore = json => {
+  try {
+    const data = JSON.parse(json);
+    // Note: The V3 spec names it `crypto` but ethers.js writes `Crypto`
+    const crypto = data.crypto || data.Crypto;
+    return (
+      ethers.utils.getJsonWalletAddress(json) !== null &&
+      !!crypto &&
+      typeof crypto.ciphertext === "string" &&
+      typeof crypto.mac === "string"
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+// Encrypts the wallet as a JSON keystore (Web3 Secret Storage V3)
+// Options:
+//  - progressCallback: Called with a number between 0 and 1 during the scrypt step
+//  - scrypt: Overrides the scrypt parameters ({ N, r, p }), lowering them makes
+//    the encryption faster but weaker
+export const encryptKeystore = async (wallet, password, options = {}) => {
+  const { progressCallback, scrypt } = options;
+
+  if (!wallet || typeof wallet.encrypt !== "function")
+    throw new AccountError(`Cannot encrypt an invalid wallet`);
+
+  if (typeof password !== "string" || password.length === 0)
+    throw new AccountError(`Cannot encrypt a wallet without a password`);
+
+  try {
+    const json = await wallet.encrypt(
+      password,
+      { scrypt },
+      toScryptProgressCallback(progressCallback)
+    );
+    return json;
+  } catch (error) {
+    throw new AccountError(`Error encrypting wallet: ${error.message}`);
+  }
+};
+
+// Decrypts a JSON keystore (Web3 Secret Storage V3) into a wallet
+// Options:
+//  - progressCallback: Called with a number between 0 and 1 during the scrypt step
+export const decryptKeystore = async (json, password, options = {}) => {
+  const { progressCallback } = options;
+
+  if (typeof json !== "string" || !isKeystore(json))
+    throw new InvalidKeystoreError(`Keystore data is corrupt`);
+
+  if (typeof password !== "string")
+    throw new WrongPasswordError(`Wrong password for keystore`);
+
+  let wallet;
+  try {
+    wallet = await ethers.Wallet.fromEncryptedJson(
+      json,
+      password,
+      toScryptProgressCallback(progressCallback)
+    );
+  } catch (error) {
+    if (error.message === "invalid password")
+      throw new WrongPasswordError(`Wrong password for keystore`);
+
+    if (error.message === "address mismatch")
+      throw new InvalidKeystoreError(`Keystore address doesn't match its key`);
+
+    throw new InvalidKeystoreError(`Keystore data is corrupt`);
+  }
+
+  // Note: Keystores written by ethers.js may contain the encrypted mnemonic
+  // Rebuilding the wallet from the private key keeps it from leaking
+  return new ethers.Wallet(wallet.privateKey);
+};
+
+export default { isKeystore, encryptKeystore, decryptKeystore };
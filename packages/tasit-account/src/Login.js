@@ -0,0 +1,313 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import { signMessage, verifyMessage } from "./Signing";
+import { AccountError, LoginError } from "./Errors";
+
+// Sign-In with Ethereum (EIP-4361) style login challenges
+// See: https://eips.ethereum.org/EIPS/eip-4361
+//
+// The message signed by the ephemeral account looks like:
+//
+//   example.com wants you to sign in with your Ethereum account:
+//   0xd68649157A061454e2c63c175236b07e98Bd9512
+//
+//   Optional statement shown to the user
+//
+//   URI: https://example.com/login (optional)
+//   Version: 1
+//   Chain ID: 1
+//   Nonce: 9c6a6b3f7f2e4b0f8d2c6a1e3b5d7f90
+//   Issued At: 2019-02-01T12:00:00.000Z
+//   Expiration Time: 2019-02-01T12:05:00.000Z
+
+const VERSION = "1";
+const HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+const DEFAULT_EXPIRES_IN = 5 * 60 * 1000;
+
+const FIELDS = [
+  { key: "uri", label: "URI", optional: true },
+  { key: "version", label: "Version" },
+  { key: "chainId", label: "Chain ID" },
+  { key: "nonce", label: "Nonce" },
+  { key: "issuedAt", label: "Issued At" },
+  { key: "expirationTime", label: "Expiration Time" },
+];
+
+const isValidNonce = nonce => {
+  return typeof nonce === "string" && /^[A-Za-z0-9]{8,}$/.test(nonce);
+};
+
+const isValidDomain = domain => {
+  return typeof domain === "string" && /^[^\s/]+$/.test(domain);
+};
+
+const toISOString = (date, name) => {
+  const time = new Date(date).getTime();
+  if (isNaN(time)) throw new LoginError(`Invalid ${name}`, "invalidChallenge");
+  return new Date(time).toISOString();
+};
+
+export const generateNonce = () => {
+  return ethers.utils.hexlify(ethers.utils.randomBytes(16)).substring(2);
+};
+
+// Creates a login challenge, usually done by the server and sent to the app
+// Options:
+//  - domain, address, chainId: Required
+//  - statement, uri: Optional
+//  - nonce: (default: random 128 bits)
+//  - issuedAt: (default: now)
+//  - expirationTime or expiresIn (in ms, default: 5 minutes)
+export const createLoginChallenge = (options = {}) => {
+  const {
+    domain,
+    address,
+    chainId,
+    statement,
+    uri,
+    nonce = generateNonce(),
+    issuedAt = Date.now(),
+    expiresIn = DEFAULT_EXPIRES_IN,
+  } = options;
+
+  if (!isValidDomain(domain))
+    throw new LoginError(`Invalid login domain`, "invalidChallenge");
+
+  let checksumAddress;
+  try {
+    checksumAddress = ethers.utils.getAddress(address);
+  } catch (error) {
+    throw new LoginError(`Invalid login address`, "invalidChallenge");
+  }
+
+  if (!Number.isInteger(chainId) || chainId <= 0)
+    throw new LoginError(`Invalid login chain id`, "invalidChallenge");
+
+  if (!isValidNonce(nonce))
+    throw new LoginError(
+      `Login nonce should have at least 8 alphanumeric characters`,
+      "invalidChallenge"
+    );
+
+  if (statement !== undefined && /\n/.test(statement))
+    throw new LoginError(
+      `Login statement should be a single line`,
+      "invalidChallenge"
+    );
+
+  const issuedAtISO = toISOString(issuedAt, "issuedAt");
+  const expirationTime =
+    options.expirationTime !== undefined
+      ? toISOString(options.expirationTime, "expirationTime")
+      : toISOString(new Date(issuedAtISO).getTime() + expiresIn, "expiresIn");
+
+  return {
+    domain,
+    address: checksumAddress,
+    statement,
+    uri,
+    version: VERSION,
+    chainId,
+    nonce,
+    issuedAt: issuedAtISO,
+    expirationTime,
+  };
+};
+
+export const formatLoginMessage = challenge => {
+  const { domain, address, statement } = challenge;
+
+  const lines = [`${domain}${HEADER_SUFFIX}`, address, ""];
+
+  if (statement) lines.push(statement, "");
+
+  FIELDS.forEach(({ key, label, optional }) => {
+    if (optional && challenge[key] === undefined) return;
+    lines.push(`${label}: ${challenge[key]}`);
+  });
+
+  return lines.join("\n");
+};
+
+export const parseLoginMessage = message => {
+  if (typeof message !== "string")
+    throw new LoginError(`Login message should be a string`, "invalidMessage");
+
+  const lines = message.split("\n");
+  const [header, address, empty, ...rest] = lines;
+
+  if (!header || !header.endsWith(HEADER_SUFFIX) || empty !== "")
+    throw new LoginError(`Invalid login message`, "invalidMessage");
+
+  const challenge = {
+    domain: header.slice(0, -HEADER_SUFFIX.length),
+    address,
+  };
+
+  let fieldLines = rest;
+  if (rest.length > 1 && rest[1] === "") {
+    challenge.statement = rest[0];
+    fieldLines = rest.slice(2);
+  }
+
+  const hasUri = fieldLines.length > 0 && fieldLines[0].startsWith("URI: ");
+  const fields = FIELDS.filter(({ optional }) => !optional || hasUri);
+
+  if (fieldLines.length !== fields.length)
+    throw new LoginError(`Invalid login message`, "invalidMessage");
+
+  fields.forEach(({ key, label }, index) => {
+    const prefix = `${label}: `;
+    const line = fieldLines[index];
+
+    if (!line.startsWith(prefix))
+      throw new LoginError(`Invalid login message`, "invalidMessage");
+
+    challenge[key] = line.slice(prefix.length);
+  });
+
+  challenge.chainId = Number(challenge.chainId);
+
+  // Validates the fields and normalizes them the same way as createLoginChallenge()
+  const normalized = createLoginChallenge(challenge);
+
+  if (formatLoginMessage(normalized) !== message)
+    throw new LoginError(`Invalid login message`, "invalidMessage");
+
+  return normalized;
+};
+
+// Signs the login challenge with the ephemeral account
+// Returns the message and signature that should be sent to the server
+export const signLogin = async (wallet, challenge) => {
+  if (!wallet || typeof wallet.signMessage !== "function")
+    throw new AccountError(`Cannot sign without a wallet`);
+
+  const normalized = createLoginChallenge(challenge);
+
+  if (normalized.address !== wallet.address)
+    throw new LoginError(
+      `Login challenge was issued to another address`,
+      "addressMismatch"
+    );
+
+  const message = formatLoginMessage(normalized);
+  const signature = await signMessage(wallet, message);
+
+  return { message, signature };
+};
+
+// Keeps used nonces in memory until they expire
+// Any object with an async use(nonce, expirationTime) function that resolves to
+// false when the nonce was already used can replace it (e.g. backed by Redis)
+export class MemoryNonceStore {
+  constructor() {
+    this.nonces = new Map();
+  }
+
+  async use(nonce, expirationTime) {
+    const now = Date.now();
+
+    this.nonces.forEach((expiresAt, usedNonce) => {
+      if (expiresAt < now) this.nonces.delete(usedNonce);
+    });
+
+    if (this.nonces.has(nonce)) return false;
+
+    this.nonces.set(nonce, new Date(expirationTime).getTime());
+    return true;
+  }
+}
+
+// Creates a server-side verifier of signed logins
+// Options:
+//  - domain: Expected domain (required)
+//  - chainId: Expected chain id (optional)
+//  - nonceStore: Used to reject replayed nonces (default: MemoryNonceStore)
+//  - clockTolerance: Allowed clock skew in ms (default: 0)
+//  - now: Returns the current time in ms (default: Date.now)
+export const createLoginVerifier = (options = {}) => {
+  const {
+    domain,
+    chainId,
+    nonceStore = new MemoryNonceStore(),
+    clockTolerance = 0,
+    now = Date.now,
+  } = options;
+
+  if (!isValidDomain(domain))
+    throw new LoginError(
+      `Cannot verify logins without a domain`,
+      "invalidChallenge"
+    );
+
+  if (!nonceStore || typeof nonceStore.use !== "function")
+    throw new LoginError(`Invalid nonce store`, "invalidChallenge");
+
+  // Resolves to { address, challenge } or rejects with a LoginError
+  const verify = async ({ message, signature } = {}) => {
+    const challenge = parseLoginMessage(message);
+
+    let signer;
+    try {
+      signer = verifyMessage(message, signature);
+    } catch (error) {
+      throw new LoginError(`Invalid login signature`, "invalidSignature");
+    }
+
+    if (signer !== challenge.address)
+      throw new LoginError(
+        `Login was signed by another address`,
+        "addressMismatch"
+      );
+
+    if (challenge.domain !== domain)
+      throw new LoginError(
+        `Login was issued for another domain`,
+        "domainMismatch"
+      );
+
+    if (chainId !== undefined && challenge.chainId !== chainId)
+      throw new LoginError(
+        `Login was issued for another chain`,
+        "chainMismatch"
+      );
+
+    const currentTime = now();
+
+    if (new Date(challenge.issuedAt).getTime() - clockTolerance > currentTime)
+      throw new LoginError(`Login was issued in the future`, "notYetValid");
+
+    if (
+      new Date(challenge.expirationTime).getTime() + clockTolerance <
+      currentTime
+    )
+      throw new LoginError(`Login challenge has expired`, "expired");
+
+    // Note: The nonce must be remembered for as long as the login could be accepted
+    const rememberUntil = new Date(
+      new Date(challenge.expirationTime).getTime() + clockTolerance
+    ).toISOString();
+
+    const isFirstUse = await nonceStore.use(challenge.nonce, rememberUntil);
+
+    if (!isFirstUse)
+      throw new LoginError(`Login nonce was already used`, "replayedNonce");
+
+    return { address: signer, challenge };
+  };
+
+  return { verify };
+};
+
+export default {
+  generateNonce,
+  createLoginChallenge,
+  formatLoginMessage,
+  parseLoginMessage,
+  signLogin,
+  MemoryNonceStore,
+  createLoginVerifier,
+};
@@ -0,0 +1,211 @@
+import Account, {
+  createLoginVerifier,
+  MemoryNonceStore,
+  LoginError,
+} from "./TasitAccount";
+import { expect } from "chai";
+import chai from "chai";
+chai.use(require("chai-as-promised"));
+
+const privateKey =
+  "0x11d943d7649fbdeb146dc57bd9cfc80b086bfab2330c7b25651dbaf382392f60";
+
+const domain = "dapp.example.com";
+const chainId = 1;
+
+const expectLoginError = async (promise, reason) => {
+  const error = await expect(promise).to.be.rejectedWith(LoginError);
+  expect(error.reason).to.equal(reason);
+};
+
+describe("Account - login challenge", function() {
+  let wallet, challenge, verifier;
+
+  beforeEach("create wallet, challenge and verifier", async function() {
+    wallet = Account.fromPrivateKey(privateKey);
+    challenge = Account.createLoginChallenge({
+      domain,
+      address: wallet.address,
+      chainId,
+      statement: "Sign in to the marketplace",
+      uri: "https://dapp.example.com/login",
+    });
+    verifier = createLoginVerifier({ domain, chainId });
+  });
+
+  describe("challenge", function() {
+    it("should create a challenge with defaults", async function() {
+      const { nonce, issuedAt, expirationTime, version } = challenge;
+
+      expect(nonce).to.match(/^[0-9a-f]{32}$/);
+      expect(version).to.equal("1");
+      expect(
+        new Date(expirationTime).getTime() - new Date(issuedAt).getTime()
+      ).to.equal(5 * 60 * 1000);
+    });
+
+    it("should format the challenge as a message", async function() {
+      const fixed = Account.createLoginChallenge({
+        domain,
+        address: wallet.address.toLowerCase(),
+        chainId,
+        nonce: "32891756",
+        issuedAt: "2019-02-01T12:00:00Z",
+        expirationTime: "2019-02-01T12:05:00Z",
+      });
+
+      expect(Account.formatLoginMessage(fixed)).to.equal(
+        [
+          "dapp.example.com wants you to sign in with your Ethereum account:",
+          "0xd68649157A061454e2c63c175236b07e98Bd9512",
+          "",
+          "Version: 1",
+          "Chain ID: 1",
+          "Nonce: 32891756",
+          "Issued At: 2019-02-01T12:00:00.000Z",
+          "Expiration Time: 2019-02-01T12:05:00.000Z",
+        ].join("\n")
+      );
+    });
+
+    it("should parse a formatted message", async function() {
+      const message = Account.formatLoginMessage(challenge);
+      expect(Account.parseLoginMessage(message)).to.deep.equal(challenge);
+    });
+
+    it("should reject invalid challenges", async function() {
+      const base = { domain, address: wallet.address, chainId };
+
+      expect(() =>
+        Account.createLoginChallenge(Object.assign({}, base, { domain: "" }))
+      ).to.throw(LoginError);
+      expect(() =>
+        Account.createLoginChallenge(
+          Object.assign({}, base, { address: "0x1234" })
+        )
+      ).to.throw(LoginError);
+      expect(() =>
+        Account.createLoginChallenge(Object.assign({}, base, { chainId: 0 }))
+      ).to.throw(LoginError);
+      expect(() =>
+        Account.createLoginChallenge(Object.assign({}, base, { nonce: "abc" }))
+      ).to.throw(LoginError);
+    });
+
+    it("should reject malformed messages", async function() {
+      const message = Account.formatLoginMessage(challenge);
+
+      expect(() => Account.parseLoginMessage("hello")).to.throw(LoginError);
+      expect(() =>
+        Account.parseLoginMessage(message.replace("Version: 1", "Version: 2"))
+      ).to.throw(LoginError);
+      expect(() =>
+        Account.parseLoginMessage(message.replace("Chain ID: ", "Chain: "))
+      ).to.throw(LoginError);
+    });
+  });
+
+  describe("signing and verification", function() {
+    it("should sign and verify a login", async function() {
+      const signedLogin = await Account.signLogin(wallet, challenge);
+      const { address, challenge: verified } = await verifier.verify(
+        signedLogin
+      );
+
+      expect(address).to.equal(wallet.address);
+      expect(verified.nonce).to.equal(challenge.nonce);
+    });
+
+    it("should not sign a challenge issued to another address", async function() {
+      const other = Account.create();
+      await expectLoginError(
+        Account.signLogin(other, challenge),
+        "addressMismatch"
+      );
+    });
+
+    it("should reject a replayed nonce", async function() {
+      const signedLogin = await Account.signLogin(wallet, challenge);
+      await verifier.verify(signedLogin);
+      await expectLoginError(verifier.verify(signedLogin), "replayedNonce");
+    });
+
+    it("should share used nonces through the nonce store", async function() {
+      const nonceStore = new MemoryNonceStore();
+      const first = createLoginVerifier({ domain, nonceStore });
+      const second = createLoginVerifier({ domain, nonceStore });
+
+      const signedLogin = await Account.signLogin(wallet, challenge);
+      await first.verify(signedLogin);
+      await expectLoginError(second.verify(signedLogin), "replayedNonce");
+    });
+
+    it("should reject an expired login", async function() {
+      const expired = Account.createLoginChallenge({
+        domain,
+        address: wallet.address,
+        chainId,
+        issuedAt: Date.now() - 10 * 60 * 1000,
+      });
+      const signedLogin = await Account.signLogin(wallet, expired);
+      await expectLoginError(verifier.verify(signedLogin), "expired");
+    });
+
+    it("should accept an expired login within the clock tolerance", async function() {
+      const tolerant = createLoginVerifier({
+        domain,
+        clockTolerance: 60 * 1000,
+        now: () => new Date(challenge.expirationTime).getTime() + 30 * 1000,
+      });
+      const signedLogin = await Account.signLogin(wallet, challenge);
+      const { address } = await tolerant.verify(signedLogin);
+      expect(address).to.equal(wallet.address);
+    });
+
+    it("should reject a login issued in the future", async function() {
+      const future = Account.createLoginChallenge({
+        domain,
+        address: wallet.address,
+        chainId,
+        issuedAt: Date.now() + 10 * 60 * 1000,
+      });
+      const signedLogin = await Account.signLogin(wallet, future);
+      await expectLoginError(verifier.verify(signedLogin), "notYetValid");
+    });
+
+    it("should reject a login for another domain", async function() {
+      const otherVerifier = createLoginVerifier({ domain: "evil.example.com" });
+      const signedLogin = await Account.signLogin(wallet, challenge);
+      await expectLoginError(
+        otherVerifier.verify(signedLogin),
+        "domainMismatch"
+      );
+    });
+
+    it("should reject a login for another chain", async function() {
+      const otherVerifier = createLoginVerifier({ domain, chainId: 3 });
+      const signedLogin = await Account.signLogin(wallet, challenge);
+      await expectLoginError(
+        otherVerifier.verify(signedLogin),
+        "chainMismatch"
+      );
+    });
+
+    it("should reject a tampered message", async function() {
+      const { message, signature } = await Account.signLogin(wallet, challenge);
+      const tampered = message.replace(challenge.nonce, "0123456789abcdef");
+      await expectLoginError(
+        verifier.verify({ message: tampered, signature }),
+        "addressMismatch"
+      );
+    });
+
+    it("should reject an invalid signature", async function() {
+      const { message } = await Account.signLogin(wallet, challenge);
+      await expectLoginError(
+        verifier.verify({ message, signature: "0x1234" }),
+        "invalidSignature"
+      );
+    });
+  });
+});
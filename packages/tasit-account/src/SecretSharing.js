@@ -0,0 +1,240 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import { validatePrivateKey } from "./ImportExport";
+import { validateMnemonic } from "./HDAccount";
+import {
+  UnsupportedFormatError,
+  InvalidShareError,
+  NotEnoughSharesError,
+  MismatchedSharesError,
+} from "./Errors";
+
+// Shamir's secret sharing over GF(256)
+// See: https://en.wikipedia.org/wiki/Shamir%27s_Secret_Sharing
+//
+// Every byte of the secret is the constant term of a random polynomial
+// of degree (threshold - 1). Share `x` holds the values of the polynomials at `x`.
+// A mnemonic is split as its BIP-39 entropy.
+//
+// Share string format:
+//   tasit-share:1:<type>:<set id>:<threshold>:<index>:<data>:<checksum>
+//  - type: "k" (private key) or "m" (mnemonic)
+//  - set id: 4 random bytes (hex), the same for all shares of one split
+//  - threshold, index: decimal
+//  - data: hex
+//  - checksum: first 4 bytes (hex) of sha256 of everything before it
+
+const PREFIX = "tasit-share";
+const VERSION = "1";
+const TYPES = { privateKey: "k", mnemonic: "m" };
+const MAX_SHARES = 255;
+
+const { arrayify, hexlify, sha256 } = ethers.utils;
+
+// Log and exp tables of GF(256) with the AES polynomial (x^8 + x^4 + x^3 + x + 1)
+// and generator 3
+const EXP = new Array(510);
+const LOG = new Array(256);
+(() => {
+  let value = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = value;
+    LOG[value] = i;
+    value ^= value << 1;
+    if (value & 0x100) value ^= 0x11b;
+  }
+  for (let i = 255; i < 510; i++) EXP[i] = EXP[i - 255];
+})();
+
+const multiply = (a, b) => {
+  if (a === 0 || b === 0) return 0;
+  return EXP[LOG[a] + LOG[b]];
+};
+
+const divide = (a, b) => {
+  if (a === 0) return 0;
+  return EXP[LOG[a] + 255 - LOG[b]];
+};
+
+// Horner's method, coefficients[0] is the constant term
+const evaluate = (coefficients, x) => {
+  let result = 0;
+  for (let i = coefficients.length - 1; i >= 0; i--)
+    result = multiply(result, x) ^ coefficients[i];
+  return result;
+};
+
+// Lagrange interpolation at x = 0
+const interpolate = points => {
+  let result = 0;
+  points.forEach(([xi, yi], i) => {
+    let basis = 1;
+    points.forEach(([xj], j) => {
+      if (i !== j) basis = multiply(basis, divide(xj, xj ^ xi));
+    });
+    result ^= multiply(yi, basis);
+  });
+  return result;
+};
+
+const checksum = body => {
+  return sha256(ethers.utils.toUtf8Bytes(body)).substring(2, 10);
+};
+
+const encodeShare = ({ type, setId, threshold, index, data }) => {
+  const body = [PREFIX, VERSION, type, setId, threshold, index, data].join(":");
+  return `${body}:${checksum(body)}`;
+};
+
+const decodeShare = share => {
+  if (typeof share !== "string")
+    throw new InvalidShareError(`Share should be a string`);
+
+  const parts = share.trim().split(":");
+  if (parts.length !== 8 || parts[0] !== PREFIX)
+    throw new InvalidShareError(`Share format is invalid`);
+
+  const [, version, type, setId, threshold, index, data, sum] = parts;
+
+  if (version !== VERSION)
+    throw new InvalidShareError(`Share version ${version} isn't supported`);
+
+  if (checksum(parts.slice(0, 7).join(":")) !== sum.toLowerCase())
+    throw new InvalidShareError(`Share checksum is invalid`);
+
+  if (
+    !Object.values(TYPES).includes(type) ||
+    !/^[0-9a-f]{8}$/.test(setId) ||
+    !/^[0-9]+$/.test(threshold) ||
+    !/^[0-9]+$/.test(index) ||
+    !/^[0-9a-f]+$/.test(data) ||
+    data.length % 2 !== 0
+  )
+    throw new InvalidShareError(`Share format is invalid`);
+
+  return {
+    type,
+    setId,
+    threshold: Number(threshold),
+    index: Number(index),
+    data: arrayify(`0x${data}`),
+  };
+};
+
+const toSecretBytes = (input = {}) => {
+  const { privateKey, mnemonic } = input;
+  const provided = Object.keys(TYPES).filter(
+    format => input[format] !== undefined
+  );
+
+  if (provided.length !== 1)
+    throw new UnsupportedFormatError(
+      `Provide exactly one of: [${Object.keys(TYPES)}] to split a secret`
+    );
+
+  if (privateKey !== undefined)
+    return {
+      type: TYPES.privateKey,
+      bytes: arrayify(validatePrivateKey(privateKey)),
+    };
+
+  const phrase = validateMnemonic(mnemonic);
+  const entropy = ethers.utils.HDNode.mnemonicToEntropy(phrase);
+  return { type: TYPES.mnemonic, bytes: arrayify(entropy) };
+};
+
+// Splits { privateKey } or { mnemonic } into `shares` share strings,
+// any `threshold` of them rebuild the secret
+export const splitSecret = (input, options = {}) => {
+  const { shares: count, threshold } = options;
+
+  if (!Number.isInteger(count) || count < 2 || count > MAX_SHARES)
+    throw new InvalidShareError(
+      `Number of shares should be between 2 and ${MAX_SHARES}`
+    );
+
+  if (!Number.isInteger(threshold) || threshold < 2 || threshold > count)
+    throw new InvalidShareError(
+      `Threshold should be between 2 and the number of shares`
+    );
+
+  const { type, bytes } = toSecretBytes(input);
+  const setId = hexlify(ethers.utils.randomBytes(4)).substring(2);
+
+  const polynomials = Array.from(bytes).map(byte => [
+    byte,
+    ...ethers.utils.randomBytes(threshold - 1),
+  ]);
+
+  const shares = [];
+  for (let index = 1; index <= count; index++) {
+    const data = polynomials.map(coefficients => evaluate(coefficients, index));
+    shares.push(
+      encodeShare({
+        type,
+        setId,
+        threshold,
+        index,
+        data: hexlify(data).substring(2),
+      })
+    );
+  }
+
+  return shares;
+};
+
+// Rebuilds the secret from at least `threshold` shares of the same split
+// Returns { privateKey } or { mnemonic }, e.g. to use with Account.import()
+export const combineShares = shares => {
+  if (!Array.isArray(shares) || shares.length === 0)
+    throw new NotEnoughSharesError(`No shares were provided`);
+
+  const decoded = shares.map(decodeShare);
+  const [first] = decoded;
+
+  decoded.forEach(share => {
+    if (
+      share.setId !== first.setId ||
+      share.type !== first.type ||
+      share.threshold !== first.threshold ||
+      share.data.length !== first.data.length
+    )
+      throw new MismatchedSharesError(`Shares are from different splits`);
+  });
+
+  const indexes = decoded.map(share => share.index);
+  if (indexes.some(index => index < 1 || index > MAX_SHARES))
+    throw new InvalidShareError(`Share index is out of range`);
+
+  if (new Set(indexes).size !== indexes.length)
+    throw new MismatchedSharesError(`The same share was provided twice`);
+
+  const { threshold, type } = first;
+  if (decoded.length < threshold)
+    throw new NotEnoughSharesError(
+      `${threshold} shares are needed, ${decoded.length} were provided`
+    );
+
+  const used = decoded.slice(0, threshold);
+  const bytes = first.data.map((_, position) =>
+    interpolate(used.map(share => [share.index, share.data[position]]))
+  );
+  const secret = hexlify(bytes);
+
+  try {
+    if (type === TYPES.privateKey)
+      return { privateKey: validatePrivateKey(secret) };
+
+    return { mnemonic: ethers.utils.HDNode.entropyToMnemonic(secret) };
+  } catch (error) {
+    // Note: Shares with valid checksums from the same split were altered
+    throw new MismatchedSharesError(`Shares don't rebuild a valid secret`);
+  }
+};
+
+export default {
+  splitSecret,
+  combineShares,
+};
@@ -0,0 +1,191 @@
+import Account, {
+  InvalidShareError,
+  NotEnoughSharesError,
+  MismatchedSharesError,
+  InvalidPrivateKeyError,
+  UnsupportedFormatError,
+} from "./TasitAccount";
+import { expect } from "chai";
+import { ethers } from "ethers";
+
+const privateKey =
+  "0x11d943d7649fbdeb146dc57bd9cfc80b086bfab2330c7b25651dbaf382392f60";
+
+const mnemonic =
+  "beach swap combine paper music cook electric bullet trust actress liquid asthma";
+
+// Every combination of `size` elements of the array
+const combinations = (array, size) => {
+  if (size === 0) return [[]];
+  return array.reduce((result, element, index) => {
+    const rest = combinations(array.slice(index + 1), size - 1);
+    return result.concat(rest.map(combination => [element, ...combination]));
+  }, []);
+};
+
+describe("Account - secret sharing", function() {
+  describe("private key", function() {
+    let shares;
+
+    beforeEach("split", async function() {
+      shares = Account.splitSecret({ privateKey }, { shares: 5, threshold: 3 });
+    });
+
+    it("should split into share strings", async function() {
+      expect(shares).to.have.lengthOf(5);
+      shares.forEach((share, i) => {
+        expect(share).to.match(
+          new RegExp(
+            `^tasit-share:1:k:[0-9a-f]{8}:3:${i + 1}:[0-9a-f]{64}:[0-9a-f]{8}$`
+          )
+        );
+      });
+
+      const setIds = shares.map(share => share.split(":")[3]);
+      expect(new Set(setIds).size).to.equal(1);
+    });
+
+    it("should not contain the key", async function() {
+      shares.forEach(share => {
+        expect(share).not.to.include(privateKey.substring(2));
+      });
+    });
+
+    it("should rebuild the key from any 3 shares", async function() {
+      combinations(shares, 3).forEach(combination => {
+        expect(Account.combineShares(combination)).to.deep.equal({
+          privateKey,
+        });
+      });
+    });
+
+    it("should rebuild the key from more shares than needed", async function() {
+      const { privateKey: rebuilt } = Account.combineShares(shares.reverse());
+      expect(rebuilt).to.equal(privateKey);
+    });
+
+    it("should rebuild an account", async function() {
+      const wallet = Account.fromPrivateKey(privateKey);
+      const rebuilt = await Account.import(
+        Account.combineShares(shares.slice(2))
+      );
+      expect(rebuilt.address).to.equal(wallet.address);
+    });
+
+    it("should create different shares each time", async function() {
+      const other = Account.splitSecret(
+        { privateKey },
+        { shares: 5, threshold: 3 }
+      );
+      expect(other[0]).not.to.equal(shares[0]);
+    });
+  });
+
+  describe("mnemonic", function() {
+    it("should rebuild the mnemonic", async function() {
+      const shares = Account.splitSecret(
+        { mnemonic: `  ${mnemonic.toUpperCase()} ` },
+        { shares: 3, threshold: 2 }
+      );
+
+      expect(shares[0]).to.match(/^tasit-share:1:m:/);
+
+      combinations(shares, 2).forEach(combination => {
+        expect(Account.combineShares(combination)).to.deep.equal({ mnemonic });
+      });
+    });
+
+    it("should rebuild a 24-word mnemonic", async function() {
+      const longMnemonic = ethers.utils.HDNode.entropyToMnemonic(
+        ethers.utils.randomBytes(32)
+      );
+      expect(longMnemonic.split(" ")).to.have.lengthOf(24);
+
+      const shares = Account.splitSecret(
+        { mnemonic: longMnemonic },
+        { shares: 2, threshold: 2 }
+      );
+      expect(Account.combineShares(shares).mnemonic).to.equal(longMnemonic);
+    });
+  });
+
+  describe("errors", function() {
+    let shares;
+
+    beforeEach("split", async function() {
+      shares = Account.splitSecret({ privateKey }, { shares: 5, threshold: 3 });
+    });
+
+    it("should reject invalid split options", async function() {
+      expect(() =>
+        Account.splitSecret({ privateKey }, { shares: 1, threshold: 1 })
+      ).to.throw(InvalidShareError);
+      expect(() =>
+        Account.splitSecret({ privateKey }, { shares: 3, threshold: 4 })
+      ).to.throw(InvalidShareError);
+      expect(() =>
+        Account.splitSecret({ privateKey }, { shares: 256, threshold: 2 })
+      ).to.throw(InvalidShareError);
+      expect(() => Account.splitSecret({ privateKey })).to.throw(
+        InvalidShareError
+      );
+    });
+
+    it("should reject invalid secrets", async function() {
+      const options = { shares: 3, threshold: 2 };
+      expect(() =>
+        Account.splitSecret({ privateKey: "0x1234" }, options)
+      ).to.throw(InvalidPrivateKeyError);
+      expect(() => Account.splitSecret({}, options)).to.throw(
+        UnsupportedFormatError
+      );
+      expect(() =>
+        Account.splitSecret({ privateKey, mnemonic }, options)
+      ).to.throw(UnsupportedFormatError);
+    });
+
+    it("should reject too few shares", async function() {
+      expect(() => Account.combineShares(shares.slice(0, 2))).to.throw(
+        NotEnoughSharesError,
+        "3 shares are needed, 2 were provided"
+      );
+      expect(() => Account.combineShares([])).to.throw(NotEnoughSharesError);
+    });
+
+    it("should reject shares from different splits", async function() {
+      const other = Account.splitSecret(
+        { privateKey },
+        { shares: 5, threshold: 3 }
+      );
+      expect(() =>
+        Account.combineShares([shares[0], shares[1], other[2]])
+      ).to.throw(MismatchedSharesError);
+    });
+
+    it("should reject the same share twice", async function() {
+      expect(() =>
+        Account.combineShares([shares[0], shares[1], shares[1]])
+      ).to.throw(MismatchedSharesError);
+    });
+
+    it("should reject a share with a typo", async function() {
+      const parts = shares[0].split(":");
+      const data = parts[6];
+      parts[6] = (data[0] === "a" ? "b" : "a") + data.substring(1);
+
+      expect(() =>
+        Account.combineShares([parts.join(":"), shares[1], shares[2]])
+      ).to.throw(InvalidShareError, "Share checksum is invalid");
+    });
+
+    it("should reject malformed shares", async function() {
+      expect(() => Account.combineShares(["hello"])).to.throw(
+        InvalidShareError
+      );
+      expect(() => Account.combineShares([42])).to.throw(InvalidShareError);
+      expect(() =>
+        Account.combineShares([shares[0].replace(":1:k:", ":2:k:")])
+      ).to.throw(InvalidShareError);
+    });
+  });
+});
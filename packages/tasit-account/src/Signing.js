@@ -0,0 +1,74 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import { hashTypedData } from "./TypedData";
+import { AccountError, InvalidSignatureError } from "./Errors";
+
+const { joinSignature, recoverAddress, SigningKey } = ethers.utils;
+
+const isSignature = signature => {
+  return (
+    typeof signature === "string" && /^0x[0-9A-Fa-f]{130}$/.test(signature)
+  );
+};
+
+const getSigningKey = wallet => {
+  if (!wallet || typeof wallet.privateKey !== "string")
+    throw new AccountError(`Cannot sign without a wallet`);
+
+  return new SigningKey(wallet.privateKey);
+};
+
+// Signs a message using the Ethereum signed message prefix (EIP-191 version 0x45)
+// Note: A 32-byte hash should be passed as bytes (see ethers.utils.arrayify),
+// otherwise its hex string is signed as text
+export const signMessage = async (wallet, message) => {
+  if (!wallet || typeof wallet.signMessage !== "function")
+    throw new AccountError(`Cannot sign without a wallet`);
+
+  return wallet.signMessage(message);
+};
+
+// Returns the address of the account that signed the message
+export const verifyMessage = (message, signature) => {
+  if (!isSignature(signature))
+    throw new InvalidSignatureError(`Signature should be 65 bytes of hex`);
+
+  try {
+    return ethers.utils.verifyMessage(message, signature);
+  } catch (error) {
+    throw new InvalidSignatureError(`Invalid signature`);
+  }
+};
+
+// Signs EIP-712 typed data
+// `types` are the struct types without EIP712Domain, e.g.:
+// { Person: [{ name: "name", type: "string" }, { name: "wallet", type: "address" }] }
+export const signTypedData = async (wallet, domain, types, value) => {
+  const signingKey = getSigningKey(wallet);
+  const digest = hashTypedData(domain, types, value);
+  return joinSignature(signingKey.signDigest(digest));
+};
+
+// Returns the address of the account that signed the EIP-712 typed data
+export const recoverTypedDataSigner = (domain, types, value, signature) => {
+  if (!isSignature(signature))
+    throw new InvalidSignatureError(`Signature should be 65 bytes of hex`);
+
+  const digest = hashTypedData(domain, types, value);
+
+  try {
+    return recoverAddress(digest, signature);
+  } catch (error) {
+    throw new InvalidSignatureError(`Invalid signature`);
+  }
+};
+
+export default {
+  signMessage,
+  verifyMessage,
+  signTypedData,
+  recoverTypedDataSigner,
+  hashTypedData,
+};
@@ -0,0 +1,265 @@
+import Account, {
+  InvalidSignatureError,
+  InvalidTypedDataError,
+  AccountError,
+} from "./TasitAccount";
+import TypedData from "./TypedData";
+import { expect } from "chai";
+import chai from "chai";
+import { ethers } from "ethers";
+chai.use(require("chai-as-promised"));
+
+const privateKey =
+  "0x11d943d7649fbdeb146dc57bd9cfc80b086bfab2330c7b25651dbaf382392f60";
+
+// Test vector from the EIP-712 specification
+// See: https://github.com/ethereum/EIPs/blob/master/assets/eip-712/Example.js
+const mail = {
+  privateKey: ethers.utils.keccak256(ethers.utils.toUtf8Bytes("cow")),
+  address: "0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826",
+  domain: {
+    name: "Ether Mail",
+    version: "1",
+    chainId: 1,
+    verifyingContract: "0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC",
+  },
+  types: {
+    Person: [
+      { name: "name", type: "string" },
+      { name: "wallet", type: "address" },
+    ],
+    Mail: [
+      { name: "from", type: "Person" },
+      { name: "to", type: "Person" },
+      { name: "contents", type: "string" },
+    ],
+  },
+  value: {
+    from: {
+      name: "Cow",
+      wallet: "0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826",
+    },
+    to: {
+      name: "Bob",
+      wallet: "0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB",
+    },
+    contents: "Hello, Bob!",
+  },
+  encodedType:
+    "Mail(Person from,Person to,string contents)Person(string name,address wallet)",
+  typeHash:
+    "0xa0cedeb2dc280ba39b857546d74f5549c3a1d7bdc2dd96bf881f76108e23dac2",
+  domainSeparator:
+    "0xf2cee375fa42b42143804025fc449deafd50cc031ca257e0b194a650a912090f",
+  structHash:
+    "0xc52c0ee5d84264471806290a3f2c4cecfc5490626bf912d01f240d7a274b371e",
+  digest: "0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2",
+  signature: {
+    v: 28,
+    r: "0x4355c47d63924e8a72e509b65029052eb6c299d53a04e167c5775fd466751c9d",
+    s: "0x07299936d304c153f6443dfa05f40ff007d72911b6f72307f996231605b91562",
+  },
+};
+
+describe("Account - signing", function() {
+  let wallet;
+
+  beforeEach("create wallet", async function() {
+    wallet = Account.fromPrivateKey(privateKey);
+  });
+
+  describe("messages", function() {
+    it("should sign a message", async function() {
+      const signature = await Account.signMessage(wallet, "Hello World!");
+
+      // Same vector as ethers.test.js
+      const expectedSignature =
+        "0x372577a100b677f28381347d58369557563ffddfbc523c0e4a2348ed489427d25bd7" +
+        "595ce0f5a0da811bd7cc558e9e6eeed09988cd06fe0c0c9e7df69d373fec1b";
+
+      expect(signature).to.equal(expectedSignature);
+    });
+
+    it("should sign deterministically", async function() {
+      const first = await Account.signMessage(wallet, "login");
+      const second = await Account.signMessage(wallet, "login");
+      expect(first).to.equal(second);
+    });
+
+    it("should verify a message signer", async function() {
+      const signature = await Account.signMessage(wallet, "Hello World!");
+      const signer = Account.verifyMessage("Hello World!", signature);
+      expect(signer).to.equal(wallet.address);
+    });
+
+    it("should recover a different signer for a different message", async function() {
+      const signature = await Account.signMessage(wallet, "Hello World!");
+      const signer = Account.verifyMessage("Goodbye World!", signature);
+      expect(signer).not.to.equal(wallet.address);
+    });
+
+    it("should reject a malformed signature", async function() {
+      expect(() => Account.verifyMessage("Hello World!", "0x1234")).to.throw(
+        InvalidSignatureError
+      );
+    });
+
+    it("should not sign without a wallet", async function() {
+      await expect(Account.signMessage(undefined, "Hello")).to.be.rejectedWith(
+        AccountError
+      );
+    });
+  });
+
+  describe("EIP-712 typed data", function() {
+    it("should encode the type", async function() {
+      expect(TypedData.encodeType("Mail", mail.types)).to.equal(
+        mail.encodedType
+      );
+      expect(TypedData.typeHash("Mail", mail.types)).to.equal(mail.typeHash);
+    });
+
+    it("should hash the domain", async function() {
+      expect(TypedData.hashDomain(mail.domain)).to.equal(mail.domainSeparator);
+    });
+
+    it("should hash the struct", async function() {
+      expect(TypedData.hashStruct("Mail", mail.value, mail.types)).to.equal(
+        mail.structHash
+      );
+    });
+
+    it("should compute the digest", async function() {
+      const digest = Account.hashTypedData(mail.domain, mail.types, mail.value);
+      expect(digest).to.equal(mail.digest);
+    });
+
+    it("should sign typed data", async function() {
+      const cow = Account.fromPrivateKey(mail.privateKey);
+      expect(cow.address).to.equal(mail.address);
+
+      const signature = await Account.signTypedData(
+        cow,
+        mail.domain,
+        mail.types,
+        mail.value
+      );
+
+      const { v, r, s } = ethers.utils.splitSignature(signature);
+      expect({ v, r, s }).to.deep.equal(mail.signature);
+    });
+
+    it("should recover the typed data signer", async function() {
+      const signature = ethers.utils.joinSignature(mail.signature);
+      const signer = Account.recoverTypedDataSigner(
+        mail.domain,
+        mail.types,
+        mail.value,
+        signature
+      );
+      expect(signer).to.equal(mail.address);
+    });
+
+    it("should recover a different signer for a different domain", async function() {
+      const signature = ethers.utils.joinSignature(mail.signature);
+      const domain = Object.assign({}, mail.domain, { chainId: 3 });
+      const signer = Account.recoverTypedDataSigner(
+        domain,
+        mail.types,
+        mail.value,
+        signature
+      );
+      expect(signer).not.to.equal(mail.address);
+    });
+
+    it("should ignore an EIP712Domain entry in types", async function() {
+      const types = Object.assign({}, mail.types, {
+        EIP712Domain: [{ name: "name", type: "string" }],
+      });
+      const digest = Account.hashTypedData(mail.domain, types, mail.value);
+      expect(digest).to.equal(mail.digest);
+    });
+
+    it("should encode arrays and atomic types", async function() {
+      const types = {
+        Order: [
+          { name: "ids", type: "uint256[]" },
+          { name: "pair", type: "address[2]" },
+          { name: "data", type: "bytes" },
+          { name: "hash", type: "bytes32" },
+          { name: "active", type: "bool" },
+        ],
+      };
+      const value = {
+        ids: [1, 2, 3],
+        pair: [mail.address, mail.value.to.wallet],
+        data: "0x1234",
+        hash: mail.digest,
+        active: true,
+      };
+
+      const signature = await Account.signTypedData(
+        wallet,
+        mail.domain,
+        types,
+        value
+      );
+      const signer = Account.recoverTypedDataSigner(
+        mail.domain,
+        types,
+        value,
+        signature
+      );
+      expect(signer).to.equal(wallet.address);
+    });
+
+    describe("should reject invalid typed data", function() {
+      it("unknown domain field", async function() {
+        const domain = Object.assign({}, mail.domain, { foo: "bar" });
+        expect(() =>
+          Account.hashTypedData(domain, mail.types, mail.value)
+        ).to.throw(InvalidTypedDataError);
+      });
+
+      it("ambiguous primary type", async function() {
+        const types = Object.assign({}, mail.types, {
+          Other: [{ name: "a", type: "uint256" }],
+        });
+        expect(() =>
+          Account.hashTypedData(mail.domain, types, mail.value)
+        ).to.throw(InvalidTypedDataError);
+      });
+
+      it("missing field", async function() {
+        const value = Object.assign({}, mail.value);
+        delete value.contents;
+        expect(() =>
+          Account.hashTypedData(mail.domain, mail.types, value)
+        ).to.throw(InvalidTypedDataError);
+      });
+
+      it("unknown type", async function() {
+        const types = { Mail: [{ name: "a", type: "uint7x" }] };
+        expect(() =>
+          Account.hashTypedData(mail.domain, types, { a: 1 })
+        ).to.throw(InvalidTypedDataError);
+      });
+
+      it("wrong fixed array length", async function() {
+        const types = { Pair: [{ name: "items", type: "uint256[2]" }] };
+        expect(() =>
+          Account.hashTypedData(mail.domain, types, { items: [1] })
+        ).to.throw(InvalidTypedDataError);
+      });
+
+      it("invalid value", async function() {
+        const value = Object.assign({}, mail.value, {
+          from: { name: "Cow", wallet: "not an address" },
+        });
+        expect(() =>
+          Account.hashTypedData(mail.domain, mail.types, value)
+        ).to.throw(InvalidTypedDataError);
+      });
+    });
+  });
+});
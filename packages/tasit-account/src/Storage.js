@@ -0,0 +1,65 @@
+// Storage adapters used to persist an account's encrypted keystore.
+//
+// Any object implementing this async interface can be used as a storage:
+//  - getItem(key) => Promise<string | null>
+//  - setItem(key, value) => Promise<void>
+//  - removeItem(key) => Promise<void>
+//
+// This is intentionally the same shape as React Native's AsyncStorage.
+// A filesystem adapter for Node lives in `./FileStorage` so that mobile bundles
+// don't need to resolve the `fs` module.
+
+export const isStorage = storage => {
+  return (
+    !!storage &&
+    typeof storage.getItem === "function" &&
+    typeof storage.setItem === "function" &&
+    typeof storage.removeItem === "function"
+  );
+};
+
+// Keeps items in memory only, useful for tests and short-lived sessions
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    this.items.set(key, value);
+  }
+
+  async removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+// Wraps React Native's AsyncStorage (or anything shaped like it),
+// namespacing the keys so they don't clash with the app's own items
+export class AsyncStorageAdapter {
+  constructor(asyncStorage, prefix = "@tasit:") {
+    if (!isStorage(asyncStorage))
+      throw new Error(`Cannot create an adapter without an AsyncStorage`);
+
+    this.asyncStorage = asyncStorage;
+    this.prefix = prefix;
+  }
+
+  async getItem(key) {
+    const value = await this.asyncStorage.getItem(`${this.prefix}${key}`);
+    return value === undefined ? null : value;
+  }
+
+  async setItem(key, value) {
+    await this.asyncStorage.setItem(`${this.prefix}${key}`, value);
+  }
+
+  async removeItem(key) {
+    await this.asyncStorage.removeItem(`${this.prefix}${key}`);
+  }
+}
+
+export default { isStorage, MemoryStorage, AsyncStorageAdapter };
@@ -0,0 +1,77 @@
+import { MemoryStorage, AsyncStorageAdapter } from "./Storage";
+import FileStorage from "./FileStorage";
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const behavesLikeStorage = createStorage => {
+  let storage;
+
+  beforeEach("create storage", async function() {
+    storage = createStorage();
+  });
+
+  it("should return null for a missing item", async function() {
+    expect(await storage.getItem("missing")).to.be.null;
+  });
+
+  it("should set and get an item", async function() {
+    await storage.setItem("key", "value");
+    expect(await storage.getItem("key")).to.equal("value");
+  });
+
+  it("should overwrite an item", async function() {
+    await storage.setItem("key", "value");
+    await storage.setItem("key", "other value");
+    expect(await storage.getItem("key")).to.equal("other value");
+  });
+
+  it("should remove an item", async function() {
+    await storage.setItem("key", "value");
+    await storage.removeItem("key");
+    expect(await storage.getItem("key")).to.be.null;
+  });
+
+  it("should ignore removal of a missing item", async function() {
+    await storage.removeItem("missing");
+  });
+};
+
+describe("Storage", function() {
+  describe("MemoryStorage", function() {
+    behavesLikeStorage(() => new MemoryStorage());
+  });
+
+  describe("AsyncStorageAdapter", function() {
+    let asyncStorage;
+
+    behavesLikeStorage(() => {
+      asyncStorage = new MemoryStorage();
+      return new AsyncStorageAdapter(asyncStorage);
+    });
+
+    it("should prefix the AsyncStorage keys", async function() {
+      const adapter = new AsyncStorageAdapter(asyncStorage, "@app:");
+      await adapter.setItem("key", "value");
+      expect(await asyncStorage.getItem("@app:key")).to.equal("value");
+    });
+
+    it("should throw without an AsyncStorage", async function() {
+      expect(() => new AsyncStorageAdapter()).to.throw();
+    });
+  });
+
+  describe("FileStorage", function() {
+    let directory;
+
+    behavesLikeStorage(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "tasit-account-"));
+      return new FileStorage(path.join(directory, "nested"));
+    });
+
+    it("should throw without a directory", async function() {
+      expect(() => new FileStorage()).to.throw();
+    });
+  });
+});
@@ -2,6 +2,44 @@ import "ethers/dist/shims.js";
 // Note: ethers SHOULD be imported from their main object
 // shims aren't injected with package import
 import { ethers } from "ethers";
+import { isStorage, MemoryStorage, AsyncStorageAdapter } from "./Storage";
+import {
+  generateMnemonic,
+  isValidMnemonic,
+  fromMnemonic,
+  createHDAccount,
+  createRandomHDAccount,
+} from "./HDAccount";
+import { encryptKeystore, decryptKeystore } from "./Keystore";
+import { fromPrivateKey, importAccount, exportAccount } from "./ImportExport";
+import {
+  signMessage,
+  verifyMessage,
+  signTypedData,
+  recoverTypedDataSigner,
+} from "./Signing";
+import { hashTypedData } from "./TypedData";
+import {
+  generateNonce,
+  createLoginChallenge,
+  formatLoginMessage,
+  parseLoginMessage,
+  signLogin,
+  MemoryNonceStore,
+  createLoginVerifier,
+} from "./Login";
+import {
+  getPublicKey,
+  recoverPublicKey,
+  addKnownPublicKey,
+  encryptFor,
+  decrypt,
+} from "./Encryption";
+import { splitSecret, combineShares } from "./SecretSharing";
+import Errors, { AccountError, KeystoreNotFoundError } from "./Errors";
+
+// Storage key used when the app doesn't provide one
+const DEFAULT_KEYSTORE_KEY = "tasit-account-keystore";
 
 const create = () => {
   try {
@@ -12,8 +50,94 @@ const create = () => {
   }
 };
 
+// Encrypts the wallet as a JSON keystore (Web3 Secret Storage V3) and persists it
+// Options:
+//  - key: The storage key (default: "tasit-account-keystore")
+//  - progressCallback: Called with a number between 0 and 1 during the scrypt step
+//  - scrypt: Overrides the scrypt parameters ({ N, r, p }), lowering them makes
+//    the encryption faster but weaker
+const save = async (wallet, password, storage, options = {}) => {
+  const { key = DEFAULT_KEYSTORE_KEY, progressCallback, scrypt } = options;
+
+  if (!isStorage(storage))
+    throw new AccountError(`Cannot save a wallet without a valid storage`);
+
+  const json = await encryptKeystore(wallet, password, {
+    progressCallback,
+    scrypt,
+  });
+
+  await storage.setItem(key, json);
+};
+
+// Loads and decrypts a wallet previously persisted with save()
+// Options:
+//  - key: The storage key (default: "tasit-account-keystore")
+//  - progressCallback: Called with a number between 0 and 1 during the scrypt step
+const load = async (storage, password, options = {}) => {
+  const { key = DEFAULT_KEYSTORE_KEY, progressCallback } = options;
+
+  if (!isStorage(storage))
+    throw new AccountError(`Cannot load a wallet without a valid storage`);
+
+  const json = await storage.getItem(key);
+
+  if (json === null || json === undefined)
+    throw new KeystoreNotFoundError(
+      `No keystore found in storage for key '${key}'`
+    );
+
+  return decryptKeystore(json, password, { progressCallback });
+};
+
+const remove = async (storage, options = {}) => {
+  const { key = DEFAULT_KEYSTORE_KEY } = options;
+
+  if (!isStorage(storage))
+    throw new AccountError(`Cannot remove a wallet without a valid storage`);
+
+  await storage.removeItem(key);
+};
+
+export {
+  MemoryStorage,
+  AsyncStorageAdapter,
+  MemoryNonceStore,
+  createLoginVerifier,
+  Errors,
+};
+export * from "./Errors";
+
 export const Account = {
   create,
+  save,
+  load,
+  remove,
+  generateMnemonic,
+  isValidMnemonic,
+  fromMnemonic,
+  createHDAccount,
+  createRandomHDAccount,
+  fromPrivateKey,
+  import: importAccount,
+  export: exportAccount,
+  signMessage,
+  verifyMessage,
+  signTypedData,
+  recoverTypedDataSigner,
+  hashTypedData,
+  generateNonce,
+  createLoginChallenge,
+  formatLoginMessage,
+  parseLoginMessage,
+  signLogin,
+  getPublicKey,
+  recoverPublicKey,
+  addKnownPublicKey,
+  encryptFor,
+  decrypt,
+  splitSecret,
+  combineShares,
 };
 
 export default Account;
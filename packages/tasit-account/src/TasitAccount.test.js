@@ -1,9 +1,121 @@
-import Account from "./TasitAccount";
+import Account, { MemoryStorage } from "./TasitAccount";
 import { expect, assert } from "chai";
+import chai from "chai";
+chai.use(require("chai-as-promised"));
+
+// Note: Lowering scrypt's cost parameter keeps these tests fast
+// The default (N = 2^17) is what apps should use
+const scrypt = { N: 1024 };
 
 describe("Account", function() {
   it("should create a random wallet", async function() {
     let w = Account.create();
     expect(w.address).to.have.lengthOf(42);
   });
+
+  describe("keystore persistence", function() {
+    let wallet, storage;
+    const password = "correct horse battery staple";
+
+    beforeEach("create wallet and storage", async function() {
+      wallet = Account.create();
+      storage = new MemoryStorage();
+    });
+
+    it("should save and load a wallet", async function() {
+      await Account.save(wallet, password, storage, { scrypt });
+      const loaded = await Account.load(storage, password);
+
+      expect(loaded.address).to.equal(wallet.address);
+      expect(loaded.privateKey).to.equal(wallet.privateKey);
+    });
+
+    it("should store an encrypted JSON keystore", async function() {
+      await Account.save(wallet, password, storage, { scrypt });
+      const json = await storage.getItem("tasit-account-keystore");
+      const keystore = JSON.parse(json);
+
+      expect(keystore.version).to.equal(3);
+      expect(keystore.Crypto.kdf).to.equal("scrypt");
+      expect(json).not.to.include(wallet.privateKey.slice(2));
+    });
+
+    it("should save and load using a custom key", async function() {
+      const other = Account.create();
+      await Account.save(wallet, password, storage, { key: "first", scrypt });
+      await Account.save(other, password, storage, { key: "second", scrypt });
+
+      const first = await Account.load(storage, password, { key: "first" });
+      const second = await Account.load(storage, password, { key: "second" });
+
+      expect(first.address).to.equal(wallet.address);
+      expect(second.address).to.equal(other.address);
+    });
+
+    it("should report scrypt progress", async function() {
+      const saveProgress = [];
+      const loadProgress = [];
+
+      await Account.save(wallet, password, storage, {
+        scrypt,
+        progressCallback: progress => saveProgress.push(progress),
+      });
+      await Account.load(storage, password, {
+        progressCallback: progress => loadProgress.push(progress),
+      });
+
+      expect(saveProgress).not.to.be.empty;
+      expect(saveProgress[saveProgress.length - 1]).to.equal(1);
+      expect(loadProgress).not.to.be.empty;
+      expect(loadProgress[loadProgress.length - 1]).to.equal(1);
+    });
+
+    it("should throw on wrong password", async function() {
+      await Account.save(wallet, password, storage, { scrypt });
+
+      await expect(Account.load(storage, "wrong password")).to.be.rejectedWith(
+        "Wrong password for keystore"
+      );
+    });
+
+    it("should throw on corrupt data", async function() {
+      await storage.setItem("tasit-account-keystore", "{ not a keystore");
+
+      await expect(Account.load(storage, password)).to.be.rejectedWith(
+        "Keystore data is corrupt"
+      );
+    });
+
+    it("should throw on tampered keystore", async function() {
+      await Account.save(wallet, password, storage, { scrypt });
+      const keystore = JSON.parse(
+        await storage.getItem("tasit-account-keystore")
+      );
+      keystore.Crypto.cipher = "unknown-cipher";
+      await storage.setItem("tasit-account-keystore", JSON.stringify(keystore));
+
+      await expect(Account.load(storage, password)).to.be.rejectedWith(
+        "Keystore data is corrupt"
+      );
+    });
+
+    it("should throw when there is no keystore", async function() {
+      await expect(Account.load(storage, password)).to.be.rejectedWith(
+        "No keystore found"
+      );
+    });
+
+    it("should remove a saved keystore", async function() {
+      await Account.save(wallet, password, storage, { scrypt });
+      await Account.remove(storage);
+
+      await expect(Account.load(storage, password)).to.be.rejected;
+    });
+
+    it("should throw when saving without password or storage", async function() {
+      await expect(Account.save(wallet, "", storage)).to.be.rejected;
+      await expect(Account.save(wallet, password, {})).to.be.rejected;
+      await expect(Account.save("wallet", password, storage)).to.be.rejected;
+    });
+  });
 });
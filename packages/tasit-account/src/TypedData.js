@@ -0,0 +1,199 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import { InvalidTypedDataError } from "./Errors";
+
+// EIP-712 typed structured data hashing
+// See: https://eips.ethereum.org/EIPS/eip-712
+
+const {
+  arrayify,
+  concat,
+  defaultAbiCoder,
+  hexlify,
+  keccak256,
+  toUtf8Bytes,
+} = ethers.utils;
+
+// Domain fields in the order defined by EIP-712
+const DOMAIN_FIELDS = [
+  { name: "name", type: "string" },
+  { name: "version", type: "string" },
+  { name: "chainId", type: "uint256" },
+  { name: "verifyingContract", type: "address" },
+  { name: "salt", type: "bytes32" },
+];
+
+const ATOMIC_TYPE = /^(address|bool|u?int(\d*)|bytes(\d+))$/;
+const ARRAY_TYPE = /^(.*)\[(\d*)\]$/;
+
+export const getDomainTypes = domain => {
+  if (!domain || typeof domain !== "object")
+    throw new InvalidTypedDataError(`Typed data domain should be an object`);
+
+  const unknown = Object.keys(domain).filter(
+    key => !DOMAIN_FIELDS.find(field => field.name === key)
+  );
+
+  if (unknown.length > 0)
+    throw new InvalidTypedDataError(
+      `Invalid domain field(s): [${unknown}], use: [${DOMAIN_FIELDS.map(
+        field => field.name
+      )}]`
+    );
+
+  return DOMAIN_FIELDS.filter(field => domain[field.name] !== undefined);
+};
+
+const baseType = type => {
+  const match = type.match(ARRAY_TYPE);
+  return match ? baseType(match[1]) : type;
+};
+
+// The primary type is the only struct type not referenced by any other type
+export const getPrimaryType = types => {
+  const names = Object.keys(types);
+  const referenced = new Set();
+
+  names.forEach(name => {
+    types[name].forEach(field => referenced.add(baseType(field.type)));
+  });
+
+  const primaryTypes = names.filter(name => !referenced.has(name));
+
+  if (primaryTypes.length !== 1)
+    throw new InvalidTypedDataError(
+      `Typed data should have exactly one primary type, found: [${primaryTypes}]`
+    );
+
+  return primaryTypes[0];
+};
+
+const findDependencies = (type, types, found = new Set()) => {
+  const name = baseType(type);
+  if (found.has(name) || !types[name]) return found;
+
+  found.add(name);
+  types[name].forEach(field => findDependencies(field.type, types, found));
+  return found;
+};
+
+export const encodeType = (primaryType, types) => {
+  const [primary, ...dependencies] = Array.from(
+    findDependencies(primaryType, types)
+  );
+
+  if (primary !== primaryType)
+    throw new InvalidTypedDataError(`Unknown type '${primaryType}'`);
+
+  return [primary, ...dependencies.sort()]
+    .map(name => {
+      const fields = types[name].map(field => `${field.type} ${field.name}`);
+      return `${name}(${fields.join(",")})`;
+    })
+    .join("");
+};
+
+export const typeHash = (primaryType, types) => {
+  return keccak256(toUtf8Bytes(encodeType(primaryType, types)));
+};
+
+const encodeValue = (type, value, types) => {
+  if (types[type]) return hashStruct(type, value, types);
+
+  const arrayMatch = type.match(ARRAY_TYPE);
+  if (arrayMatch) {
+    const [, itemType, length] = arrayMatch;
+
+    if (!Array.isArray(value))
+      throw new InvalidTypedDataError(
+        `Value of type '${type}' should be an array`
+      );
+
+    if (length !== "" && value.length !== parseInt(length))
+      throw new InvalidTypedDataError(
+        `Value of type '${type}' should have ${length} items`
+      );
+
+    const encodedItems = value.map(item => encodeValue(itemType, item, types));
+    return keccak256(concat(encodedItems));
+  }
+
+  if (type !== "string" && type !== "bytes" && !ATOMIC_TYPE.test(type))
+    throw new InvalidTypedDataError(`Unknown type '${type}'`);
+
+  try {
+    if (type === "string") {
+      if (typeof value !== "string") throw new Error();
+      return keccak256(toUtf8Bytes(value));
+    }
+
+    if (type === "bytes") return keccak256(arrayify(value));
+
+    return defaultAbiCoder.encode([type], [value]);
+  } catch (error) {
+    throw new InvalidTypedDataError(`Invalid value for type '${type}'`);
+  }
+};
+
+export const encodeData = (primaryType, value, types) => {
+  if (!types[primaryType])
+    throw new InvalidTypedDataError(`Unknown type '${primaryType}'`);
+
+  if (!value || typeof value !== "object")
+    throw new InvalidTypedDataError(
+      `Value of type '${primaryType}' should be an object`
+    );
+
+  const encodedFields = types[primaryType].map(field => {
+    if (value[field.name] === undefined)
+      throw new InvalidTypedDataError(
+        `Missing field '${field.name}' of type '${primaryType}'`
+      );
+
+    return encodeValue(field.type, value[field.name], types);
+  });
+
+  return hexlify(concat([typeHash(primaryType, types), ...encodedFields]));
+};
+
+export const hashStruct = (primaryType, value, types) => {
+  return keccak256(encodeData(primaryType, value, types));
+};
+
+export const hashDomain = domain => {
+  const types = { EIP712Domain: getDomainTypes(domain) };
+  return hashStruct("EIP712Domain", domain, types);
+};
+
+// Returns the digest to be signed for the given domain, types and value
+// Note: `types` shouldn't include EIP712Domain, it's built from the domain fields
+export const hashTypedData = (domain, types, value) => {
+  if (!types || typeof types !== "object")
+    throw new InvalidTypedDataError(`Typed data types should be an object`);
+
+  const structTypes = Object.assign({}, types);
+  delete structTypes.EIP712Domain;
+
+  const primaryType = getPrimaryType(structTypes);
+
+  return keccak256(
+    concat([
+      "0x1901",
+      hashDomain(domain),
+      hashStruct(primaryType, value, structTypes),
+    ])
+  );
+};
+
+export default {
+  getDomainTypes,
+  getPrimaryType,
+  encodeType,
+  typeHash,
+  encodeData,
+  hashStruct,
+  hashDomain,
+  hashTypedData,
+};
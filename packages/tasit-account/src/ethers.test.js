@@ -5,10 +5,8 @@ const zero = ethers.utils.bigNumberify(0);
 
 let wallet, provider;
 
-// Note: We're intentionally not testing the `fromEncryptedJson` or `encrypt` functions
-// from `ethers.js` because we don't plan to expose that functionality in the Tasit SDK.
-// For a detailed explanation of why, see this GitHub issue:
-// https://github.com/tasitlabs/TasitSDK/issues/24#issuecomment-443576993
+// Note: The `fromEncryptedJson` and `encrypt` functions from `ethers.js` are
+// covered through `Account.save()` and `Account.load()` in TasitAccount.test.js
 describe("ethers.js", () => {
   beforeEach("instantiate wallet and provider objects", async function() {
     provider = new ethers.providers.JsonRpcProvider();
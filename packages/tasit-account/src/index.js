@@ -1 +1,2 @@
 export { default } from "./TasitAccount";
+export * from "./TasitAccount";
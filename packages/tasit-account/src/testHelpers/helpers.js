@@ -1,12 +1,9 @@
-import { ethers } from "ethers";
+import Account from "../TasitAccount";
 
+// Note: Kept for the test suites that already use it,
+// apps should use Account.fromPrivateKey() or Account.import()
 export const createFromPrivateKey = privKey => {
-  try {
-    const wallet = new ethers.Wallet(privKey);
-    return wallet;
-  } catch (error) {
-    throw new Error(`Error creating wallet: ${error.message}`);
-  }
+  return Account.fromPrivateKey(privKey);
 };
 
 export default { createFromPrivateKey };
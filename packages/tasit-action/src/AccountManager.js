@@ -0,0 +1,189 @@
+import Subscription from "./contract/Subscription";
+import Utils from "./contract/Utils";
+
+// Holds several named accounts (wallets) and one active account
+// Every Contract bound to the manager uses the active account to write data
+export class AccountManager extends Subscription {
+  #accounts = new Map();
+  // Note: Name => address, or the promise of it while a Tasit signer resolves it
+  #addresses = new Map();
+  #pendingChanges = Promise.resolve();
+  #pendingChangeCount = 0;
+  #activeName;
+  #contracts = new Set();
+
+  // Accounts can be passed as an object, e.g.: { seller: sellerWallet }
+  constructor(accounts = {}) {
+    super();
+
+    Object.keys(accounts).forEach(name => this.add(name, accounts[name]));
+  }
+
+  add = (name, wallet) => {
+    if (!name || typeof name !== "string")
+      throw new Error(`Cannot add an account without a name`);
+
+    if (!Utils.isSigner(wallet))
+      throw new Error(`Cannot add an invalid wallet as account '${name}'`);
+
+    if (this.#accounts.has(name))
+      throw new Error(`An account named '${name}' is already added`);
+
+    this.#accounts.set(name, wallet);
+    this.#addAddress(name, wallet);
+  };
+
+  // Tasit signers (e.g. WalletSigner) have only getAddress()
+  #addAddress = (name, wallet) => {
+    if (typeof wallet.address === "string") {
+      this.#addresses.set(name, wallet.address);
+      return;
+    }
+
+    const address = Promise.resolve(wallet.getAddress());
+    this.#addresses.set(name, address);
+
+    address
+      .then(resolved => {
+        if (this.#addresses.get(name) === address)
+          this.#addresses.set(name, resolved);
+      })
+      .catch(() => {});
+  };
+
+  // Note: Removing the active account leaves the manager without one
+  remove = name => {
+    if (!this.#accounts.has(name))
+      throw new Error(`Account '${name}' not found`);
+
+    if (name === this.#activeName) this.clearActive();
+
+    this.#accounts.delete(name);
+    this.#addresses.delete(name);
+  };
+
+  get = name => {
+    return this.#accounts.get(name);
+  };
+
+  getNames = () => {
+    return Array.from(this.#accounts.keys());
+  };
+
+  setActive = name => {
+    if (!this.#accounts.has(name))
+      throw new Error(`Account '${name}' not found`);
+
+    if (name === this.#activeName) return;
+
+    this.#changeActive(name);
+  };
+
+  clearActive = () => {
+    if (this.#activeName === undefined) return;
+
+    this.#changeActive(undefined);
+  };
+
+  getActive = () => {
+    return this.#accounts.get(this.#activeName);
+  };
+
+  getActiveName = () => {
+    return this.#activeName;
+  };
+
+  // The contract starts using the active account right away
+  // and follows the next account switches
+  bind = contract => {
+    if (!contract || typeof contract.setWallet !== "function")
+      throw new Error(`Cannot bind an invalid Contract`);
+
+    this.#contracts.add(contract);
+    this.#updateContract(contract);
+  };
+
+  // Note: The contract keeps the wallet it has at the moment
+  unbind = contract => {
+    this.#contracts.delete(contract);
+  };
+
+  // Returns the function that removes this listener (see also off())
+  on = (eventName, listener) => {
+    return this.#addListener(eventName, listener, false);
+  };
+
+  once = (eventName, listener) => {
+    return this.#addListener(eventName, listener, true);
+  };
+
+  #addListener = (eventName, listener, once) => {
+    const events = ["change", "error"];
+
+    if (!events.includes(eventName))
+      throw new Error(`Invalid event, use: [${events}]`);
+
+    if (eventName === "error" && once)
+      throw new Error(`Use on() function to subscribe to an error event.`);
+
+    if (!listener || typeof listener !== "function")
+      throw new Error(`Cannot listen without a function`);
+
+    if (eventName === "error") return this._addErrorListener(listener);
+
+    if (once) return this._addLocalOnceListener(eventName, listener);
+
+    return this._addLocalEventListener(eventName, listener);
+  };
+
+  #changeActive = name => {
+    const previousName = this.#activeName;
+    this.#activeName = name;
+
+    this.#contracts.forEach(contract => this.#updateContract(contract));
+
+    const address = this.#addresses.get(name);
+    const emit = address => {
+      const message = {
+        data: {
+          name,
+          address,
+          previousName,
+        },
+      };
+
+      this._emitLocalEvent("change", message);
+    };
+
+    if (!(address instanceof Promise) && this.#pendingChangeCount === 0) {
+      emit(address);
+      return;
+    }
+
+    // Note: The change waits for the address of a Tasit signer,
+    // the next changes wait for it so the events keep their order
+    this.#pendingChangeCount++;
+    this.#pendingChanges = this.#pendingChanges
+      .then(() => address)
+      .catch(error => {
+        this._emitErrorEvent(
+          new Error(
+            `Cannot get the address of account '${name}': ${error.message}`
+          )
+        );
+      })
+      .then(address => {
+        this.#pendingChangeCount--;
+        emit(address);
+      });
+  };
+
+  #updateContract = contract => {
+    const wallet = this.getActive();
+
+    if (wallet) contract.setWallet(wallet);
+    else contract.removeWallet();
+  };
+}
+
+export default AccountManager;
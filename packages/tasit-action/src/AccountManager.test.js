@@ -0,0 +1,268 @@
+import AccountManager from "./AccountManager";
+import Contract from "./contract/Contract";
+import WalletSigner from "./signer/WalletSigner";
+import { ethers } from "ethers";
+
+import { abi as contractABI } from "../../tasit-contracts/build/contracts/SampleContract.json";
+
+const sampleContractAddress = "0x6C4A015797DDDd87866451914eCe1e8b19261931";
+
+describe("TasitAction.AccountManager", () => {
+  let owner;
+  let ana;
+  let bob;
+  let accounts;
+  let sampleContract;
+  let provider;
+  let snapshotId;
+
+  before("", async () => {
+    owner = createFromPrivateKey(ownerPrivKey);
+
+    ana = createFromPrivateKey(
+      "0xc181b6b02c9757f13f5aa15d1342a58970a8a489722dc0608a1d09fea717c181"
+    );
+
+    bob = createFromPrivateKey(
+      "0x4f09311114f0ff4dfad0edaa932a3e01a4ee9f34da2cbd087aa0e6ffcb9eb322"
+    );
+  });
+
+  beforeEach("", async () => {
+    accounts = new AccountManager({ ana, bob });
+
+    sampleContract = new Contract(sampleContractAddress, contractABI);
+    provider = sampleContract._getProvider();
+
+    snapshotId = await createSnapshot(provider);
+  });
+
+  afterEach("", async () => {
+    accounts.unsubscribe();
+    sampleContract.unsubscribe();
+
+    await revertFromSnapshot(provider, snapshotId);
+  });
+
+  const getLastAuthor = async () => {
+    const { interface: contractInterface } = sampleContract.getEmitter();
+    const { topic } = contractInterface.events.ValueChanged;
+
+    const logs = await provider.getLogs({
+      address: sampleContractAddress,
+      fromBlock: 0,
+      toBlock: "latest",
+      topics: [topic],
+    });
+
+    const [lastLog] = logs.slice(-1);
+    return ethers.utils.getAddress(
+      ethers.utils.hexDataSlice(lastLog.topics[1], 12)
+    );
+  };
+
+  describe("accounts", () => {
+    it("should hold named accounts", async () => {
+      expect(accounts.getNames()).to.deep.equal(["ana", "bob"]);
+      expect(accounts.get("ana")).to.equal(ana);
+      expect(accounts.getActive()).to.be.undefined;
+      expect(accounts.getActiveName()).to.be.undefined;
+    });
+
+    it("should add and remove accounts", async () => {
+      accounts.add("owner", owner);
+      expect(accounts.get("owner")).to.equal(owner);
+
+      accounts.remove("owner");
+      expect(accounts.getNames()).to.deep.equal(["ana", "bob"]);
+    });
+
+    it("should throw error when adding an invalid account", async () => {
+      expect(() => accounts.add("owner", "invalid wallet")).to.throw();
+      expect(() => accounts.add("", owner)).to.throw();
+      expect(() => accounts.add("ana", owner)).to.throw();
+    });
+
+    it("should throw error when using an unknown account", async () => {
+      expect(() => accounts.setActive("owner")).to.throw();
+      expect(() => accounts.remove("owner")).to.throw();
+    });
+
+    it("should set the active account", async () => {
+      accounts.setActive("bob");
+      expect(accounts.getActive()).to.equal(bob);
+      expect(accounts.getActiveName()).to.equal("bob");
+
+      accounts.clearActive();
+      expect(accounts.getActive()).to.be.undefined;
+    });
+
+    it("should clear the active account when it's removed", async () => {
+      accounts.setActive("bob");
+      accounts.remove("bob");
+      expect(accounts.getActive()).to.be.undefined;
+    });
+  });
+
+  describe("bound contracts", () => {
+    it("should throw error when binding an invalid contract", async () => {
+      expect(() => accounts.bind({})).to.throw();
+    });
+
+    it("should be read-only without an active account", async () => {
+      accounts.bind(sampleContract);
+
+      expect(() => sampleContract.setValue("hello world")).to.throw();
+    });
+
+    it("should use the account active when binding", async () => {
+      accounts.setActive("ana");
+      accounts.bind(sampleContract);
+
+      const action = sampleContract.setValue("from ana");
+      await action.waitForNonceToUpdate();
+
+      expect(await getLastAuthor()).to.equal(ana.address);
+    });
+
+    it("should follow account switches", async () => {
+      const otherContract = new Contract(sampleContractAddress, contractABI);
+      accounts.bind(sampleContract);
+      accounts.bind(otherContract);
+
+      accounts.setActive("ana");
+      let action = sampleContract.setValue("from ana");
+      await action.waitForNonceToUpdate();
+      expect(await getLastAuthor()).to.equal(ana.address);
+
+      accounts.setActive("bob");
+      action = otherContract.setValue("from bob");
+      await action.waitForNonceToUpdate();
+      expect(await getLastAuthor()).to.equal(bob.address);
+
+      accounts.clearActive();
+      expect(() => sampleContract.setValue("hello world")).to.throw();
+      expect(() => otherContract.setValue("hello world")).to.throw();
+    });
+
+    it("should not update an unbound contract", async () => {
+      accounts.bind(sampleContract);
+      accounts.setActive("ana");
+      accounts.unbind(sampleContract);
+      accounts.setActive("bob");
+
+      const action = sampleContract.setValue("from ana");
+      await action.waitForNonceToUpdate();
+
+      expect(await getLastAuthor()).to.equal(ana.address);
+    });
+  });
+
+  describe("events", () => {
+    it("should emit change events", async () => {
+      const listener = sinon.fake();
+      accounts.on("change", listener);
+
+      accounts.setActive("ana");
+      accounts.setActive("ana");
+      accounts.setActive("bob");
+      accounts.clearActive();
+
+      expect(listener.callCount).to.equal(3);
+      expect(listener.getCall(0).args[0]).to.deep.equal({
+        data: { name: "ana", address: ana.address, previousName: undefined },
+      });
+      expect(listener.getCall(1).args[0]).to.deep.equal({
+        data: { name: "bob", address: bob.address, previousName: "ana" },
+      });
+      expect(listener.getCall(2).args[0]).to.deep.equal({
+        data: { name: undefined, address: undefined, previousName: "bob" },
+      });
+    });
+
+    it("should emit the address of a Tasit signer", async () => {
+      accounts.add("signer", new WalletSigner(owner));
+
+      const changed = new Promise(resolve => {
+        accounts.on("change", message => resolve(message.data));
+      });
+
+      accounts.setActive("signer");
+
+      expect(await changed).to.deep.equal({
+        name: "signer",
+        address: owner.address,
+        previousName: undefined,
+      });
+    });
+
+    it("should keep the order of the change events", async () => {
+      const names = [];
+      accounts.add("signer", new WalletSigner(owner));
+      accounts.on("change", message => names.push(message.data.name));
+
+      accounts.setActive("signer");
+      accounts.setActive("ana");
+      await wait(10);
+
+      expect(names).to.deep.equal(["signer", "ana"]);
+    });
+
+    it("should emit a change event once", async () => {
+      const listener = sinon.fake();
+      accounts.once("change", listener);
+
+      accounts.setActive("ana");
+      accounts.setActive("bob");
+
+      expect(listener.callCount).to.equal(1);
+      expect(accounts.subscribedEventNames()).to.be.empty;
+    });
+
+    it("should call every listener of the change event", async () => {
+      const screen = sinon.fake();
+      const sync = sinon.fake();
+      const onceListener = sinon.fake();
+
+      const unsubscribe = accounts.on("change", screen);
+      accounts.on("change", sync);
+      accounts.once("change", onceListener);
+
+      accounts.setActive("ana");
+      unsubscribe();
+      accounts.setActive("bob");
+      accounts.off("change", sync);
+      accounts.setActive("ana");
+
+      expect(screen.callCount).to.equal(1);
+      expect(sync.callCount).to.equal(2);
+      expect(onceListener.callCount).to.equal(1);
+      expect(accounts.subscribedEventNames()).to.be.empty;
+    });
+
+    it("should emit error event when the listener fails", async () => {
+      const errorListener = sinon.fake();
+
+      accounts.on("error", errorListener);
+      accounts.on("change", () => {
+        throw new Error(`Failed to update the UI`);
+      });
+
+      accounts.setActive("ana");
+      await wait(10);
+
+      expect(errorListener.callCount).to.equal(1);
+      const { error } = errorListener.getCall(0).args[0];
+      expect(error.message).to.equal(
+        `Listener function with error: Failed to update the UI`
+      );
+      expect(error.eventName).to.equal("change");
+    });
+
+    it("should throw error when listening to an invalid event", async () => {
+      expect(() => accounts.on("confirmation", () => {})).to.throw();
+      expect(() => accounts.on("change")).to.throw();
+      expect(() => accounts.once("error", () => {})).to.throw();
+    });
+  });
+});
@@ -32,6 +32,47 @@ const sampleConfig = {
   // Events properties
   events: {
     timeout: 2000, // After this many millisecconds, the event listener will reject with a timeout error (default: 2000)
+    enoughConfirmations: 6, // Action enoughConfirmations events are emitted after this many confirmations (default: 6)
+  },
+  // Simulate every contract write (eth_call, gas estimation and balance check) before it's signed
+  // A write that would fail is rejected with a PreflightError on the Action error event (default: false)
+  preflight: false,
+  // Contract writes return an unsent Action, its transaction is sent on action.send() (default: false)
+  // Listeners and overrides (action.setOverrides()) can be set before that
+  deferredSend: false,
+  // Contract writes are saved on this storage until they're final, see Action.restorePending() (default: none)
+  // A storage adapter of tasit-account (e.g. AsyncStorageAdapter), or any object with async
+  // getItem(key), setItem(key, value) and removeItem(key) functions, e.g. AsyncStorage
+  actionStorage: undefined,
+  // Meta-transactions (see action.sendMeta()), signed by the wallet and sent by a relayer that pays for the gas
+  metaTx: {
+    forwarderAddress: "0x256B1362381598C9a78c09f2828f9982F6C309a9", // The Forwarder contract (deployed on ganache by the tasit-contracts migrations)
+    relayer: "http://localhost:8546", // The URL of a relayer server (see meta/RelayerServer), or an object with relay(metaTx)
+    expiresIn: 3600, // The forwarder rejects a meta-transaction after this many seconds (default: 3600)
+  },
+  // Gas of contract writes, overrides (e.g. `{ gasLimit, gasPrice }` as the last argument) win
+  gas: {
+    limitMultiplier: 1.2, // The gas estimation is multiplied by this (default: 1.2)
+    // Gas price strategies (default: node):
+    //  - fixed: { strategy: "fixed", value: "1000000000" } (in wei)
+    //  - node: { strategy: "node" } (eth_gasPrice)
+    //  - percentile: { strategy: "percentile", percentile: 50, blocks: 20 } (of the transactions in the latest blocks)
+    //  - eip1559: { strategy: "eip1559", priorityFee: "1000000000" } (falls back to node without a base fee)
+    //  - a function that resolves to a gas price: { strategy: async provider => gasPrice }
+    price: {
+      strategy: "node",
+    },
+  },
+  // Policies every contract write should follow before it's signed (default: none)
+  // A write that breaks one is rejected with a PolicyViolationError on the Action error event
+  // Amounts are in wei (or the smallest unit of the token)
+  // Note: A LocalRelayer only relays meta-transactions to the allowedContracts
+  policies: {
+    allowedContracts: ["0x7A108774086B0f0550ead16b383C474E5B3682d7"], // Contract addresses, e.g. the SampleMetaTxRecipient
+    allowedFunctions: ["approve", "transferFrom(address,address,uint256)"], // Function names or signatures
+    maxTokenAmount: "1000000000000000000", // Max. ERC20 amount per transfer or approval, or amounts by token address
+    maxValue: "100000000000000000", // Max. ETH value per write
+    dailySpendLimit: "500000000000000000", // Max. ETH value per account per day (UTC)
   },
 };
 
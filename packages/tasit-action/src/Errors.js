@@ -0,0 +1,71 @@
+// Typed errors emitted by tasit-action
+export class ActionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+// `policy` is the name of the violated policy (see `policies` on ConfigLoader)
+export class PolicyViolationError extends ActionError {
+  constructor(message, policy) {
+    super(message);
+    this.policy = policy;
+  }
+}
+
+// `reason` is one of: revert, gasEstimation, insufficientFunds
+// `transaction` is what was checked (from, to, data, value, and gas when known)
+// `balance` and `required` are set on insufficientFunds
+// `cause` is the node error, or a RevertError with the decoded revert data
+export class PreflightError extends ActionError {
+  constructor(message, reason, details = {}) {
+    super(message);
+    const { transaction, balance, required, cause } = details;
+    this.reason = reason;
+    this.transaction = transaction;
+    this.balance = balance;
+    this.required = required;
+    this.cause = cause;
+  }
+}
+
+// A call or transaction reverted, with its decoded revert data (see RevertDecoder):
+//  - errorName: "Error" (require/revert with a message), "Panic" or a custom error from the ABI
+//  - args: the decoded arguments of the error
+//  - reason: a readable reason, when there is one
+//  - data: the raw revert data, txHash: the hash of the failed transaction (if sent)
+export class RevertError extends ActionError {
+  constructor(message, details = {}) {
+    super(message);
+    const { reason, errorName, args, data, txHash } = details;
+    this.reason = reason;
+    this.errorName = errorName;
+    this.args = args;
+    this.data = data;
+    this.txHash = txHash;
+  }
+}
+
+// A step of an ActionSequence failed:
+//  - step, index: the name and position of the failed step
+//  - completed: the names of the steps that completed before it
+//  - cause: the error of the step (e.g. a RevertError)
+export class ActionSequenceError extends ActionError {
+  constructor(message, details = {}) {
+    super(message);
+    const { step, index, completed, cause } = details;
+    this.step = step;
+    this.index = index;
+    this.completed = completed;
+    this.cause = cause;
+  }
+}
+
+export default {
+  ActionError,
+  PolicyViolationError,
+  PreflightError,
+  RevertError,
+  ActionSequenceError,
+};
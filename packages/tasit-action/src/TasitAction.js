@@ -1,23 +1,66 @@
 import ConfigLoader from "./ConfigLoader";
+import AccountManager from "./AccountManager";
+import WalletSigner from "./signer/WalletSigner";
+import JsonRpcSigner from "./signer/JsonRpcSigner";
 import Contract from "./contract/Contract";
+import Action from "./contract/Action";
+import ActionSequence from "./contract/ActionSequence";
+import Transaction from "./contract/Transaction";
+import Gas from "./contract/Gas";
+import ActionStorage from "./contract/ActionStorage";
 import NFT from "./erc721/NFT";
 import Land from "./erc721/Land";
 import Decentraland from "./marketplace/Decentraland";
 import Estate from "./erc721/Estate";
 import Mana from "./erc20/Mana";
+import Sponsor from "./funding/Sponsor";
+import MemoryAuditLog from "./funding/AuditLog";
+import MetaTransaction from "./meta/MetaTransaction";
+import { LocalRelayer, HttpRelayer } from "./meta/Relayer";
+import Errors from "./Errors";
 
-export { Contract, NFT, Land, Decentraland, Estate, Mana };
+export {
+  Contract,
+  Action,
+  ActionSequence,
+  Transaction,
+  Gas,
+  ActionStorage,
+  AccountManager,
+  NFT,
+  Land,
+  Decentraland,
+  Estate,
+  Mana,
+  Sponsor,
+  Errors,
+};
+
+export * from "./Errors";
 
+export const Signer = { WalletSigner, JsonRpcSigner };
 export const ERC20 = { Mana };
 export const ERC721 = { Land, Estate, NFT };
 export const Marketplace = { Decentraland };
+export const Funding = { Sponsor, MemoryAuditLog };
+export const Meta = { MetaTransaction, LocalRelayer, HttpRelayer };
 
 export const TasitAction = {
   Contract,
+  Action,
+  ActionSequence,
+  Transaction,
+  Gas,
+  ActionStorage,
+  AccountManager,
   ConfigLoader,
+  Signer,
   ERC20,
   ERC721,
   Marketplace,
+  Funding,
+  Meta,
+  Errors,
 };
 
 export default TasitAction;
@@ -1,6 +1,61 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
 import Subscription from "./Subscription";
 import ProviderFactory from "../ProviderFactory";
 import ConfigLoader from "../ConfigLoader";
+import RevertDecoder from "./RevertDecoder";
+import NonceManager from "./NonceManager";
+import ActionStorage, { isStorage } from "./ActionStorage";
+import { ActionError, RevertError } from "../Errors";
+
+const { bigNumberify } = ethers.utils;
+
+// Note: Nodes (e.g. geth) only accept a replacement with a gas price at least 10% higher
+const REPLACEMENT_PRICE_BUMP = 10;
+
+const DEFAULT_ENOUGH_CONFIRMATIONS = 6;
+
+// A transaction that the node doesn't know for this many blocks in a row is dropped
+const DROPPED_AFTER_BLOCKS = 2;
+
+// A reverted transaction or one with enough confirmations isn't pending anymore
+const isFinal = (receipt, enoughConfirmations) => {
+  return receipt.status === 0 || receipt.confirmations >= enoughConfirmations;
+};
+
+// The signed transaction of an ethers.js transaction response, to broadcast it again
+// Note: The responses of transactions sent from a wallet have the signature only
+const toSignedTransaction = tx => {
+  const { raw, hash, r, s, v } = tx;
+  let signedTransaction = raw;
+
+  if (!signedTransaction && r && s && v !== undefined) {
+    const { to, nonce, gasPrice, gasLimit, value, data, chainId } = tx;
+    try {
+      signedTransaction = ethers.utils.serializeTransaction(
+        { to, nonce, gasPrice, gasLimit, value, data, chainId },
+        { r, s, v }
+      );
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  if (!signedTransaction || ethers.utils.keccak256(signedTransaction) !== hash)
+    return undefined;
+
+  return signedTransaction;
+};
+
+// Events checked on each block, their listeners are called once
+const LIFECYCLE_EVENTS = [
+  "mined",
+  "reverted",
+  "dropped",
+  "enoughConfirmations",
+];
 
 // If necessary, we can create TransactionAction
 //  and/or MetaTxAction subclasses
@@ -11,35 +66,246 @@ export class Action extends Subscription {
   #txConfirmations;
   #timeout;
   #lastConfirmationTime;
-
-  constructor(txPromise, provider) {
+  #abi;
+  #revertEmitted;
+  #signer;
+  #replacements;
+  #enoughConfirmations;
+  #sentHash;
+  #status;
+  #confirmation;
+  #unknownBlocks;
+  #revertError;
+  #deferred;
+  #sendCalled;
+  #startSending;
+  #overrides;
+  #meta;
+  #target;
+  #storage;
+  #signedTransaction;
+  #restoredEvents;
+
+  // `txPromise` is the sent transaction, or a function that sends it with overrides
+  // after send() is called (see `deferredSend` on ConfigLoader)
+  // Note: The function is called with `true` as the second argument by sendMeta()
+  // `abi` (optional) is used to decode custom errors of reverts
+  // `signer` (optional) is the ethers.js signer that sent the transaction, to replace it
+  // `target` (optional) is the contract `address` and `functionName` of a write, see toRecord()
+  constructor(txPromise, provider, abi, signer, target) {
     // Provider implements EventEmitter API and it's enough
     //  to handle with transactions events
     super(provider);
 
+    this.#deferred = typeof txPromise === "function";
+    this.#sendCalled = !this.#deferred;
+    this.#overrides = {};
+    this.#meta = false;
+
+    const sentPromise = this.#deferred
+      ? new Promise(resolve => {
+          this.#startSending = resolve;
+        }).then(() => txPromise(this.#overrides, this.#meta))
+      : txPromise;
+
     const { events } = ConfigLoader.getConfig();
-    const { timeout } = events;
+    const {
+      timeout,
+      enoughConfirmations = DEFAULT_ENOUGH_CONFIRMATIONS,
+    } = events;
 
-    this.#txPromise = txPromise.then(
+    this.#txPromise = sentPromise.then(
       tx => {
-        return tx;
+        // Note: Tasit signers that send transactions themselves resolve to the hash
+        const sent = typeof tx === "string" ? { hash: tx } : tx;
+
+        this.#sentHash = sent.hash;
+        // Note: A restored Action keeps the signed transaction of its record
+        this.#signedTransaction =
+          toSignedTransaction(sent) || this.#signedTransaction;
+        this._emitLocalEvent("sent", { data: { hash: sent.hash } });
+        this.#saveRecord();
+
+        return sent;
       },
       error => {
-        this._emitErrorEvent(new Error(`Action with error: ${error.message}`));
+        // Note: Typed errors (e.g. PolicyViolationError) are emitted as they are
+        if (error instanceof ActionError) {
+          this._emitErrorEvent(error);
+          return;
+        }
+
+        const message = `Action with error: ${error.message}`;
+        this._emitErrorEvent(
+          RevertDecoder.toRevertError(error, this.#abi, message) ||
+            new Error(message)
+        );
       }
     );
 
     this.#timeout = timeout;
     this.#provider = provider;
     this.#txConfirmations = 0;
+    this.#abi = abi;
+    this.#revertEmitted = false;
+    this.#signer = signer;
+    // Transactions sent by speedUp() and cancel(), with the same nonce
+    this.#replacements = [];
+    this.#enoughConfirmations = enoughConfirmations;
+    this.#unknownBlocks = 0;
+    this.#target = target;
+    this.#restoredEvents = [];
   }
 
+  // Overrides (e.g. gasPrice, gasLimit) for the transaction of a deferred Action
+  setOverrides = overrides => {
+    if (!this.#deferred)
+      throw new Error(`Cannot set overrides on an Action that isn't deferred`);
+
+    if (this.#sendCalled)
+      throw new Error(`Cannot change an Action that was already sent`);
+
+    this.#overrides = Object.assign({}, this.#overrides, overrides);
+  };
+
+  // Sends the transaction of a deferred Action, the errors are emitted on the error event
+  send = () => {
+    if (this.#sendCalled) throw new Error(`Action was already sent`);
+
+    this.#sendCalled = true;
+    this.#startSending();
+  };
+
+  // Sends the write of a deferred Action as a meta-transaction (see `metaTx` on ConfigLoader):
+  // the wallet signs it and a relayer sends it, paying for the gas
+  // Note: The events are about the transaction of the relayer
+  sendMeta = () => {
+    if (!this.#deferred)
+      throw new Error(
+        `Cannot send a meta-transaction from an Action that isn't deferred`
+      );
+
+    if (this.#sendCalled) throw new Error(`Action was already sent`);
+
+    this.#meta = true;
+    this.send();
+  };
+
+  // Broadcasts a transaction signed elsewhere (see Transaction.sign())
+  static fromSignedTransaction = (
+    signedTransaction,
+    provider = ProviderFactory.getProvider()
+  ) => {
+    try {
+      ethers.utils.parseTransaction(signedTransaction);
+    } catch (error) {
+      throw new Error(`Cannot create an Action from an invalid transaction`);
+    }
+
+    return new Action(provider.sendTransaction(signedTransaction), provider);
+  };
+
+  // Saves the record of the Action (see toRecord()) on the storage (see ActionStorage)
+  // once it's sent, and keeps it updated until the transaction is final
+  // (reverted, or mined with enough confirmations)
+  // Note: Contract writes are persisted with `actionStorage` on ConfigLoader
+  persist = storage => {
+    if (!isStorage(storage))
+      throw new Error(`Cannot persist an Action with an invalid storage`);
+
+    this.#storage = new ActionStorage(storage);
+    this.#saveRecord();
+  };
+
+  // The JSON-serializable record of a sent Action, undefined before it's sent:
+  //  - id: the hash of the first transaction sent
+  //  - hashes: the hashes of the transaction and its replacements (see speedUp())
+  //  - signedTransaction: the last one sent, to broadcast it again (if known)
+  //  - contract: the `address` and `functionName` of a contract write
+  //  - events: the events with listeners, to listen to them again after a restore
+  //    (see getRestoredEventNames())
+  //  - meta: whether it was sent as a meta-transaction (see sendMeta())
+  toRecord = () => {
+    if (!this.#sentHash) return undefined;
+
+    const hashes = [this.#sentHash, ...this.#replacements.map(tx => tx.hash)];
+
+    return {
+      id: this.#sentHash,
+      hashes,
+      signedTransaction: this.#signedTransaction,
+      contract: this.#target,
+      events: Array.from(
+        new Set([...this.#restoredEvents, ...this.subscribedEventNames()])
+      ),
+      meta: this.#meta,
+    };
+  };
+
+  // Rebuilds the Actions of the records on the storage (e.g. after the app restarted)
+  // A pending Action is persisted again and its signed transaction is broadcasted again
+  // if the node doesn't know any of its transactions
+  // Note: The records of final Actions are removed, their listeners still get the outcome
+  static restorePending = async (
+    storage,
+    provider = ProviderFactory.getProvider()
+  ) => {
+    if (!isStorage(storage))
+      throw new Error(`Cannot restore Actions from an invalid storage`);
+
+    const records = await new ActionStorage(storage).getAll();
+    return Promise.all(
+      records.map(record => restoreAction(record, storage, provider))
+    );
+  };
+
+  // The events that had listeners before the app restarted (see restorePending()),
+  // a restored Action has no listeners until they're added again
+  getRestoredEventNames = () => {
+    return [...this.#restoredEvents];
+  };
+
+  #saveRecord = () => {
+    const record = this.toRecord();
+    if (!this.#storage || !record) return;
+
+    this.#storage.save(record).catch(error => {
+      this._emitErrorEvent(
+        new Error(`Action with error: Cannot save it: ${error.message}`)
+      );
+    });
+  };
+
+  #removeRecord = () => {
+    const record = this.toRecord();
+    if (!this.#storage || !record) return;
+
+    const storage = this.#storage;
+    this.#storage = undefined;
+    storage.remove(record.id).catch(error => {
+      this._emitErrorEvent(
+        new Error(`Action with error: Cannot remove it: ${error.message}`)
+      );
+    });
+  };
+
+  // For restoreAction()
+  _restore = record => {
+    const { hashes, signedTransaction, events, meta } = record;
+
+    this.#replacements = hashes.slice(1).map(hash => ({ hash }));
+    this.#signedTransaction = signedTransaction;
+    this.#restoredEvents = events || [];
+    this.#meta = !!meta;
+  };
+
+  // Returns the function that removes this listener (see also off())
   on = (eventName, listener) => {
-    this.#addListener(eventName, listener, false);
+    return this.#addListener(eventName, listener, false);
   };
 
   once = (eventName, listener) => {
-    this.#addListener(eventName, listener, true);
+    return this.#addListener(eventName, listener, true);
   };
 
   getEventsTimeout = () => {
@@ -51,7 +317,13 @@ export class Action extends Subscription {
   };
 
   #addListener = (eventName, listener, once) => {
-    const events = ["confirmation", "error"];
+    const events = [
+      "confirmation",
+      "error",
+      "sent",
+      "replaced",
+      ...LIFECYCLE_EVENTS,
+    ];
 
     if (!events.includes(eventName))
       throw new Error(`Invalid event, use: [${events}]`);
@@ -62,72 +334,164 @@ export class Action extends Subscription {
     if (!listener || typeof listener !== "function")
       throw new Error(`Cannot listen without a function`);
 
-    if (eventName !== "error" && eventName !== "confirmation") {
-      throw new Error(`Invalid event '${event}'.`);
-    } else if (eventName === "error") {
-      this._addErrorListener(listener);
+    let unsubscribe;
+    if (eventName === "error") {
+      unsubscribe = this._addErrorListener(listener);
     } else if (eventName === "confirmation") {
-      this.#addConfirmationListener(listener, once);
+      unsubscribe = this.#addConfirmationListener(listener, once);
+    } else if (LIFECYCLE_EVENTS.includes(eventName)) {
+      unsubscribe = this.#addLifecycleListener(eventName, listener, once);
+    } else {
+      unsubscribe = this.#addLocalListener(eventName, listener, once);
     }
+
+    this.#saveRecord();
+
+    return unsubscribe;
   };
 
-  #addConfirmationListener = (listener, once) => {
-    const eventName = "confirmation";
+  // sent and replaced are emitted by the Action itself
+  // Note: A sent listener added after the transaction was sent is called right away
+  #addLocalListener = (eventName, listener, once) => {
+    let unsubscribe;
+
+    const localListener = !once
+      ? listener
+      : async message => {
+          unsubscribe();
+          await listener(message);
+        };
+
+    unsubscribe = this._addLocalEventListener(
+      eventName,
+      localListener,
+      listener
+    );
 
-    const baseEthersListener = async blockNumber => {
+    if (eventName === "sent" && this.#sentHash)
+      this._emitLocalEvent(
+        eventName,
+        { data: { hash: this.#sentHash } },
+        localListener
+      );
+
+    return unsubscribe;
+  };
+
+  // Note: Each listener is called once, even if it's added after the fact
+  #addLifecycleListener = (eventName, listener, once) => {
+    let called = false;
+    let unsubscribe;
+
+    const ethersListener = async blockNumber => {
       try {
-        if (!this.#tx) this.#tx = await this.#txPromise;
+        if (called) return;
+
+        const message = await this.#getLifecycleMessage(eventName, blockNumber);
+        if (!message || called) return;
+        if (!this._hasEventListener(eventName, ethersListener)) return;
+
+        called = true;
+        if (once) unsubscribe();
 
-        const receipt = await this.#provider.getTransactionReceipt(
-          this.#tx.hash
+        await listener(message);
+      } catch (error) {
+        this._emitErrorEventFromEventListener(
+          new Error(`Listener function with error: ${error.message}`),
+          eventName
         );
+      }
+    };
 
-        const blockReorgOccurred =
-          (receipt === null && this.#txConfirmations > 0) ||
-          (receipt !== null && receipt.confirmations <= this.#txConfirmations);
-
-        if (blockReorgOccurred) {
-          this._emitErrorEventFromEventListener(
-            new Error(
-              `Your action's position in the chain has changed in a surprising way.`
-            ),
-            eventName
-          );
-        }
+    unsubscribe = this._addEventListener(
+      eventName,
+      ethersListener,
+      "block",
+      listener
+    );
 
-        if (receipt === null) {
-          this.#txConfirmations = 0;
-          return;
-        }
+    return unsubscribe;
+  };
 
-        this._clearEventTimerIfExists(eventName);
+  // Resolves to undefined while the event didn't happen
+  #getLifecycleMessage = async (eventName, blockNumber) => {
+    const { receipt, dropped } = await this.#getStatus(blockNumber);
 
-        this.#lastConfirmationTime = Date.now();
+    if (eventName === "dropped")
+      return dropped ? { data: { hash: this.#tx.hash } } : undefined;
 
-        const timer = setTimeout(() => {
-          const currentTime = Date.now();
-          const timedOut =
-            currentTime - this.#lastConfirmationTime >= this.getEventsTimeout();
+    if (!receipt) return undefined;
 
-          if (timedOut) {
-            this._emitErrorEventFromEventListener(
-              new Error(`Event ${eventName} reached timeout.`),
-              eventName
-            );
-          }
-        }, this.getEventsTimeout());
+    const { transactionHash: hash, gasUsed, confirmations } = receipt;
+    // Note: Receipts before the Byzantium fork have no status
+    const succeeded = receipt.status !== 0;
 
-        this._setEventTimer(eventName, timer);
+    if (eventName === "mined" && succeeded)
+      return { data: { hash, receipt, gasUsed } };
 
-        const { confirmations } = receipt;
+    if (
+      eventName === "enoughConfirmations" &&
+      succeeded &&
+      confirmations >= this.#enoughConfirmations
+    )
+      return { data: { hash, receipt, confirmations } };
 
-        this.#txConfirmations = confirmations;
+    if (eventName === "reverted" && !succeeded) {
+      const { reason, errorName, args } = await this.#getRevertError(receipt);
+      return { data: { hash, receipt, gasUsed, reason, errorName, args } };
+    }
+  };
 
-        const message = {
-          data: {
-            confirmations,
-          },
-        };
+  // The receipt of the mined transaction (or replacement), or whether it was dropped
+  // Note: Checked once per block for all the events
+  #getStatus = blockNumber => {
+    if (!this.#status || this.#status.blockNumber !== blockNumber)
+      this.#status = { blockNumber, promise: this.#checkStatus() };
+
+    return this.#status.promise;
+  };
+
+  #checkStatus = async () => {
+    if (!this.#sendCalled) return {};
+    if (!this.#tx) this.#tx = await this.#txPromise;
+    if (!this.#tx) return {};
+
+    const receipt = await this.#getReceipt();
+    if (receipt !== null) {
+      this.#unknownBlocks = 0;
+      if (isFinal(receipt, this.#enoughConfirmations)) this.#removeRecord();
+      return { receipt };
+    }
+
+    const hashes = [this.#tx, ...this.#replacements].map(tx => tx.hash);
+    const txs = await Promise.all(
+      hashes.map(hash => this.#provider.getTransaction(hash))
+    );
+
+    if (txs.some(tx => tx !== null)) {
+      this.#unknownBlocks = 0;
+      return {};
+    }
+
+    this.#unknownBlocks++;
+    return { dropped: this.#unknownBlocks >= DROPPED_AFTER_BLOCKS };
+  };
+
+  #addConfirmationListener = (listener, once) => {
+    const eventName = "confirmation";
+    let called = false;
+    let unsubscribe;
+
+    const ethersListener = async blockNumber => {
+      try {
+        const message = await this.#getConfirmation(blockNumber);
+        if (!message || (once && called)) return;
+        if (!this._hasEventListener(eventName, ethersListener)) return;
+
+        if (once) {
+          called = true;
+          unsubscribe();
+        }
 
         await listener(message);
       } catch (error) {
@@ -138,27 +502,249 @@ export class Action extends Subscription {
       }
     };
 
-    let ethersListener;
+    unsubscribe = this._addEventListener(
+      eventName,
+      ethersListener,
+      undefined,
+      listener
+    );
 
-    if (once) {
-      ethersListener = async blockNumber => {
-        await baseEthersListener(blockNumber);
-        this.off(eventName);
-      };
-    } else {
-      ethersListener = baseEthersListener;
+    return unsubscribe;
+  };
+
+  // The confirmation message of the block (undefined without a successful receipt)
+  // Note: The listeners of a block share its check, otherwise the second one would
+  // look like a reorg, and the checks run one block after the other
+  // A block checked again later (e.g. after a reorg) gets a new check
+  #getConfirmation = blockNumber => {
+    const last = this.#confirmation;
+    if (last && last.blockNumber === blockNumber && !last.settled)
+      return last.promise;
+
+    const previous = last ? last.promise.catch(() => {}) : Promise.resolve();
+    const confirmation = { blockNumber, settled: false };
+    const settle = () => {
+      confirmation.settled = true;
+    };
+
+    confirmation.promise = previous.then(() => this.#checkConfirmation());
+    confirmation.promise.then(settle, settle);
+    this.#confirmation = confirmation;
+
+    return confirmation.promise;
+  };
+
+  #checkConfirmation = async () => {
+    const eventName = "confirmation";
+
+    if (!this.#sendCalled) return undefined;
+    if (!this.#tx) this.#tx = await this.#txPromise;
+
+    const receipt = await this.#getReceipt();
+
+    const blockReorgOccurred =
+      (receipt === null && this.#txConfirmations > 0) ||
+      (receipt !== null && receipt.confirmations <= this.#txConfirmations);
+
+    if (blockReorgOccurred) {
+      this._emitErrorEventFromEventListener(
+        new Error(
+          `Your action's position in the chain has changed in a surprising way.`
+        ),
+        eventName
+      );
     }
 
-    this._addEventListener(eventName, ethersListener);
+    if (receipt === null) {
+      this.#txConfirmations = 0;
+      return undefined;
+    }
+
+    // Note: A reverted transaction has no confirmations, see the reverted event
+    if (receipt.status === 0) {
+      if (!this.#revertEmitted) {
+        this.#revertEmitted = true;
+        this._emitErrorEventFromEventListener(
+          await this.#getRevertError(receipt),
+          eventName
+        );
+      }
+      return undefined;
+    }
+
+    this._clearEventTimerIfExists(eventName);
+
+    this.#lastConfirmationTime = Date.now();
+
+    const timer = setTimeout(() => {
+      const currentTime = Date.now();
+      const timedOut =
+        currentTime - this.#lastConfirmationTime >= this.getEventsTimeout();
+
+      if (timedOut) {
+        this._emitErrorEventFromEventListener(
+          new Error(`Event ${eventName} reached timeout.`),
+          eventName
+        );
+      }
+    }, this.getEventsTimeout());
+
+    this._setEventTimer(eventName, timer);
+
+    const { confirmations } = receipt;
+
+    this.#txConfirmations = confirmations;
+
+    return {
+      data: {
+        confirmations,
+      },
+    };
+  };
+
+  #getRevertError = receipt => {
+    if (!this.#revertError) this.#revertError = this.#decodeRevert(receipt);
+    return this.#revertError;
   };
 
-  // Tech debt
-  // This method avoids duplicated nonce generation when several transactions happen in rapid succession
-  // See: https://github.com/ethereumbook/ethereumbook/blob/04f66ae45cd9405cce04a088556144be11979699/06transactions.asciidoc#keeping-track-of-nonces
-  // How should we keep track of nonces?
+  // Note: The transaction is run again as a call on its block to get the revert data
+  #decodeRevert = async receipt => {
+    const { transactionHash: txHash, blockNumber } = receipt;
+    const messagePrefix = "Action with error: ";
+
+    const tx = await this.#provider.getTransaction(txHash);
+    const revertError = await RevertDecoder.fromCall(
+      this.#provider,
+      tx,
+      blockNumber,
+      this.#abi,
+      messagePrefix
+    );
+
+    const error =
+      revertError ||
+      new RevertError(`${messagePrefix}Transaction ${txHash} reverted`);
+    error.txHash = txHash;
+    return error;
+  };
+
+  // The receipt of the transaction or of the replacement that got mined, null if none
+  #getReceipt = async () => {
+    const hashes = [this.#tx, ...this.#replacements].map(tx => tx.hash);
+    const receipts = await Promise.all(
+      hashes.map(hash => this.#provider.getTransactionReceipt(hash))
+    );
+    return receipts.find(receipt => receipt !== null) || null;
+  };
+
+  // Sends the same transaction with the same nonce and a higher gas price
+  // (default: 10% higher than the last one), resolves to its hash
+  speedUp = async ({ gasPrice } = {}) => {
+    const tx = await this.#getPendingTransaction();
+    const { to, data, value, gasLimit } = tx;
+
+    return this.#replace(
+      { to, data, value, gasLimit },
+      tx,
+      gasPrice,
+      "speedUp"
+    );
+  };
+
+  // Sends a zero-value transfer to the sender with the same nonce
+  // and a higher gas price (same default as speedUp), resolves to its hash
+  cancel = async ({ gasPrice } = {}) => {
+    const tx = await this.#getPendingTransaction();
+    const cancellation = { to: tx.from, data: "0x", value: 0, gasLimit: 21000 };
+
+    return this.#replace(cancellation, tx, gasPrice, "cancel");
+  };
+
+  // The last transaction sent (the original or a replacement)
+  #getPendingTransaction = async () => {
+    if (this.#meta)
+      throw new Error(
+        `Cannot replace a meta-transaction, its relayer sends it`
+      );
+
+    if (!this.#signer)
+      throw new Error(`Cannot replace a transaction without a signer`);
+
+    if (!this.#sendCalled)
+      throw new Error(`Cannot replace an Action that wasn't sent`);
+
+    if (!this.#tx) this.#tx = await this.#txPromise;
+    if (!this.#tx) throw new Error(`Cannot replace an Action that wasn't sent`);
+
+    if ((await this.#getReceipt()) !== null)
+      throw new Error(`Cannot replace an Action that was already mined`);
+
+    const last = this.#replacements[this.#replacements.length - 1] || this.#tx;
+
+    // Note: Tasit signers that send transactions themselves resolve to the hash
+    if (last.nonce !== undefined) return last;
+
+    const tx = await this.#provider.getTransaction(last.hash);
+    if (tx === null)
+      throw new Error(`Cannot replace the unknown transaction ${last.hash}`);
+
+    return tx;
+  };
+
+  #replace = async (replacement, tx, gasPrice, reason) => {
+    const minGasPrice = bigNumberify(tx.gasPrice)
+      .mul(100 + REPLACEMENT_PRICE_BUMP)
+      .add(99)
+      .div(100);
+
+    const newGasPrice =
+      gasPrice === undefined ? minGasPrice : bigNumberify(gasPrice);
+
+    if (newGasPrice.lt(minGasPrice))
+      throw new Error(
+        `The gas price of a replacement should be at least ${minGasPrice} wei`
+      );
+
+    const { nonce, from } = tx;
+    const sent = await this.#signer.sendTransaction(
+      Object.assign({}, replacement, { nonce, gasPrice: newGasPrice })
+    );
+
+    this.#replacements.push(sent);
+    NonceManager.getManager(from).replace(nonce, sent.hash);
+
+    this.#signedTransaction = toSignedTransaction(sent);
+    this.#saveRecord();
+
+    const message = {
+      data: {
+        hash: sent.hash,
+        replacedHash: tx.hash,
+        reason,
+      },
+    };
+
+    this._emitLocalEvent("replaced", message);
+
+    return sent.hash;
+  };
+
+  // Waits for the transaction (or the replacement) to be mined
+  // Note: Writes don't need it to get the right nonce anymore, see NonceManager
   waitForNonceToUpdate = async () => {
     if (!this.#tx) this.#tx = await this.#txPromise;
-    if (this.#tx) await this.#provider.waitForTransaction(this.#tx.hash);
+    if (!this.#tx) return;
+
+    // Note: A listener for a transaction that's never mined (e.g. a replaced one)
+    // would keep polling, so the receipts are checked on each block instead
+    await ethers.utils.poll(
+      async () => {
+        const receipt = await this.#getReceipt();
+        if (receipt === null) return undefined;
+        return receipt;
+      },
+      { onceBlock: this.#provider }
+    );
   };
 
   // For testing purposes
@@ -167,4 +753,43 @@ export class Action extends Subscription {
   };
 }
 
+// The Action of a record (see Action toRecord()) with the current chain state
+const restoreAction = async (record, storage, provider) => {
+  const { id, hashes, signedTransaction, contract } = record;
+  const { events } = ConfigLoader.getConfig();
+  const { enoughConfirmations = DEFAULT_ENOUGH_CONFIRMATIONS } = events;
+
+  const receipts = await Promise.all(
+    hashes.map(hash => provider.getTransactionReceipt(hash))
+  );
+  const receipt = receipts.find(receipt => receipt !== null);
+
+  let broadcast = Promise.resolve();
+  if (!receipt && signedTransaction) {
+    const txs = await Promise.all(
+      hashes.map(hash => provider.getTransaction(hash))
+    );
+
+    // Note: If the node rejects it (e.g. the nonce was used by another transaction)
+    // the Action emits the dropped event
+    if (txs.every(tx => tx === null))
+      broadcast = provider.sendTransaction(signedTransaction).catch(() => {});
+  }
+
+  const action = new Action(
+    broadcast.then(() => ({ hash: id })),
+    provider,
+    undefined,
+    undefined,
+    contract
+  );
+  action._restore(record);
+
+  if (receipt && isFinal(receipt, enoughConfirmations))
+    await new ActionStorage(storage).remove(id);
+  else action.persist(storage);
+
+  return action;
+};
+
 export default Action;
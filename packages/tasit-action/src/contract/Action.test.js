@@ -0,0 +1,421 @@
+import Contract from "./Contract";
+import Action from "./Action";
+import ConfigLoader from "../ConfigLoader";
+import { ethers } from "ethers";
+
+import { abi as contractABI } from "../../../tasit-contracts/build/contracts/SampleContract.json";
+
+const sampleContractAddress = "0x6C4A015797DDDd87866451914eCe1e8b19261931";
+
+const { bigNumberify, hexlify, randomBytes } = ethers.utils;
+
+describe("TasitAction.Action", () => {
+  let wallet;
+  let sampleContract;
+  let provider;
+  let snapshotId;
+  let signer;
+  let action;
+
+  // Note: Ganache mines every transaction right away, so the pending transaction
+  // is one that was never broadcasted, its nonce is the next one of the wallet
+  const pendingTransaction = async value => {
+    const { interface: contractInterface } = sampleContract.getEmitter();
+
+    return {
+      hash: hexlify(randomBytes(32)),
+      from: wallet.address,
+      to: sampleContractAddress,
+      data: contractInterface.functions.setValue.encode([value]),
+      value: bigNumberify(0),
+      gasLimit: bigNumberify(100000),
+      gasPrice: bigNumberify(1e9),
+      nonce: await provider.getTransactionCount(wallet.address),
+    };
+  };
+
+  const pendingAction = async value => {
+    const tx = await pendingTransaction(value);
+    return new Action(Promise.resolve(tx), provider, contractABI, signer);
+  };
+
+  before("", async () => {
+    wallet = createFromPrivateKey(ownerPrivKey);
+  });
+
+  beforeEach("", async () => {
+    action = undefined;
+    sampleContract = new Contract(sampleContractAddress, contractABI, wallet);
+    provider = sampleContract._getProvider();
+    snapshotId = await createSnapshot(provider);
+
+    const connected = wallet.connect(provider);
+    signer = {
+      sendTransaction: sinon.fake(tx => connected.sendTransaction(tx)),
+    };
+  });
+
+  afterEach("", async () => {
+    if (action) action.unsubscribe();
+    sampleContract.unsubscribe();
+
+    await revertFromSnapshot(provider, snapshotId);
+  });
+
+  describe("speedUp", () => {
+    it("should send the same transaction with a higher gas price", async () => {
+      action = await pendingAction("sped up");
+      const original = await pendingTransaction("sped up");
+
+      const hash = await action.speedUp();
+
+      const replacement = signer.sendTransaction.getCall(0).args[0];
+      expect(replacement.nonce).to.equal(original.nonce);
+      expect(replacement.data).to.equal(original.data);
+      expect(replacement.gasPrice.toString()).to.equal("1100000000");
+
+      await action.waitForNonceToUpdate();
+      const receipt = await provider.getTransactionReceipt(hash);
+      expect(receipt.status).to.equal(1);
+      expect(await sampleContract.getValue()).to.equal("sped up");
+    });
+
+    it("should use the given gas price", async () => {
+      action = await pendingAction("sped up");
+
+      await action.speedUp({ gasPrice: 2e9 });
+
+      const replacement = signer.sendTransaction.getCall(0).args[0];
+      expect(replacement.gasPrice.toString()).to.equal("2000000000");
+    });
+
+    it("should throw error with a gas price that nodes wouldn't accept", async () => {
+      action = await pendingAction("sped up");
+
+      await expect(action.speedUp({ gasPrice: 1.05e9 })).to.be.rejectedWith(
+        `The gas price of a replacement should be at least 1100000000 wei`
+      );
+      expect(signer.sendTransaction.callCount).to.equal(0);
+    });
+
+    it("should emit the replaced event", async () => {
+      action = await pendingAction("sped up");
+      const original = await pendingTransaction("sped up");
+
+      const replaced = new Promise(resolve => {
+        action.once("replaced", message => resolve(message.data));
+      });
+      const hash = await action.speedUp();
+
+      const data = await replaced;
+      expect(data.hash).to.equal(hash);
+      expect(data.replacedHash).not.to.equal(hash);
+      expect(data.reason).to.equal("speedUp");
+      expect(original.nonce).to.equal(
+        (await provider.getTransaction(hash)).nonce
+      );
+    });
+
+    it("should follow the confirmations of the replacement", async () => {
+      action = await pendingAction("sped up");
+
+      const confirmationListener = sinon.fake();
+      action.on("confirmation", confirmationListener);
+
+      await action.speedUp();
+      await mineBlocks(provider, 2);
+      await action.waitForNonceToUpdate();
+
+      expect(confirmationListener.called).to.be.true;
+      const { data } = confirmationListener.lastCall.args[0];
+      expect(data.confirmations).to.be.at.least(1);
+    });
+
+    it("should not replace a mined transaction", async () => {
+      action = sampleContract.setValue("mined");
+      await action.waitForNonceToUpdate();
+
+      await expect(action.speedUp()).to.be.rejectedWith(
+        `Cannot replace an Action that was already mined`
+      );
+    });
+
+    it("should not replace without a signer", async () => {
+      const tx = await pendingTransaction("sped up");
+      action = new Action(Promise.resolve(tx), provider);
+
+      await expect(action.speedUp()).to.be.rejectedWith(
+        `Cannot replace a transaction without a signer`
+      );
+    });
+  });
+
+  describe("cancel", () => {
+    it("should send a zero-value transfer to the sender", async () => {
+      action = await pendingAction("cancelled");
+
+      const replaced = new Promise(resolve => {
+        action.on("replaced", message => resolve(message.data));
+      });
+      const hash = await action.cancel();
+
+      const cancellation = signer.sendTransaction.getCall(0).args[0];
+      expect(cancellation.to).to.equal(wallet.address);
+      expect(cancellation.value).to.equal(0);
+      expect(cancellation.data).to.equal("0x");
+      expect(cancellation.gasPrice.toString()).to.equal("1100000000");
+
+      expect((await replaced).reason).to.equal("cancel");
+
+      await action.waitForNonceToUpdate();
+      const receipt = await provider.getTransactionReceipt(hash);
+      expect(receipt.status).to.equal(1);
+      expect(await sampleContract.getValue()).not.to.equal("cancelled");
+    });
+
+    it("should outbid the last replacement", async () => {
+      // Note: The replacement is never broadcasted, like the pending transaction
+      const connected = wallet.connect(provider);
+      let sent = 0;
+      signer.sendTransaction = sinon.fake(async tx => {
+        sent++;
+        if (sent === 1)
+          return Object.assign({}, tx, {
+            hash: hexlify(randomBytes(32)),
+            from: wallet.address,
+          });
+        return connected.sendTransaction(tx);
+      });
+
+      action = await pendingAction("cancelled");
+      await action.speedUp({ gasPrice: 2e9 });
+      await action.cancel();
+
+      const cancellation = signer.sendTransaction.getCall(1).args[0];
+      expect(cancellation.gasPrice.toString()).to.equal("2200000000");
+    });
+  });
+
+  describe("lifecycle events", () => {
+    let defaultConfig;
+
+    before("", async () => {
+      defaultConfig = ConfigLoader.getConfig();
+    });
+
+    afterEach("", async () => {
+      ConfigLoader.setConfig(defaultConfig);
+    });
+
+    it("should emit sent with the transaction hash", async () => {
+      action = sampleContract.setValue("sent");
+      const { hash } = await waitForEvent(action, "sent");
+
+      await action.waitForNonceToUpdate();
+      const receipt = await provider.getTransactionReceipt(hash);
+      expect(receipt.status).to.equal(1);
+    });
+
+    it("should emit sent to a listener added after the transaction was sent", async () => {
+      action = sampleContract.setValue("sent");
+      await action.waitForNonceToUpdate();
+
+      const { hash } = await waitForEvent(action, "sent");
+      expect(hash).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("should emit mined with the receipt and gas used", async () => {
+      action = sampleContract.setValue("mined");
+
+      const revertedListener = sinon.fake();
+      action.on("reverted", revertedListener);
+      const minedListener = sinon.fake();
+      action.on("mined", minedListener);
+
+      const { hash } = await waitForEvent(action, "sent");
+      await action.waitForNonceToUpdate();
+      await mineBlocks(provider, 2);
+
+      expect(minedListener.callCount).to.equal(1);
+      const { data } = minedListener.lastCall.args[0];
+      expect(data.hash).to.equal(hash);
+      expect(data.receipt.status).to.equal(1);
+      expect(data.gasUsed.toNumber()).to.be.above(21000);
+      expect(revertedListener.called).to.be.false;
+    });
+
+    it("should emit reverted with the reason instead of confirmations", async () => {
+      // Note: Ganache rejects the broadcast, but mines the transaction
+      const hash = await sampleContract
+        .getEmitter()
+        .revertWrite("hello", { gasLimit: 100000 })
+        .catch(error => error.transactionHash);
+
+      action = new Action(Promise.resolve({ hash }), provider, contractABI);
+
+      const minedListener = sinon.fake();
+      action.on("mined", minedListener);
+      const confirmationListener = sinon.fake();
+      action.on("confirmation", confirmationListener);
+      const errorListener = sinon.fake();
+      action.on("error", errorListener);
+
+      const reverted = waitForEvent(action, "reverted");
+      await mineBlocks(provider, 1);
+      const data = await reverted;
+      await mineBlocks(provider, 1);
+
+      expect(data.hash).to.equal(hash);
+      expect(data.reason).to.equal("revertWrite always reverts");
+      expect(data.errorName).to.equal("Error");
+      expect(data.receipt.status).to.equal(0);
+      expect(data.gasUsed.toNumber()).to.be.above(0);
+
+      expect(minedListener.called).to.be.false;
+      expect(confirmationListener.called).to.be.false;
+      expect(errorListener.callCount).to.equal(1);
+    });
+
+    it("should emit dropped when the node doesn't know the transaction", async () => {
+      action = await pendingAction("dropped");
+
+      const minedListener = sinon.fake();
+      action.on("mined", minedListener);
+      const dropped = waitForEvent(action, "dropped");
+
+      await mineBlocks(provider, 3);
+      const { hash } = await dropped;
+
+      expect(hash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(minedListener.called).to.be.false;
+    });
+
+    it("should emit enoughConfirmations once at the configured threshold", async () => {
+      const { events } = defaultConfig;
+      ConfigLoader.setConfig(
+        Object.assign({}, defaultConfig, {
+          events: Object.assign({}, events, { enoughConfirmations: 3 }),
+        })
+      );
+
+      action = sampleContract.setValue("confirmed");
+      const listener = sinon.fake();
+      action.on("enoughConfirmations", listener);
+
+      await action.waitForNonceToUpdate();
+      await mineBlocks(provider, 1);
+      expect(listener.called).to.be.false;
+
+      await mineBlocks(provider, 4);
+
+      expect(listener.callCount).to.equal(1);
+      const { data } = listener.lastCall.args[0];
+      expect(data.confirmations).to.be.at.least(3);
+    });
+
+    it("should throw error on an unknown event", async () => {
+      action = sampleContract.setValue("unknown");
+
+      expect(() => action.on("confirmed", () => {})).to.throw(
+        `Invalid event, use: [confirmation,error,sent,replaced,mined,reverted,dropped,enoughConfirmations]`
+      );
+
+      await action.waitForNonceToUpdate();
+    });
+  });
+
+  describe("deferred send", () => {
+    let defaultConfig;
+
+    before("", async () => {
+      defaultConfig = ConfigLoader.getConfig();
+    });
+
+    beforeEach("", async () => {
+      ConfigLoader.setConfig(
+        Object.assign({}, defaultConfig, { deferredSend: true })
+      );
+    });
+
+    afterEach("", async () => {
+      ConfigLoader.setConfig(defaultConfig);
+    });
+
+    it("should send the transaction only on send()", async () => {
+      const nonce = await provider.getTransactionCount(wallet.address);
+
+      action = sampleContract.setValue("deferred");
+      const sent = waitForEvent(action, "sent");
+
+      await mineBlocks(provider, 1);
+      expect(await provider.getTransactionCount(wallet.address)).to.equal(
+        nonce
+      );
+
+      action.send();
+      const { hash } = await sent;
+      await action.waitForNonceToUpdate();
+
+      const tx = await provider.getTransaction(hash);
+      expect(tx.nonce).to.equal(nonce);
+      expect(await sampleContract.getValue()).to.equal("deferred");
+    });
+
+    it("should send with the overrides set before send()", async () => {
+      action = sampleContract.setValue("deferred", { gasLimit: 150000 });
+      action.setOverrides({ gasPrice: 3e9 });
+
+      const sent = waitForEvent(action, "sent");
+      action.send();
+      const { hash } = await sent;
+
+      const tx = await provider.getTransaction(hash);
+      expect(tx.gasLimit.toNumber()).to.equal(150000);
+      expect(tx.gasPrice.toString()).to.equal("3000000000");
+    });
+
+    it("should not change or send an Action again", async () => {
+      action = sampleContract.setValue("deferred");
+      action.send();
+
+      expect(() => action.send()).to.throw(`Action was already sent`);
+      expect(() => action.setOverrides({ gasPrice: 3e9 })).to.throw(
+        `Cannot change an Action that was already sent`
+      );
+
+      await action.waitForNonceToUpdate();
+    });
+
+    it("should emit the errors of the send on the error event", async () => {
+      action = sampleContract.revertWrite("hello");
+
+      const error = new Promise(resolve => {
+        action.on("error", message => resolve(message.error));
+      });
+      action.send();
+
+      expect((await error).reason).to.equal("revertWrite always reverts");
+    });
+
+    it("should not replace an Action that wasn't sent", async () => {
+      action = sampleContract.setValue("deferred");
+
+      await expect(action.speedUp()).to.be.rejectedWith(
+        `Cannot replace an Action that wasn't sent`
+      );
+    });
+
+    it("should be sent already when not deferred", async () => {
+      ConfigLoader.setConfig(defaultConfig);
+
+      action = sampleContract.setValue("not deferred");
+
+      expect(() => action.send()).to.throw(`Action was already sent`);
+      expect(() => action.setOverrides({ gasPrice: 3e9 })).to.throw(
+        `Cannot set overrides on an Action that isn't deferred`
+      );
+
+      await action.waitForNonceToUpdate();
+    });
+  });
+});
@@ -0,0 +1,264 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import Action from "./Action";
+import Subscription from "./Subscription";
+import ProviderFactory from "../ProviderFactory";
+import { ActionSequenceError, RevertError } from "../Errors";
+
+const DEFAULT_CONFIRMATIONS = 1;
+
+// A step is a step factory or an object with:
+//  - run: the step factory, called with the results of the previous steps
+//    It returns an Action (e.g. a contract write) or a promise (e.g. waiting for an event)
+//  - name: shown on the progress events (default: "Step N")
+//  - confirmations: the next step starts after this many confirmations of the Action (default: 1)
+//    With 0 (or null), it starts once the transaction is sent
+// The result of an Action step is its receipt (the `{ hash }` of the transaction without
+// confirmations), the one of a promise is what it resolves to
+const toStep = (step, index) => {
+  const {
+    run,
+    name = `Step ${index + 1}`,
+    confirmations = DEFAULT_CONFIRMATIONS,
+  } = typeof step === "function" ? { run: step } : step || {};
+
+  if (typeof run !== "function")
+    throw new Error(`Cannot create an ActionSequence with an invalid step`);
+
+  if (
+    confirmations !== null &&
+    (!Number.isInteger(confirmations) || confirmations < 0)
+  )
+    throw new Error(`Invalid confirmations for step '${name}'`);
+
+  return { run, name, confirmations: confirmations || 0 };
+};
+
+// Runs dependent steps (e.g. approve, then create an order) one at a time, in order
+// Progress events are emitted for every step, e.g. to show a checklist:
+//  - started, sent (with the hash), mined, confirmation (with the confirmations),
+//    completed (with the result) and failed (with the error)
+// A failed step stops the sequence with an ActionSequenceError
+// Note: Deferred Actions (see `deferredSend` on ConfigLoader) should be sent by their step factory
+export class ActionSequence extends Subscription {
+  #steps;
+  #statuses;
+  #provider;
+  #started = false;
+
+  constructor(steps) {
+    super();
+
+    if (!Array.isArray(steps) || steps.length === 0)
+      throw new Error(`Cannot create an ActionSequence without steps`);
+
+    this.#steps = steps.map(toStep);
+    this.#statuses = this.#steps.map(() => "pending");
+    this.#provider = ProviderFactory.getProvider();
+  }
+
+  // The checklist: name and status (pending, running, completed or failed) of each step
+  getSteps = () => {
+    return this.#steps.map(({ name }, index) => ({
+      name,
+      status: this.#statuses[index],
+    }));
+  };
+
+  // Resolves to the results of the steps
+  // Rejects with an ActionSequenceError (also emitted on the error event) when a step fails
+  run = async () => {
+    if (this.#started) throw new Error(`ActionSequence was already run`);
+    this.#started = true;
+
+    const results = [];
+    for (let index = 0; index < this.#steps.length; index++) {
+      try {
+        results.push(await this.#runStep(index, results.slice()));
+      } catch (error) {
+        const sequenceError = this.#fail(index, error);
+        this._emitErrorEvent(sequenceError);
+        throw sequenceError;
+      }
+    }
+
+    this._emitLocalEvent("completed", { data: { results } });
+
+    return results;
+  };
+
+  // Returns the function that removes this listener (see also off())
+  on = (eventName, listener) => {
+    return this.#addListener(eventName, listener, false);
+  };
+
+  once = (eventName, listener) => {
+    return this.#addListener(eventName, listener, true);
+  };
+
+  #addListener = (eventName, listener, once) => {
+    const events = ["progress", "completed", "error"];
+
+    if (!events.includes(eventName))
+      throw new Error(`Invalid event, use: [${events}]`);
+
+    if (eventName === "error" && once)
+      throw new Error(`Use on() function to subscribe to an error event.`);
+
+    if (!listener || typeof listener !== "function")
+      throw new Error(`Cannot listen without a function`);
+
+    if (eventName === "error") return this._addErrorListener(listener);
+
+    if (once) return this._addLocalOnceListener(eventName, listener);
+
+    return this._addLocalEventListener(eventName, listener);
+  };
+
+  #runStep = async (index, results) => {
+    const { run, confirmations } = this.#steps[index];
+
+    this.#statuses[index] = "running";
+    this.#emitProgress(index, "started");
+
+    const stepResult = await run(results);
+
+    const result =
+      stepResult instanceof Action
+        ? await this.#waitForAction(index, stepResult, confirmations)
+        : await stepResult;
+
+    this.#statuses[index] = "completed";
+    this.#emitProgress(index, "completed", { result });
+
+    return result;
+  };
+
+  // Resolves to the receipt once the Action has enough confirmations
+  // Note: Without confirmations, the Action isn't followed after it's sent
+  // (e.g. a revert isn't reported)
+  // Only the listeners of the sequence are removed, the others (e.g. of the app) stay
+  #waitForAction = (index, action, confirmations) => {
+    return new Promise((resolve, reject) => {
+      const removers = [];
+      let settled = false;
+
+      const removeListeners = () => {
+        removers.splice(0).forEach(remove => remove());
+      };
+
+      const done = (error, receipt) => {
+        settled = true;
+        removeListeners();
+        if (error) reject(error);
+        else resolve(receipt);
+      };
+
+      removers.push(action.on("error", message => done(message.error)));
+
+      const sent = action.once("sent", message => {
+        const { hash } = message.data;
+        this.#emitProgress(index, "sent", { hash });
+
+        if (confirmations === 0) done(undefined, { hash });
+      });
+      removers.push(sent);
+
+      const reverted = action.once("reverted", message => {
+        const { hash, reason, errorName, args } = message.data;
+        const error = new RevertError(
+          `Action with error: Transaction ${hash} reverted`,
+          { reason, errorName, args, txHash: hash }
+        );
+        done(error);
+      });
+      removers.push(reverted);
+
+      const dropped = action.once("dropped", message => {
+        const { hash } = message.data;
+        done(new Error(`Action with error: Transaction ${hash} was dropped`));
+      });
+      removers.push(dropped);
+
+      const mined = action.once("mined", async message => {
+        const { hash } = message.data;
+        this.#emitProgress(index, "mined", { hash });
+
+        try {
+          const receipt = await this.#waitForConfirmations(
+            index,
+            hash,
+            confirmations
+          );
+          done(undefined, receipt);
+        } catch (error) {
+          done(error);
+        }
+      });
+      removers.push(mined);
+
+      // Note: The step may be done while its listeners are added
+      // (e.g. the sent event of an Action that was already sent)
+      if (settled) removeListeners();
+    });
+  };
+
+  // Note: The receipt is checked on each block, a reorg may take it away for a while
+  #waitForConfirmations = (index, hash, confirmations) => {
+    let lastConfirmations = 0;
+
+    return ethers.utils.poll(
+      async () => {
+        const receipt = await this.#provider.getTransactionReceipt(hash);
+        if (receipt === null) return undefined;
+
+        if (receipt.confirmations !== lastConfirmations) {
+          lastConfirmations = receipt.confirmations;
+          this.#emitProgress(index, "confirmation", {
+            hash,
+            confirmations: lastConfirmations,
+          });
+        }
+
+        if (receipt.confirmations < confirmations) return undefined;
+        return receipt;
+      },
+      { onceBlock: this.#provider }
+    );
+  };
+
+  #fail = (index, error) => {
+    const { name } = this.#steps[index];
+    this.#statuses[index] = "failed";
+    this.#emitProgress(index, "failed", { error });
+
+    const completed = this.getSteps()
+      .filter(step => step.status === "completed")
+      .map(step => step.name);
+
+    return new ActionSequenceError(`Step '${name}' failed: ${error.message}`, {
+      step: name,
+      index,
+      completed,
+      cause: error,
+    });
+  };
+
+  #emitProgress = (index, stage, details = {}) => {
+    const { name } = this.#steps[index];
+
+    const message = {
+      data: Object.assign(
+        { index, name, stage, total: this.#steps.length },
+        details,
+        { steps: this.getSteps() }
+      ),
+    };
+
+    this._emitLocalEvent("progress", message);
+  };
+}
+
+export default ActionSequence;
@@ -0,0 +1,277 @@
+import Contract from "./Contract";
+import ActionSequence from "./ActionSequence";
+import { ActionSequenceError } from "../Errors";
+
+import { abi as contractABI } from "../../../tasit-contracts/build/contracts/SampleContract.json";
+
+const sampleContractAddress = "0x6C4A015797DDDd87866451914eCe1e8b19261931";
+
+describe("TasitAction.ActionSequence", () => {
+  let wallet;
+  let sampleContract;
+  let provider;
+  let snapshotId;
+  let sequence;
+
+  // The stages of the progress events, e.g. "first:started"
+  const trackProgress = sequence => {
+    const stages = [];
+    sequence.on("progress", message => {
+      const { name, stage } = message.data;
+      stages.push(`${name}:${stage}`);
+    });
+    return stages;
+  };
+
+  before("", async () => {
+    wallet = createFromPrivateKey(ownerPrivKey);
+  });
+
+  beforeEach("", async () => {
+    sampleContract = new Contract(sampleContractAddress, contractABI, wallet);
+    provider = sampleContract._getProvider();
+    snapshotId = await createSnapshot(provider);
+  });
+
+  afterEach("", async () => {
+    if (sequence) sequence.unsubscribe();
+    sequence = undefined;
+    sampleContract.unsubscribe();
+    await revertFromSnapshot(provider, snapshotId);
+  });
+
+  it("should run the steps in order", async () => {
+    const values = [];
+
+    sequence = new ActionSequence([
+      { name: "first", run: () => sampleContract.setValue("first") },
+      {
+        name: "second",
+        run: async ([firstReceipt]) => {
+          values.push(await sampleContract.getValue());
+          expect(firstReceipt.status).to.equal(1);
+          return sampleContract.setValue("second");
+        },
+      },
+    ]);
+    const stages = trackProgress(sequence);
+
+    const [first, second] = await sequence.run();
+
+    expect(values).to.deep.equal(["first"]);
+    expect(second.blockNumber).to.be.above(first.blockNumber);
+    expect(await sampleContract.getValue()).to.equal("second");
+    expect(stages).to.deep.equal([
+      "first:started",
+      "first:sent",
+      "first:mined",
+      "first:confirmation",
+      "first:completed",
+      "second:started",
+      "second:sent",
+      "second:mined",
+      "second:confirmation",
+      "second:completed",
+    ]);
+  });
+
+  it("should wait for the confirmations of a step", async () => {
+    let confirmationsBeforeNext;
+
+    sequence = new ActionSequence([
+      { run: () => sampleContract.setValue("first"), confirmations: 3 },
+      // Note: The block number of the receipt confirmations may be cached by this provider
+      async ([receipt]) => {
+        const blockNumber = await provider.getBlockNumber();
+        confirmationsBeforeNext = blockNumber - receipt.blockNumber + 1;
+      },
+    ]);
+
+    const mined = new Promise(resolve => {
+      sequence.on("progress", message => {
+        if (message.data.stage === "mined") resolve();
+      });
+    });
+    const completed = sequence.run();
+
+    await mined;
+    await mineBlocks(provider, 3);
+    await completed;
+
+    expect(confirmationsBeforeNext).to.be.at.least(3);
+  });
+
+  it("should start the next step once a step without confirmations is sent", async () => {
+    sequence = new ActionSequence([
+      {
+        name: "first",
+        run: () => sampleContract.setValue("first"),
+        confirmations: 0,
+      },
+      {
+        name: "second",
+        run: () => sampleContract.setValue("second"),
+        confirmations: null,
+      },
+    ]);
+    const stages = trackProgress(sequence);
+
+    const [first, second] = await sequence.run();
+
+    expect(first.hash).to.be.a("string");
+    expect(second.hash).to.be.a("string");
+    expect(stages).to.deep.equal([
+      "first:started",
+      "first:sent",
+      "first:completed",
+      "second:started",
+      "second:sent",
+      "second:completed",
+    ]);
+
+    // Note: ganache mines a transaction as it's sent
+    expect(await sampleContract.getValue()).to.equal("second");
+  });
+
+  it("should keep the listeners of the app on the Action of a step", async () => {
+    let action;
+    let enoughConfirmations;
+
+    sequence = new ActionSequence([
+      () => {
+        action = sampleContract.setValue("listened");
+        enoughConfirmations = new Promise(resolve => {
+          action.once("enoughConfirmations", resolve);
+        });
+        return action;
+      },
+    ]);
+
+    await sequence.run();
+
+    // Note: The error listener of the Contract forwards the errors of the Action
+    expect(action.subscribedEventNames()).to.have.members([
+      "error",
+      "enoughConfirmations",
+    ]);
+
+    await mineBlocks(provider, 6);
+    await enoughConfirmations;
+    action.unsubscribe();
+  });
+
+  it("should wait for a promise step", async () => {
+    sequence = new ActionSequence([
+      { name: "write", run: () => sampleContract.setValue("event") },
+      {
+        name: "event",
+        run: () =>
+          // Note: The event of the first step may come after this listener is added
+          new Promise(resolve => {
+            sampleContract.on("ValueChanged", message => {
+              const { newValue } = message.data.args;
+              if (newValue === "from the event") resolve(newValue);
+            });
+            sampleContract.setValue("from the event");
+          }),
+      },
+    ]);
+
+    const results = await sequence.run();
+
+    expect(results[1]).to.equal("from the event");
+  });
+
+  it("should report the completed steps on a failure", async () => {
+    const third = sinon.fake();
+
+    sequence = new ActionSequence([
+      { name: "first", run: () => sampleContract.setValue("first") },
+      { name: "second", run: () => sampleContract.revertWrite("second") },
+      { name: "third", run: third },
+    ]);
+
+    const emitted = new Promise(resolve => {
+      sequence.on("error", message => resolve(message.error));
+    });
+
+    const error = await sequence.run().catch(error => error);
+
+    expect(error).to.be.an.instanceof(ActionSequenceError);
+    expect(error).to.equal(await emitted);
+    expect(error.step).to.equal("second");
+    expect(error.index).to.equal(1);
+    expect(error.completed).to.deep.equal(["first"]);
+    expect(error.cause.reason).to.equal("revertWrite always reverts");
+    expect(third.callCount).to.equal(0);
+    expect(sequence.getSteps()).to.deep.equal([
+      { name: "first", status: "completed" },
+      { name: "second", status: "failed" },
+      { name: "third", status: "pending" },
+    ]);
+  });
+
+  it("should fail on a step factory that throws", async () => {
+    sequence = new ActionSequence([
+      () => {
+        throw new Error(`No wallet`);
+      },
+    ]);
+    sequence.on("error", () => {});
+
+    await expect(sequence.run()).to.be.rejectedWith(
+      `Step 'Step 1' failed: No wallet`
+    );
+  });
+
+  it("should call every listener of an event", async () => {
+    const checklist = sinon.fake();
+    const analytics = sinon.fake();
+    const completed = sinon.fake();
+    const errorListener = sinon.fake();
+
+    sequence = new ActionSequence([async () => "first", async () => "second"]);
+    sequence.on("progress", checklist);
+    const unsubscribe = sequence.on("progress", analytics);
+    sequence.once("completed", completed);
+    sequence.once("completed", completed);
+    sequence.on("error", errorListener);
+    sequence.on("error", errorListener);
+
+    sequence.once("progress", () => unsubscribe());
+    await sequence.run();
+
+    // Note: started and completed for each step
+    expect(checklist.callCount).to.equal(4);
+    expect(analytics.callCount).to.equal(1);
+    expect(completed.callCount).to.equal(2);
+    expect(errorListener.callCount).to.equal(0);
+
+    sequence.off("error", errorListener);
+    expect(sequence.subscribedEventNames()).to.deep.equal(["progress"]);
+  });
+
+  it("should throw on invalid steps", async () => {
+    expect(() => new ActionSequence([])).to.throw(
+      `Cannot create an ActionSequence without steps`
+    );
+    expect(() => new ActionSequence([{ name: "nothing" }])).to.throw(
+      `Cannot create an ActionSequence with an invalid step`
+    );
+    expect(
+      () => new ActionSequence([{ run: () => {}, confirmations: -1 }])
+    ).to.throw(`Invalid confirmations for step 'Step 1'`);
+    expect(
+      () => new ActionSequence([{ run: () => {}, confirmations: 1.5 }])
+    ).to.throw(`Invalid confirmations for step 'Step 1'`);
+  });
+
+  it("should run only once", async () => {
+    sequence = new ActionSequence([async () => "done"]);
+
+    expect(await sequence.run()).to.deep.equal(["done"]);
+    await expect(sequence.run()).to.be.rejectedWith(
+      `ActionSequence was already run`
+    );
+  });
+});
@@ -0,0 +1,74 @@
+// The key of the records on the storage (default)
+const DEFAULT_KEY = "pendingActions";
+
+// Note: The updates of a storage are queued, since each one reads and writes
+// all the records under the same key
+const updates = new WeakMap();
+
+// Same interface as the storage adapters of `tasit-account`
+// (e.g. AsyncStorageAdapter, FileStorage or MemoryStorage):
+//  - getItem(key) => Promise<string | null>
+//  - setItem(key, value) => Promise<void>
+//  - removeItem(key) => Promise<void>
+export const isStorage = storage => {
+  return (
+    !!storage &&
+    typeof storage.getItem === "function" &&
+    typeof storage.setItem === "function" &&
+    typeof storage.removeItem === "function"
+  );
+};
+
+// Keeps the records of pending Actions (see Action persist() and restorePending())
+// as JSON under one key of a storage, e.g. React Native's AsyncStorage
+// so they survive app restarts
+export class ActionStorage {
+  #storage;
+  #key;
+
+  constructor(storage, key = DEFAULT_KEY) {
+    if (!isStorage(storage))
+      throw new Error(`Cannot create an ActionStorage without a storage`);
+
+    this.#storage = storage;
+    this.#key = key;
+  }
+
+  getAll = async () => {
+    await updates.get(this.#storage);
+    return this.#read();
+  };
+
+  save = async record => {
+    const json = JSON.parse(JSON.stringify(record));
+    await this.#update(records => [
+      ...records.filter(other => other.id !== record.id),
+      json,
+    ]);
+  };
+
+  remove = async id => {
+    await this.#update(records => records.filter(record => record.id !== id));
+  };
+
+  #read = async () => {
+    const value = await this.#storage.getItem(this.#key);
+    return value ? JSON.parse(value) : [];
+  };
+
+  #update = update => {
+    const previous = updates.get(this.#storage) || Promise.resolve();
+    const updated = previous.then(async () => {
+      const records = update(await this.#read());
+
+      if (records.length === 0) await this.#storage.removeItem(this.#key);
+      else await this.#storage.setItem(this.#key, JSON.stringify(records));
+    });
+
+    // Note: A failed update doesn't stop the next ones
+    updates.set(this.#storage, updated.catch(() => {}));
+    return updated;
+  };
+}
+
+export default ActionStorage;
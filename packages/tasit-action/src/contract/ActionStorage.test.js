@@ -0,0 +1,218 @@
+import Contract from "./Contract";
+import Action from "./Action";
+import Transaction from "./Transaction";
+import ActionStorage from "./ActionStorage";
+import ConfigLoader from "../ConfigLoader";
+import { ethers } from "ethers";
+import os from "os";
+import path from "path";
+import fs from "fs";
+import { MemoryStorage, AsyncStorageAdapter } from "tasit-account/dist/Storage";
+import { FileStorage } from "tasit-account/dist/FileStorage";
+
+import { abi as contractABI } from "../../../tasit-contracts/build/contracts/SampleContract.json";
+
+const sampleContractAddress = "0x6C4A015797DDDd87866451914eCe1e8b19261931";
+
+describe("TasitAction.ActionStorage", () => {
+  let wallet;
+  let sampleContract;
+  let provider;
+  let snapshotId;
+  let defaultConfig;
+  let backingStore;
+  let storage;
+  let actions;
+
+  const setConfig = config => {
+    ConfigLoader.setConfig(Object.assign({}, defaultConfig, config));
+  };
+
+  const getRecords = () => new ActionStorage(storage).getAll();
+
+  // Note: The app is "restarted" with a new adapter of the same AsyncStorage
+  const restart = async () => {
+    storage = new AsyncStorageAdapter(backingStore);
+
+    actions = await Action.restorePending(storage, provider);
+    return actions;
+  };
+
+  before("", async () => {
+    defaultConfig = ConfigLoader.getConfig();
+    wallet = createFromPrivateKey(ownerPrivKey);
+  });
+
+  beforeEach("", async () => {
+    // Note: Like React Native's AsyncStorage, its items outlive the app
+    backingStore = new MemoryStorage();
+    storage = new AsyncStorageAdapter(backingStore);
+    actions = [];
+    setConfig({ actionStorage: storage });
+
+    sampleContract = new Contract(sampleContractAddress, contractABI, wallet);
+    provider = sampleContract._getProvider();
+    snapshotId = await createSnapshot(provider);
+  });
+
+  afterEach("", async () => {
+    actions.forEach(action => action.unsubscribe());
+    sampleContract.unsubscribe();
+    ConfigLoader.setConfig(defaultConfig);
+    await revertFromSnapshot(provider, snapshotId);
+  });
+
+  it("should save a write once it's sent", async () => {
+    const action = sampleContract.setValue("saved");
+    actions.push(action);
+    action.on("mined", () => {});
+
+    const { hash } = await waitForEvent(action, "sent");
+    await action.waitForNonceToUpdate();
+    const [record] = await getRecords();
+
+    expect(record.id).to.equal(hash);
+    expect(record.hashes).to.deep.equal([hash]);
+    expect(record.contract).to.deep.equal({
+      address: sampleContractAddress,
+      functionName: "setValue",
+    });
+    expect(record.events).to.include("mined");
+    expect(ethers.utils.keccak256(record.signedTransaction)).to.equal(hash);
+  });
+
+  it("should remove the record once the write is final", async () => {
+    setConfig({
+      actionStorage: storage,
+      events: Object.assign({}, defaultConfig.events, {
+        enoughConfirmations: 2,
+      }),
+    });
+
+    const action = sampleContract.setValue("final");
+    actions.push(action);
+    const enough = waitForEvent(action, "enoughConfirmations");
+
+    await action.waitForNonceToUpdate();
+    expect(await getRecords()).to.have.lengthOf(1);
+
+    await mineBlocks(provider, 2);
+    await enough;
+    await wait(100);
+
+    expect(await getRecords()).to.be.empty;
+  });
+
+  it("should resume tracking a write after a restart", async () => {
+    const action = sampleContract.setValue("restored");
+    action.on("enoughConfirmations", () => {});
+    const { hash } = await waitForEvent(action, "sent");
+    await action.waitForNonceToUpdate();
+    action.unsubscribe();
+
+    const [restored] = await restart();
+    const { events, contract } = restored.toRecord();
+    expect(events).to.include("enoughConfirmations");
+    expect(restored.getRestoredEventNames()).to.include("enoughConfirmations");
+    expect(restored.subscribedEventNames()).to.be.empty;
+    expect(contract.functionName).to.equal("setValue");
+
+    const mined = waitForEvent(restored, "mined");
+    await mineBlocks(provider, 1);
+
+    expect((await mined).hash).to.equal(hash);
+    expect(await getRecords()).to.have.lengthOf(1);
+  });
+
+  it("should restore a write saved on files by another Action", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "tasit-actions-"));
+    setConfig({ actionStorage: new FileStorage(directory) });
+
+    const action = sampleContract.setValue("on files");
+    actions.push(action);
+    action.on("mined", () => {});
+    const { hash } = await waitForEvent(action, "sent");
+    await action.waitForNonceToUpdate();
+    action.unsubscribe();
+
+    actions = await Action.restorePending(new FileStorage(directory), provider);
+    const [restored] = actions;
+
+    expect(actions).to.have.lengthOf(1);
+    expect(restored.toRecord().id).to.equal(hash);
+    expect(restored.getRestoredEventNames()).to.include("mined");
+  });
+
+  it("should keep the records of several writes", async () => {
+    const first = sampleContract.setValue("first");
+    const second = sampleContract.setValue("second");
+    actions.push(first, second);
+
+    const [{ hash: firstHash }, { hash: secondHash }] = await Promise.all([
+      waitForEvent(first, "sent"),
+      waitForEvent(second, "sent"),
+    ]);
+    await second.waitForNonceToUpdate();
+
+    const records = await getRecords();
+    expect(records.map(record => record.id)).to.have.members([
+      firstHash,
+      secondHash,
+    ]);
+    expect(await backingStore.getItem("@tasit:pendingActions")).to.be.a(
+      "string"
+    );
+  });
+
+  it("should broadcast a signed transaction the node doesn't know again", async () => {
+    const tx = await sampleContract.populate.setValue("rebroadcasted");
+    const signedTransaction = await Transaction.sign(wallet, tx);
+    const hash = ethers.utils.keccak256(signedTransaction);
+
+    await new ActionStorage(storage).save({
+      id: hash,
+      hashes: [hash],
+      signedTransaction,
+    });
+
+    const [restored] = await restart();
+    await restored.waitForNonceToUpdate();
+
+    expect(await sampleContract.getValue()).to.equal("rebroadcasted");
+  });
+
+  it("should remove the records of final writes on restore", async () => {
+    const action = sampleContract.setValue("final");
+    action.on("mined", () => {});
+    await action.waitForNonceToUpdate();
+    action.unsubscribe();
+
+    await mineBlocks(provider, 6);
+
+    const [restored] = await restart();
+    const enough = waitForEvent(restored, "enoughConfirmations");
+    await mineBlocks(provider, 1);
+
+    expect((await enough).confirmations).to.be.at.least(6);
+    expect(await getRecords()).to.be.empty;
+  });
+
+  it("should not persist an Action with an invalid storage", async () => {
+    const action = Action.fromSignedTransaction(
+      await Transaction.sign(
+        wallet,
+        await sampleContract.populate.setValue("invalid")
+      ),
+      provider
+    );
+    actions.push(action);
+
+    expect(() => action.persist({})).to.throw(
+      `Cannot persist an Action with an invalid storage`
+    );
+    await expect(Action.restorePending({}, provider)).to.be.rejectedWith(
+      `Cannot restore Actions from an invalid storage`
+    );
+    await action.waitForNonceToUpdate();
+  });
+});
@@ -5,12 +5,74 @@ import { ethers } from "ethers";
 import Utils from "./Utils";
 import ProviderFactory from "../ProviderFactory";
 import Subscription from "./Subscription";
+import LogTracker from "./LogTracker";
 import Action from "./Action";
+import Transaction from "./Transaction";
+import PolicyGuard from "./PolicyGuard";
+import Preflight from "./Preflight";
+import Gas from "./Gas";
+import NonceManager from "./NonceManager";
+import RevertDecoder from "./RevertDecoder";
+import MetaTransaction from "../meta/MetaTransaction";
+import { toRelayer } from "../meta/Relayer";
+import ConfigLoader from "../ConfigLoader";
+import { ActionError } from "../Errors";
+import { toEthersSigner } from "../signer/EthersSigner";
+import forwarderABI from "../../../tasit-contracts/abi/Forwarder.json";
+
+const DEFAULT_META_TX_EXPIRES_IN = 60 * 60;
 
 // Log levels: debug, default, info, warn, error, off
 // See more: https://github.com/ethers-io/ethers.js/blob/527de7ba5e1d31bd7c166a78d0fa62b58bf50a54/src.ts/errors.ts
 ethers.errors.setLogLevel("error");
 
+// Overrides (e.g. gasPrice, value, from) can be passed as the last argument
+const splitOverrides = (fn, args) => {
+  if (
+    args.length === fn.inputs.length + 1 &&
+    typeof args[args.length - 1] === "object"
+  )
+    return {
+      args: args.slice(0, -1),
+      overrides: Object.assign({}, args[args.length - 1]),
+    };
+
+  return { args, overrides: {} };
+};
+
+// The arguments with more overrides, the ones passed as the last argument are replaced
+const withOverrides = (fn, allArgs, moreOverrides) => {
+  const { args, overrides } = splitOverrides(fn, allArgs);
+  return [...args, Object.assign(overrides, moreOverrides)];
+};
+
+// The message of a contract event: its arguments and where the log is on the chain
+// `removed` is true when a reorg took away a log that was given before
+const toEventMessage = (eventName, args, log, removed) => {
+  const {
+    address,
+    blockNumber,
+    blockHash,
+    transactionHash,
+    transactionIndex,
+    logIndex,
+  } = log;
+
+  return {
+    data: {
+      event: eventName,
+      args,
+      address,
+      blockNumber,
+      blockHash,
+      transactionHash,
+      transactionIndex,
+      logIndex,
+      removed,
+    },
+  };
+};
+
 export class Contract extends Subscription {
   #provider;
   #ethersContract;
@@ -19,18 +81,20 @@ export class Contract extends Subscription {
     if (!Utils.isAddress(address) || !Utils.isABI(abi))
       throw new Error(`Cannot create a Contract without a address and ABI`);
 
-    if (wallet && !Utils.isEthersJsSigner(wallet))
+    if (wallet && !Utils.isSigner(wallet))
       throw new Error(`Cannot set an invalid wallet for a Contract`);
 
     const provider = ProviderFactory.getProvider();
 
     // If there's a wallet, connect it with provider.
     // Otherwise use provider directly (for read operations only).
-    const signerOrProvider = wallet ? wallet.connect(provider) : provider;
+    const signerOrProvider = wallet
+      ? toEthersSigner(wallet, provider)
+      : provider;
 
     const ethersContract = new ethers.Contract(address, abi, signerOrProvider);
 
-    super(ethersContract);
+    super(ethersContract, provider);
     this.#provider = provider;
     this.#ethersContract = ethersContract;
     this.#addFunctionsToContract();
@@ -38,14 +102,15 @@ export class Contract extends Subscription {
 
   // Note: For now, `tasit-account` creates a ethers.js wallet object
   // If that changes, maybe this method could be renamed to setAccount()
+  // Any Tasit signer (see signer/WalletSigner) is accepted as well
   setWallet = wallet => {
-    if (!Utils.isEthersJsSigner(wallet))
+    if (!Utils.isSigner(wallet))
       throw new Error(`Cannot set an invalid wallet for a Contract`);
 
     this.#ethersContract = new ethers.Contract(
       this.#ethersContract.address,
       this.#ethersContract.interface.abi,
-      wallet.connect(this.#provider)
+      toEthersSigner(wallet, this.#provider)
     );
 
     this.#addFunctionsToContract();
@@ -69,12 +134,13 @@ export class Contract extends Subscription {
     return this.#provider;
   };
 
+  // Returns the function that removes this listener (see also off())
   on = (eventName, listener) => {
-    this.#addListener(eventName, listener, false);
+    return this.#addListener(eventName, listener, false);
   };
 
   once = (eventName, listener) => {
-    this.#addListener(eventName, listener, true);
+    return this.#addListener(eventName, listener, true);
   };
 
   #addListener = (eventName, listener, once) => {
@@ -84,31 +150,32 @@ export class Contract extends Subscription {
     if (eventName === "error" && once)
       throw new Error(`Use on() function to subscribe to an error event.`);
 
-    if (eventName === "error") {
-      this._addErrorListener(listener);
-    } else {
-      this.#addContractEventListener(eventName, listener, once);
-    }
+    if (eventName === "error") return this._addErrorListener(listener);
+
+    return this.#addContractEventListener(eventName, listener, once);
   };
 
+  // Note: The logs come from the provider (see EventDispatcher), not from
+  // the ethers.js contract, so every Contract of an address shares the subscription
+  // A log removed by a reorg is given to the listener again, with `removed: true`,
+  // except to once() listeners (they stop listening on the first log)
   #addContractEventListener = (eventName, listener, once) => {
-    const ethersListener = async (...args) => {
+    const contractInterface = this.#ethersContract.interface;
+    const { topic } = contractInterface.events[eventName];
+    const filter = {
+      address: ethers.utils.getAddress(this.#ethersContract.address),
+      topics: [topic],
+    };
+    const logTracker = new LogTracker(this.#provider, filter);
+
+    let unsubscribe;
+
+    const callListener = async (log, removed) => {
       try {
-        // Note: This depends on the current ethers.js specification of ethersContract events to work:
-        // "All event callbacks receive the parameters specified in the ABI as well as
-        // one additional Event Object"
-        // https://docs.ethers.io/ethers.js/html/api-ethersContract.html#event-object
-        // TODO: Consider checking that the event looks like what we expect and
-        // erroring out if not
-        const event = args.pop();
-
-        const message = {
-          data: {
-            args: event.args,
-          },
-        };
-
-        if (once) this.off(eventName);
+        const { values } = contractInterface.parseLog(log);
+        const message = toEventMessage(eventName, values, log, removed);
+
+        if (once) unsubscribe();
 
         await listener(message);
       } catch (error) {
@@ -119,7 +186,44 @@ export class Contract extends Subscription {
       }
     };
 
-    this._addEventListener(eventName, ethersListener);
+    const ethersListener = async log => {
+      logTracker.add(log);
+      await callListener(log, !!log.removed);
+    };
+
+    const blockListener = async blockNumber => {
+      let removedLogs;
+      try {
+        removedLogs = await logTracker.removedUntil(blockNumber);
+      } catch (error) {
+        this._emitErrorEventFromEventListener(
+          new Error(`Cannot check the removed logs: ${error.message}`),
+          eventName
+        );
+        return;
+      }
+
+      if (!this._hasEventListener(eventName, blockListener)) return;
+
+      for (let log of removedLogs) await callListener(log, true);
+    };
+
+    const unsubscribeLogs = this._addEventListener(
+      eventName,
+      ethersListener,
+      filter,
+      listener
+    );
+    const unsubscribeBlocks = once
+      ? () => {}
+      : this._addEventListener(eventName, blockListener, "block", listener);
+
+    unsubscribe = () => {
+      unsubscribeLogs();
+      unsubscribeBlocks();
+    };
+
+    return unsubscribe;
   };
 
   #isEventValid = eventName => {
@@ -130,6 +234,14 @@ export class Contract extends Subscription {
   };
 
   #addFunctionsToContract = () => {
+    // Note: Functions that build unsigned transactions, e.g.:
+    // const tx = await contract.populate.setValue("hello")
+    this.populate = {};
+
+    // Note: Functions that return what a write would return, without sending it, e.g.:
+    // const success = await contract.simulate.transfer(to, amount)
+    this.simulate = {};
+
     this.#ethersContract.interface.abi
       .filter(json => {
         return json.type === "function";
@@ -140,8 +252,11 @@ export class Contract extends Subscription {
             f.stateMutability !== "view" &&
             f.stateMutability !== "pure") ||
           (f.constant !== undefined && f.constant === false);
-        if (isWrite) this.#attachWriteFunction(f);
-        else {
+        if (isWrite) {
+          this.#attachWriteFunction(f);
+          this.#attachPopulateFunction(f);
+          this.#attachSimulateFunction(f);
+        } else {
           this.#attachReadFunction(f);
         }
       });
@@ -149,8 +264,13 @@ export class Contract extends Subscription {
 
   #attachReadFunction = f => {
     this[f.name] = async (...args) => {
-      const value = await this.#ethersContract[f.name].apply(null, args);
-      return value;
+      const { abi } = this.#ethersContract.interface;
+      try {
+        const value = await this.#ethersContract[f.name].apply(null, args);
+        return value;
+      } catch (error) {
+        throw RevertDecoder.toRevertError(error, abi) || error;
+      }
     };
   };
 
@@ -159,13 +279,43 @@ export class Contract extends Subscription {
       if (!Utils.isEthersJsSigner(this.#ethersContract.signer))
         throw new Error(`Cannot write data to a Contract without a wallet`);
 
-      const tx = this.#ethersContract[f.name].apply(null, args);
-
-      const action = new Action(tx, this.#provider);
+      const ethersContract = this.#ethersContract;
+      const { deferredSend, actionStorage } = ConfigLoader.getConfig();
+
+      // Note: The policies (and the preflight, if enabled) from the config
+      // are checked before signing
+      const write = (writeArgs, meta) =>
+        PolicyGuard.getGuard()
+          .check(ethersContract, f.name, writeArgs)
+          .then(() =>
+            meta
+              ? this.#sendMeta(ethersContract, f.name, writeArgs)
+              : this.#send(ethersContract, f.name, writeArgs)
+          )
+          .catch(error =>
+            this.#throwRevertError(error, ethersContract, f.name, writeArgs)
+          );
+
+      // Note: A deferred Action is sent on action.send(),
+      // with the overrides set on it in the meantime (or on action.sendMeta())
+      const tx = deferredSend
+        ? (overrides, meta) => write(withOverrides(f, args, overrides), meta)
+        : write(args);
+
+      const action = new Action(
+        tx,
+        this.#provider,
+        ethersContract.interface.abi,
+        ethersContract.signer,
+        { address: ethersContract.address, functionName: f.name }
+      );
+
+      if (actionStorage) action.persist(actionStorage);
 
       const errorListener = message => {
         const { error } = message;
-        this._emitErrorEvent(new Error(`${error.message}`));
+        if (error instanceof ActionError) this._emitErrorEvent(error);
+        else this._emitErrorEvent(new Error(`${error.message}`));
       };
 
       action.on("error", errorListener);
@@ -173,6 +323,202 @@ export class Contract extends Subscription {
       return action;
     };
   };
+
+  // Overrides (e.g. gasPrice, value) can be passed as the last argument.
+  // Without a wallet, `from` should be one of the overrides
+  #attachPopulateFunction = f => {
+    this.populate[f.name] = async (...args) => {
+      const { from, tx } = await this.#toTransaction(f, args, "populate");
+      const gas = await Gas.fill(Object.assign({ from }, tx), this.#provider);
+      return Transaction.populate(Object.assign(tx, gas), this.#provider, from);
+    };
+  };
+
+  // Same arguments and overrides as the populate functions
+  // Rejects with a PreflightError if the write would fail
+  #attachSimulateFunction = f => {
+    this.simulate[f.name] = async (...args) => {
+      const { from, tx } = await this.#toTransaction(f, args, "simulate");
+      const { result } = await Preflight.run(
+        Object.assign({ from }, tx),
+        this.#provider,
+        this.#ethersContract.interface.abi
+      );
+
+      const { outputs } = f;
+      const fn = this.#ethersContract.interface.functions[f.name];
+      const decoded = fn.decode(result);
+
+      if (!outputs || outputs.length === 0) return undefined;
+      if (outputs.length === 1) return decoded[0];
+      return decoded;
+    };
+  };
+
+  #toTransaction = async (f, allArgs, verb) => {
+    const { interface: contractInterface, signer } = this.#ethersContract;
+    const fn = contractInterface.functions[f.name];
+    const { args, overrides } = splitOverrides(fn, allArgs);
+
+    let from = overrides.from;
+    delete overrides.from;
+
+    if (Utils.isEthersJsSigner(signer)) from = await signer.getAddress();
+
+    if (!Utils.isAddress(from))
+      throw new Error(
+        `Cannot ${verb} a transaction without a wallet or a from address`
+      );
+
+    const tx = Object.assign({}, overrides, {
+      to: this.#ethersContract.address,
+      data: fn.encode(args),
+    });
+
+    return { from, tx };
+  };
+
+  // The transaction that the signer of the ethers.js contract would send
+  #toSignerTransaction = async (ethersContract, functionName, allArgs) => {
+    const fn = ethersContract.interface.functions[functionName];
+    const { args, overrides } = splitOverrides(fn, allArgs);
+
+    return Object.assign({}, overrides, {
+      from: await ethersContract.signer.getAddress(),
+      to: ethersContract.address,
+      data: fn.encode(args),
+    });
+  };
+
+  // Note: Writes of the same signer get sequential nonces from its NonceManager,
+  // unless there's a nonce override
+  #send = async (ethersContract, functionName, args) => {
+    const fn = ethersContract.interface.functions[functionName];
+    const { overrides } = splitOverrides(fn, args);
+
+    const sendWithNonce = async nonce => {
+      const argsWithGas = await this.#withGas(
+        ethersContract,
+        functionName,
+        args
+      );
+      if (nonce !== undefined)
+        argsWithGas[argsWithGas.length - 1].nonce = nonce;
+      return ethersContract[functionName].apply(null, argsWithGas);
+    };
+
+    if (overrides.nonce !== undefined) return sendWithNonce();
+
+    const address = await ethersContract.signer.getAddress();
+    return NonceManager.getManager(address).send(this.#provider, sendWithNonce);
+  };
+
+  // The signer only signs the write, the relayer (see `metaTx` on ConfigLoader)
+  // sends it through the Forwarder contract and resolves to the hash of that transaction
+  // Note: The preflight and the gas overrides don't apply, the relayer pays for the gas
+  // Note: The forwarder nonce is read here, so the meta-transactions of a signer
+  // should be sent one at a time
+  #sendMeta = async (ethersContract, functionName, args) => {
+    const { metaTx = {} } = ConfigLoader.getConfig();
+    const {
+      forwarderAddress,
+      relayer,
+      expiresIn = DEFAULT_META_TX_EXPIRES_IN,
+    } = metaTx;
+
+    if (!Utils.isAddress(forwarderAddress))
+      throw new Error(
+        `Cannot send a meta-transaction without a forwarder address`
+      );
+
+    const { from, to, data, value } = await this.#toSignerTransaction(
+      ethersContract,
+      functionName,
+      args
+    );
+
+    if (value !== undefined && !ethers.utils.bigNumberify(value).isZero())
+      throw new Error(`Cannot send value with a meta-transaction`);
+
+    const forwarder = new ethers.Contract(
+      forwarderAddress,
+      forwarderABI,
+      this.#provider
+    );
+    const nonce = await forwarder.nonces(from);
+    const { chainId } = await this.#provider.getNetwork();
+
+    // Note: The forwarder checks the expiry against the block timestamp
+    const { timestamp } = await this.#provider.getBlock("latest");
+    const expiry = timestamp + expiresIn;
+
+    const signed = await MetaTransaction.sign(
+      {
+        chainId,
+        forwarder: forwarderAddress,
+        signer: from,
+        to,
+        data,
+        nonce,
+        expiry,
+      },
+      ethersContract.signer
+    );
+
+    return toRelayer(relayer).relay(signed);
+  };
+
+  // The arguments with the gasLimit and gasPrice overrides filled in (see `gas` on ConfigLoader)
+  // Note: The preflight estimates the gas the same way
+  #withGas = async (ethersContract, functionName, allArgs) => {
+    const { preflight } = ConfigLoader.getConfig();
+    const fn = ethersContract.interface.functions[functionName];
+    const { args, overrides } = splitOverrides(fn, allArgs);
+
+    const tx = await this.#toSignerTransaction(
+      ethersContract,
+      functionName,
+      allArgs
+    );
+
+    const { gasLimit, gasPrice } = preflight
+      ? await Preflight.run(tx, this.#provider, ethersContract.interface.abi)
+      : await Gas.fill(tx, this.#provider);
+
+    return [...args, Object.assign(overrides, { gasLimit, gasPrice })];
+  };
+
+  #throwRevertError = async (error, ethersContract, functionName, args) => {
+    const { abi } = ethersContract.interface;
+    const messagePrefix = "Action with error: ";
+
+    const revertError = RevertDecoder.toRevertError(
+      error,
+      abi,
+      `${messagePrefix}${error.message}`
+    );
+    if (!revertError) throw error;
+
+    // Note: Some nodes (e.g. ganache) don't send the revert data
+    // when the gas estimation fails, the call gets it
+    if (revertError.data === undefined && revertError.txHash === undefined) {
+      const tx = await this.#toSignerTransaction(
+        ethersContract,
+        functionName,
+        args
+      );
+      const fromCall = await RevertDecoder.fromCall(
+        this.#provider,
+        tx,
+        "latest",
+        abi,
+        messagePrefix
+      );
+      if (fromCall) throw fromCall;
+    }
+
+    throw revertError;
+  };
 }
 
 export default Contract;
@@ -30,9 +30,7 @@ describe("TasitAction.Contract", () => {
     // Account creates a wallet, should it create an account object that encapsulates the wallet?
     // TasitAcount.create()
     // > Acount { wallet: ..., metaTxInfos..., etc }
-    wallet = createFromPrivateKey(
-      "0x11d943d7649fbdeb146dc57bd9cfc80b086bfab2330c7b25651dbaf382392f60"
-    );
+    wallet = createFromPrivateKey(ownerPrivKey);
 
     sampleContract = new Contract(sampleContractAddress, contractABI);
     expect(sampleContract).to.exist;
@@ -375,7 +373,7 @@ describe("TasitAction.Contract", () => {
       ]);
     });
 
-    it("subscription should have one listener per event", async () => {
+    it("subscription should have many listeners per event", async () => {
       action = sampleContract.setValue("hello world");
 
       const listener1 = message => {};
@@ -384,15 +382,82 @@ describe("TasitAction.Contract", () => {
       expect(action.subscribedEventNames()).to.deep.equal(["error"]);
 
       action.on("confirmation", listener1);
+      action.on("confirmation", listener2);
 
-      expect(() => {
-        action.on("confirmation", listener2);
-      }).to.throw();
+      expect(action.subscribedEventNames()).to.deep.equal([
+        "error",
+        "confirmation",
+      ]);
+
+      action.off("confirmation", listener1);
 
       expect(action.subscribedEventNames()).to.deep.equal([
         "error",
         "confirmation",
       ]);
+
+      action.off("confirmation", listener2);
+
+      expect(action.subscribedEventNames()).to.deep.equal(["error"]);
+    });
+
+    it("should trigger the confirmation event on every listener", async () => {
+      action = sampleContract.setValue("hello world");
+
+      const errorListener = sinon.fake();
+      const screenListener = sinon.fake();
+      const syncListener = sinon.fake();
+      const onceListener = sinon.fake();
+      const removedListener = sinon.fake();
+
+      await action.waitForNonceToUpdate();
+
+      action.on("error", errorListener);
+      action.on("confirmation", screenListener);
+      action.on("confirmation", syncListener);
+      action.once("confirmation", onceListener);
+      const unsubscribe = action.on("confirmation", removedListener);
+      unsubscribe();
+
+      await mineBlocks(provider, 2);
+
+      expect(screenListener.callCount).to.be.at.least(2);
+      expect(syncListener.callCount).to.equal(screenListener.callCount);
+      expect(onceListener.callCount).to.equal(1);
+      expect(removedListener.called).to.be.false;
+
+      // Note: Many listeners of a block don't look like a reorg
+      expect(errorListener.called).to.be.false;
+
+      action.off("confirmation", screenListener);
+      const screenCallCount = screenListener.callCount;
+      const syncCallCount = syncListener.callCount;
+      await mineBlocks(provider, 1);
+
+      expect(screenListener.callCount).to.equal(screenCallCount);
+      expect(syncListener.callCount).to.be.above(syncCallCount);
+    });
+
+    it("should remove one error listener", async () => {
+      action = sampleContract.setValue("hello world");
+
+      const errorListener1 = sinon.fake();
+      const errorListener2 = sinon.fake();
+
+      action.on("error", errorListener1);
+      action.on("error", errorListener2);
+      action.off("error", errorListener1);
+
+      action.on("confirmation", async () => {
+        throw new Error(`Broken listener`);
+      });
+
+      await action.waitForNonceToUpdate();
+      await mineBlocks(provider, 1);
+
+      expect(errorListener1.called).to.be.false;
+      expect(errorListener2.called).to.be.true;
+      action.off("confirmation");
     });
 
     it("should remove an event", async () => {
@@ -588,27 +653,121 @@ describe("TasitAction.Contract", () => {
       expect(fakeFn.callCount).to.equal(1);
     });
 
+    it("should give the log of an event", async () => {
+      const logged = new Promise(resolve => {
+        sampleContract.once("ValueChanged", message => resolve(message.data));
+      });
+
+      action = sampleContract.setValue("logged");
+      const sent = new Promise(resolve => {
+        action.once("sent", message => resolve(message.data));
+      });
+
+      const data = await logged;
+      const { hash } = await sent;
+      const { blockNumber, blockHash } = await provider.getTransactionReceipt(
+        hash
+      );
+
+      expect(data.event).to.equal("ValueChanged");
+      expect(data.args.newValue).to.equal("logged");
+      expect(data.address).to.equal(sampleContractAddress);
+      expect(data.transactionHash).to.equal(hash);
+      expect(data.blockNumber).to.equal(blockNumber);
+      expect(data.blockHash).to.equal(blockHash);
+      expect(data.transactionIndex).to.equal(0);
+      expect(data.logIndex).to.equal(0);
+      expect(data.removed).to.be.false;
+    });
+
+    // Note: The snapshot reversion takes the block of the log away, like a reorg
+    it("should retract an event removed by a block reorganization", async () => {
+      const messages = [];
+      const errorListener = sinon.fake();
+
+      sampleContract.on("error", errorListener);
+      sampleContract.on("ValueChanged", message => {
+        messages.push(message.data);
+      });
+
+      const snapshotId = await createSnapshot(provider);
+
+      // Note: Not the `action` of afterEach, its transaction won't exist anymore
+      const reorgAction = sampleContract.setValue("reorg");
+      await reorgAction.waitForNonceToUpdate();
+      await mineBlocks(provider, 2);
+
+      expect(messages).to.have.lengthOf(1);
+      expect(messages[0].removed).to.be.false;
+
+      await revertFromSnapshot(provider, snapshotId);
+      await mineBlocks(provider, 3);
+
+      expect(messages).to.have.lengthOf(2);
+      const [added, removed] = messages;
+      expect(removed.removed).to.be.true;
+      expect(removed.args.newValue).to.equal("reorg");
+      expect(removed.transactionHash).to.equal(added.transactionHash);
+      expect(removed.blockHash).to.equal(added.blockHash);
+      expect(errorListener.called).to.be.false;
+    });
+
     it("should throw error when listening on invalid event", async () => {
       expect(() => {
         sampleContract.on("InvalidEvent", () => {});
       }).to.throw();
     });
 
-    it("subscription should have one listener per event", async () => {
+    it("subscription should have many listeners per event", async () => {
       const listener1 = message => {};
       const listener2 = message => {};
 
       expect(sampleContract.subscribedEventNames()).to.be.empty;
 
       sampleContract.on("ValueChanged", listener1);
+      const unsubscribe = sampleContract.on("ValueChanged", listener2);
 
-      expect(() => {
-        sampleContract.on("ValueChanged", listener2);
-      }).to.throw();
+      expect(sampleContract.subscribedEventNames()).to.deep.equal([
+        "ValueChanged",
+      ]);
+
+      unsubscribe();
+      unsubscribe();
 
       expect(sampleContract.subscribedEventNames()).to.deep.equal([
         "ValueChanged",
       ]);
+
+      sampleContract.off("ValueChanged", listener1);
+
+      expect(sampleContract.subscribedEventNames()).to.be.empty;
+    });
+
+    it("should trigger an event on every listener", async () => {
+      const screenListener = sinon.fake();
+      const syncListener = sinon.fake();
+      const onceListener = sinon.fake();
+
+      sampleContract.on("ValueChanged", screenListener);
+      sampleContract.on("ValueChanged", syncListener);
+      sampleContract.once("ValueChanged", onceListener);
+
+      action = sampleContract.setValue("first");
+      await action.waitForNonceToUpdate();
+      await mineBlocks(provider, 1);
+
+      sampleContract.off("ValueChanged", screenListener);
+
+      action = sampleContract.setValue("second");
+      await action.waitForNonceToUpdate();
+      await mineBlocks(provider, 1);
+
+      expect(screenListener.callCount).to.equal(1);
+      expect(syncListener.callCount).to.equal(2);
+      expect(onceListener.callCount).to.equal(1);
+
+      const { data } = syncListener.lastCall.args[0];
+      expect(data.args.newValue).to.equal("second");
     });
 
     it("should remove an event", async () => {
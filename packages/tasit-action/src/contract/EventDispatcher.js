@@ -0,0 +1,91 @@
+// Note: One dispatcher per provider (or other ethers.js event emitter)
+const dispatchers = new WeakMap();
+
+// ethers.js event names are strings (e.g. "block") or log filters
+const toKey = eventName => {
+  if (typeof eventName === "string") return eventName;
+  return JSON.stringify(eventName);
+};
+
+const warn = (key, error) => {
+  console.warn(`Subscriber of event '${key}' with error: ${error.message}`);
+};
+
+// Owns the ethers.js subscriptions of a provider (blocks and logs) and fans
+// the events out to many independent subscribers (see Subscription)
+// There is one ethers.js listener per event, it's removed with its last subscriber,
+// so one subscriber going away never removes the listeners of the others
+export class EventDispatcher {
+  #emitter;
+  #subscriptions = new Map();
+
+  constructor(emitter) {
+    this.#emitter = emitter;
+  }
+
+  static getDispatcher = emitter => {
+    if (!dispatchers.has(emitter))
+      dispatchers.set(emitter, new EventDispatcher(emitter));
+    return dispatchers.get(emitter);
+  };
+
+  // Returns the function that removes this subscription
+  // Note: Subscribing the same function twice makes two subscriptions
+  subscribe = (eventName, listener) => {
+    const key = toKey(eventName);
+
+    if (!this.#subscriptions.has(key)) this.#startListening(key, eventName);
+
+    const { subscribers } = this.#subscriptions.get(key);
+    const subscriber = (...args) => listener(...args);
+    subscribers.add(subscriber);
+
+    let subscribed = true;
+    return () => {
+      if (!subscribed) return;
+      subscribed = false;
+      this.#removeSubscriber(key, subscriber);
+    };
+  };
+
+  subscriberCount = eventName => {
+    const subscription = this.#subscriptions.get(toKey(eventName));
+    return subscription ? subscription.subscribers.size : 0;
+  };
+
+  #startListening = (key, eventName) => {
+    const subscribers = new Set();
+
+    // Note: A subscriber that throws doesn't stop the others,
+    // the subscribers added while dispatching get the next event
+    const ethersListener = (...args) => {
+      Array.from(subscribers).forEach(subscriber => {
+        try {
+          const result = subscriber(...args);
+          if (result && typeof result.catch === "function")
+            result.catch(error => warn(key, error));
+        } catch (error) {
+          warn(key, error);
+        }
+      });
+    };
+
+    this.#subscriptions.set(key, { eventName, ethersListener, subscribers });
+    this.#emitter.on(eventName, ethersListener);
+  };
+
+  #removeSubscriber = (key, subscriber) => {
+    const subscription = this.#subscriptions.get(key);
+    if (!subscription) return;
+
+    const { eventName, ethersListener, subscribers } = subscription;
+    subscribers.delete(subscriber);
+
+    if (subscribers.size > 0) return;
+
+    this.#emitter.removeListener(eventName, ethersListener);
+    this.#subscriptions.delete(key);
+  };
+}
+
+export default EventDispatcher;
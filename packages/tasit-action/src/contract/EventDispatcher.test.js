@@ -0,0 +1,163 @@
+import { EventEmitter } from "events";
+import Contract from "./Contract";
+import EventDispatcher from "./EventDispatcher";
+
+import { abi as contractABI } from "../../../tasit-contracts/build/contracts/SampleContract.json";
+
+const sampleContractAddress = "0x6C4A015797DDDd87866451914eCe1e8b19261931";
+
+describe("TasitAction.EventDispatcher", () => {
+  describe("subscriptions", () => {
+    let emitter;
+    let dispatcher;
+
+    beforeEach("", async () => {
+      emitter = new EventEmitter();
+      dispatcher = EventDispatcher.getDispatcher(emitter);
+    });
+
+    it("should share a dispatcher per emitter", async () => {
+      expect(EventDispatcher.getDispatcher(emitter)).to.equal(dispatcher);
+      expect(EventDispatcher.getDispatcher(new EventEmitter())).not.to.equal(
+        dispatcher
+      );
+    });
+
+    it("should listen to the emitter once per event", async () => {
+      const first = sinon.fake();
+      const second = sinon.fake();
+
+      dispatcher.subscribe("block", first);
+      dispatcher.subscribe("block", second);
+      dispatcher.subscribe({ address: sampleContractAddress }, first);
+      emitter.emit("block", 1);
+
+      expect(emitter.listenerCount("block")).to.equal(1);
+      expect(dispatcher.subscriberCount("block")).to.equal(2);
+      expect(first.calledOnceWith(1)).to.be.true;
+      expect(second.calledOnceWith(1)).to.be.true;
+    });
+
+    it("should stop listening with the last subscriber", async () => {
+      const listener = sinon.fake();
+
+      const unsubscribeFirst = dispatcher.subscribe("block", listener);
+      const unsubscribeSecond = dispatcher.subscribe("block", listener);
+
+      unsubscribeFirst();
+      unsubscribeFirst();
+      emitter.emit("block", 1);
+
+      expect(listener.callCount).to.equal(1);
+      expect(emitter.listenerCount("block")).to.equal(1);
+
+      unsubscribeSecond();
+
+      expect(emitter.listenerCount("block")).to.equal(0);
+      expect(dispatcher.subscriberCount("block")).to.equal(0);
+    });
+
+    it("should keep dispatching after a subscriber error", async () => {
+      const listener = sinon.fake();
+
+      dispatcher.subscribe("block", () => {
+        throw new Error(`Broken subscriber`);
+      });
+      dispatcher.subscribe("block", async () => {
+        throw new Error(`Broken async subscriber`);
+      });
+      dispatcher.subscribe("block", listener);
+      emitter.emit("block", 1);
+
+      expect(listener.calledOnceWith(1)).to.be.true;
+    });
+  });
+
+  describe("contracts", () => {
+    let wallet;
+    let sampleContract;
+    let provider;
+    let snapshotId;
+    let subscriptions;
+
+    before("", async () => {
+      wallet = createFromPrivateKey(ownerPrivKey);
+    });
+
+    beforeEach("", async () => {
+      sampleContract = new Contract(sampleContractAddress, contractABI, wallet);
+      provider = sampleContract._getProvider();
+      snapshotId = await createSnapshot(provider);
+      subscriptions = [sampleContract];
+    });
+
+    afterEach("", async () => {
+      subscriptions.forEach(subscription => subscription.unsubscribe());
+
+      expect(
+        provider._events,
+        "ethers.js should not be listening to any events."
+      ).to.be.empty;
+
+      await revertFromSnapshot(provider, snapshotId);
+    });
+
+    it("should confirm dozens of concurrent Actions", async () => {
+      const count = 30;
+      const actions = [];
+      const confirmations = [];
+
+      // Note: Overlapping confirmation checks of an Action may look like a reorg
+      sampleContract.on("error", () => {});
+
+      for (let i = 0; i < count; i++) {
+        const action = sampleContract.setValue(`value ${i}`);
+        confirmations.push(0);
+        action.on("error", () => {});
+        action.on("confirmation", () => confirmations[i]++);
+        actions.push(action);
+      }
+      subscriptions.push(...actions);
+
+      await Promise.all(actions.map(action => action.waitForNonceToUpdate()));
+
+      // Note: Half of the Actions stop listening, the other half keeps its confirmations
+      actions.slice(0, count / 2).forEach(action => action.unsubscribe());
+      const before = confirmations.slice();
+
+      await mineBlocks(provider, 3);
+
+      confirmations.forEach((confirmed, i) => {
+        if (i < count / 2) expect(confirmed).to.equal(before[i]);
+        else expect(confirmed).to.be.above(before[i]);
+      });
+      expect(provider.listenerCount("block")).to.equal(1);
+    });
+
+    it("should keep the events of other Contracts of the same address", async () => {
+      const otherContract = new Contract(
+        sampleContractAddress,
+        contractABI,
+        wallet
+      );
+      subscriptions.push(otherContract);
+
+      const listener = sinon.fake();
+      const otherListener = sinon.fake();
+      sampleContract.on("ValueChanged", listener);
+      otherContract.on("ValueChanged", otherListener);
+
+      sampleContract.off("ValueChanged");
+
+      const action = sampleContract.setValue("shared");
+      subscriptions.push(action);
+      await action.waitForNonceToUpdate();
+      await mineBlocks(provider, 2);
+
+      expect(listener.called).to.be.false;
+      expect(otherListener.called).to.be.true;
+      const { data } = otherListener.lastCall.args[0];
+      expect(data.args.newValue).to.equal("shared");
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import ConfigLoader from "../ConfigLoader";
+
+const { bigNumberify } = ethers.utils;
+
+const DEFAULT_LIMIT_MULTIPLIER = 1.2;
+const DEFAULT_PERCENTILE = 50;
+const DEFAULT_BLOCKS = 20;
+const DEFAULT_PRIORITY_FEE = bigNumberify("1000000000");
+
+const getGasConfig = () => {
+  const config = ConfigLoader.getConfig() || {};
+  return config.gas || {};
+};
+
+// Note: Nodes with EIP-1559 send the base fee on the raw block,
+// ethers.js v4 drops it when formatting blocks
+const getBaseFee = async provider => {
+  if (typeof provider.send !== "function") return undefined;
+
+  const block = await provider.send("eth_getBlockByNumber", ["latest", false]);
+  if (!block || !block.baseFeePerGas) return undefined;
+
+  return bigNumberify(block.baseFeePerGas);
+};
+
+const getPriorityFee = async (provider, priorityFee) => {
+  if (priorityFee !== undefined) return bigNumberify(priorityFee);
+
+  try {
+    const fee = await provider.send("eth_maxPriorityFeePerGas", []);
+    return bigNumberify(fee);
+  } catch (error) {
+    return DEFAULT_PRIORITY_FEE;
+  }
+};
+
+const fixed = async (provider, { value }) => {
+  if (value === undefined)
+    throw new Error(`Cannot use a fixed gas price without a value`);
+
+  return { gasPrice: bigNumberify(value) };
+};
+
+const node = async provider => {
+  return { gasPrice: await provider.getGasPrice() };
+};
+
+// The given percentile of the gas prices of the transactions in the latest blocks
+// Falls back to the node gas price when those blocks have no transactions
+const percentile = async (provider, options) => {
+  const { percentile = DEFAULT_PERCENTILE, blocks = DEFAULT_BLOCKS } = options;
+
+  if (percentile < 0 || percentile > 100)
+    throw new Error(`Invalid gas price percentile: ${percentile}`);
+
+  const latest = await provider.getBlockNumber();
+  const first = Math.max(latest - blocks + 1, 0);
+
+  const blockNumbers = [];
+  for (let n = first; n <= latest; n++) blockNumbers.push(n);
+
+  const fetched = await Promise.all(
+    blockNumbers.map(n => provider.getBlock(n, true))
+  );
+
+  const prices = fetched
+    .filter(block => block && block.transactions)
+    .reduce((all, block) => all.concat(block.transactions), [])
+    .map(tx => bigNumberify(tx.gasPrice))
+    .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+
+  if (prices.length === 0) return node(provider);
+
+  const index = Math.ceil((percentile / 100) * prices.length) - 1;
+  return { gasPrice: prices[Math.max(index, 0)] };
+};
+
+// Note: ethers.js v4 only signs legacy transactions, a legacy transaction pays
+// its whole gasPrice, so writes are sent with gasPrice = base fee + priority fee,
+// what a type 2 transaction would pay
+// maxFeePerGas (twice the base fee plus the priority fee) and maxPriorityFeePerGas
+// are informational, they aren't sent
+// Chains without a base fee (e.g. ganache) use the node gas price
+const eip1559 = async (provider, { priorityFee }) => {
+  const baseFee = await getBaseFee(provider);
+  if (baseFee === undefined) return node(provider);
+
+  const maxPriorityFeePerGas = await getPriorityFee(provider, priorityFee);
+  const maxFeePerGas = baseFee.mul(2).add(maxPriorityFeePerGas);
+  const gasPrice = baseFee.add(maxPriorityFeePerGas);
+
+  return { gasPrice, maxFeePerGas, maxPriorityFeePerGas };
+};
+
+const strategies = { fixed, node, percentile, eip1559 };
+
+// Gas limit and gas price of contract writes, see `gas` on ConfigLoader
+export class Gas {
+  // Resolves to { gasPrice } and, with the eip1559 strategy on a chain
+  // that supports it, the informational { maxFeePerGas, maxPriorityFeePerGas }
+  static getFees = async provider => {
+    const { price = {} } = getGasConfig();
+    const { strategy = "node" } = price;
+
+    // Note: A custom strategy is a function that resolves to a gas price
+    if (typeof strategy === "function")
+      return { gasPrice: bigNumberify(await strategy(provider)) };
+
+    const getFees = strategies[strategy];
+    if (!getFees) throw new Error(`Unknown gas price strategy: ${strategy}`);
+
+    return getFees(provider, price);
+  };
+
+  static getGasPrice = async provider => {
+    const { gasPrice } = await Gas.getFees(provider);
+    return gasPrice;
+  };
+
+  // The gas estimation times the limitMultiplier
+  static estimateGasLimit = async (tx, provider) => {
+    const { from, to, data, value } = tx;
+    const estimate = await provider.estimateGas({ from, to, data, value });
+    return Gas.applyMultiplier(estimate);
+  };
+
+  static applyMultiplier = gasLimit => {
+    const { limitMultiplier = DEFAULT_LIMIT_MULTIPLIER } = getGasConfig();
+
+    if (typeof limitMultiplier !== "number" || limitMultiplier < 1)
+      throw new Error(`Invalid gas limit multiplier: ${limitMultiplier}`);
+
+    // Note: BigNumber has no decimals, the multiplier is applied in percents
+    const percent = Math.round(limitMultiplier * 100);
+    return bigNumberify(gasLimit)
+      .mul(percent)
+      .div(100);
+  };
+
+  // Resolves to the gasLimit and gasPrice of the transaction,
+  // the ones it already has (e.g. overrides) are kept
+  static fill = async (tx, provider) => {
+    const gasLimit =
+      tx.gasLimit !== undefined
+        ? bigNumberify(tx.gasLimit)
+        : await Gas.estimateGasLimit(tx, provider);
+
+    const gasPrice =
+      tx.gasPrice !== undefined
+        ? bigNumberify(tx.gasPrice)
+        : await Gas.getGasPrice(provider);
+
+    return { gasLimit, gasPrice };
+  };
+}
+
+export default Gas;
@@ -0,0 +1,266 @@
+import Contract from "./Contract";
+import Gas from "./Gas";
+import ConfigLoader from "../ConfigLoader";
+import { ethers } from "ethers";
+
+import { abi as contractABI } from "../../../tasit-contracts/build/contracts/SampleContract.json";
+
+const sampleContractAddress = "0x6C4A015797DDDd87866451914eCe1e8b19261931";
+
+const { bigNumberify } = ethers.utils;
+
+describe("TasitAction.Gas", () => {
+  let defaultConfig;
+
+  const setGasConfig = gas => {
+    ConfigLoader.setConfig(Object.assign({}, defaultConfig, { gas }));
+  };
+
+  before("", async () => {
+    defaultConfig = ConfigLoader.getConfig();
+  });
+
+  afterEach("", async () => {
+    ConfigLoader.setConfig(defaultConfig);
+  });
+
+  describe("strategies", () => {
+    // Note: Only what the strategies use from a provider
+    const fakeProvider = ({ gasPrices = [], baseFee, priorityFee } = {}) => {
+      const blocks = gasPrices.map(prices => ({
+        transactions: prices.map(gasPrice => ({ gasPrice })),
+      }));
+
+      return {
+        getGasPrice: sinon.fake.resolves(bigNumberify(3)),
+        getBlockNumber: sinon.fake.resolves(blocks.length - 1),
+        getBlock: sinon.fake(async n => blocks[n]),
+        send: sinon.fake(async method => {
+          if (method === "eth_getBlockByNumber")
+            return { baseFeePerGas: baseFee };
+          if (method === "eth_maxPriorityFeePerGas" && priorityFee)
+            return priorityFee;
+          throw new Error(`Method not found`);
+        }),
+      };
+    };
+
+    it("should use the node gas price by default", async () => {
+      setGasConfig(undefined);
+      const provider = fakeProvider();
+
+      const gasPrice = await Gas.getGasPrice(provider);
+
+      expect(gasPrice.toNumber()).to.equal(3);
+      expect(provider.getGasPrice.callCount).to.equal(1);
+    });
+
+    it("should use a fixed gas price", async () => {
+      setGasConfig({ price: { strategy: "fixed", value: "2000000000" } });
+
+      const gasPrice = await Gas.getGasPrice(fakeProvider());
+
+      expect(gasPrice.toString()).to.equal("2000000000");
+    });
+
+    it("should use a percentile of the latest blocks", async () => {
+      setGasConfig({
+        price: { strategy: "percentile", percentile: 60, blocks: 2 },
+      });
+      // Note: The first block is older than `blocks`
+      const provider = fakeProvider({
+        gasPrices: [[100], [10, 50, 20], [40, 30]],
+      });
+
+      const gasPrice = await Gas.getGasPrice(provider);
+
+      expect(gasPrice.toNumber()).to.equal(30);
+      expect(provider.getBlock.callCount).to.equal(2);
+    });
+
+    it("should use the node gas price without recent transactions", async () => {
+      setGasConfig({ price: { strategy: "percentile" } });
+
+      const gasPrice = await Gas.getGasPrice(fakeProvider({ gasPrices: [[]] }));
+
+      expect(gasPrice.toNumber()).to.equal(3);
+    });
+
+    it("should use the base fee and priority fee with eip1559", async () => {
+      setGasConfig({ price: { strategy: "eip1559" } });
+      const provider = fakeProvider({ baseFee: "0x64", priorityFee: "0x0a" });
+
+      const {
+        gasPrice,
+        maxFeePerGas,
+        maxPriorityFeePerGas,
+      } = await Gas.getFees(provider);
+
+      expect(maxPriorityFeePerGas.toNumber()).to.equal(10);
+      expect(maxFeePerGas.toNumber()).to.equal(210);
+      expect(gasPrice.toNumber()).to.equal(110);
+    });
+
+    it("should use the configured priority fee with eip1559", async () => {
+      setGasConfig({ price: { strategy: "eip1559", priorityFee: 5 } });
+      const provider = fakeProvider({ baseFee: "0x64", priorityFee: "0x0a" });
+
+      const { gasPrice } = await Gas.getFees(provider);
+
+      expect(gasPrice.toNumber()).to.equal(105);
+    });
+
+    it("should fall back to the node gas price without a base fee", async () => {
+      setGasConfig({ price: { strategy: "eip1559" } });
+
+      const fees = await Gas.getFees(fakeProvider());
+
+      expect(fees.gasPrice.toNumber()).to.equal(3);
+      expect(fees.maxFeePerGas).to.be.undefined;
+    });
+
+    it("should use a custom strategy", async () => {
+      setGasConfig({ price: { strategy: async () => 7 } });
+
+      const gasPrice = await Gas.getGasPrice(fakeProvider());
+
+      expect(gasPrice.toNumber()).to.equal(7);
+    });
+
+    it("should reject an invalid config", async () => {
+      setGasConfig({ price: { strategy: "cheapest" } });
+      await expect(Gas.getGasPrice(fakeProvider())).to.be.rejectedWith(
+        `Unknown gas price strategy: cheapest`
+      );
+
+      setGasConfig({ price: { strategy: "fixed" } });
+      await expect(Gas.getGasPrice(fakeProvider())).to.be.rejectedWith(
+        `Cannot use a fixed gas price without a value`
+      );
+
+      setGasConfig({ limitMultiplier: 0.5 });
+      expect(() => Gas.applyMultiplier(100000)).to.throw(
+        `Invalid gas limit multiplier: 0.5`
+      );
+    });
+  });
+
+  describe("contracts", () => {
+    let wallet;
+    let sampleContract;
+    let provider;
+    let snapshotId;
+
+    const getLatestTransaction = async () => {
+      const block = await provider.getBlock("latest", true);
+      return block.transactions[0];
+    };
+
+    before("", async () => {
+      wallet = createFromPrivateKey(ownerPrivKey);
+    });
+
+    beforeEach("", async () => {
+      sampleContract = new Contract(sampleContractAddress, contractABI, wallet);
+      provider = sampleContract._getProvider();
+      snapshotId = await createSnapshot(provider);
+    });
+
+    afterEach("", async () => {
+      sampleContract.unsubscribe();
+      if (provider.send.restore) provider.send.restore();
+      await revertFromSnapshot(provider, snapshotId);
+    });
+
+    it("should multiply the gas estimation of a write", async () => {
+      setGasConfig({
+        limitMultiplier: 1.5,
+        price: { strategy: "fixed", value: "2000000000" },
+      });
+
+      const estimate = await sampleContract
+        .getEmitter()
+        .estimate.setValue("gas");
+
+      const action = sampleContract.setValue("gas");
+      await action.waitForNonceToUpdate();
+
+      const tx = await getLatestTransaction();
+      expect(tx.gasLimit.eq(estimate.mul(150).div(100))).to.be.true;
+      expect(tx.gasPrice.toString()).to.equal("2000000000");
+      expect(await sampleContract.getValue()).to.equal("gas");
+    });
+
+    // Note: ganache has no base fee, the node reports one on its blocks here
+    it("should send a write with the base fee and priority fee on a chain with a base fee", async () => {
+      const baseFee = bigNumberify("1000000000");
+      const send = provider.send.bind(provider);
+      sinon.stub(provider, "send").callsFake(async (method, params) => {
+        const result = await send(method, params);
+        if (method !== "eth_getBlockByNumber" || !result) return result;
+        return Object.assign({}, result, {
+          baseFeePerGas: baseFee.toHexString(),
+        });
+      });
+      setGasConfig({
+        price: { strategy: "eip1559", priorityFee: "2000000000" },
+      });
+
+      const action = sampleContract.setValue("base fee");
+      await action.waitForNonceToUpdate();
+
+      const tx = await getLatestTransaction();
+      expect(tx.gasPrice.toString()).to.equal("3000000000");
+      expect(await sampleContract.getValue()).to.equal("base fee");
+    });
+
+    it("should keep the gas overrides of a write", async () => {
+      setGasConfig({ price: { strategy: "fixed", value: "2000000000" } });
+
+      const action = sampleContract.setValue("gas", {
+        gasLimit: 150000,
+        gasPrice: 3e9,
+      });
+      await action.waitForNonceToUpdate();
+
+      const tx = await getLatestTransaction();
+      expect(tx.gasLimit.toNumber()).to.equal(150000);
+      expect(tx.gasPrice.toString()).to.equal("3000000000");
+    });
+
+    it("should populate transactions with the same gas", async () => {
+      setGasConfig({
+        limitMultiplier: 2,
+        price: { strategy: "fixed", value: "2000000000" },
+      });
+
+      const estimate = await sampleContract
+        .getEmitter()
+        .estimate.setValue("gas");
+      const tx = await sampleContract.populate.setValue("gas");
+
+      expect(tx.gasLimit.eq(estimate.mul(2))).to.be.true;
+      expect(tx.gasPrice.toString()).to.equal("2000000000");
+    });
+
+    it("should check the balance against the gas of the write on preflight", async () => {
+      ConfigLoader.setConfig(
+        Object.assign({}, defaultConfig, {
+          preflight: true,
+          gas: { price: { strategy: "fixed", value: "1" } },
+        })
+      );
+
+      const poor = ethers.Wallet.createRandom();
+      sampleContract.setWallet(poor);
+      const action = sampleContract.setValue("gas");
+      const error = await new Promise(resolve => {
+        action.on("error", message => resolve(message.error));
+      });
+      action.unsubscribe();
+
+      expect(error.reason).to.equal("insufficientFunds");
+      expect(error.transaction.gasPrice.toNumber()).to.equal(1);
+    });
+  });
+});
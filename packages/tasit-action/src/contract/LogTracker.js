@@ -0,0 +1,67 @@
+import ConfigLoader from "../ConfigLoader";
+
+// Note: Same default as the Action enoughConfirmations event
+const DEFAULT_ENOUGH_CONFIRMATIONS = 6;
+
+// The same transaction mined again (e.g. after a reorg) has another log
+const toKey = log => `${log.blockHash}:${log.logIndex}`;
+
+// Keeps the logs given to a contract event listener until they're final
+// (see `enoughConfirmations` on ConfigLoader), to find the ones removed by a reorg
+// Note: ethers.js doesn't tell about removed logs, so the logs of the recent blocks
+// are read again on each block
+export class LogTracker {
+  #provider;
+  #filter;
+  #enoughConfirmations;
+  #logs;
+
+  constructor(provider, filter) {
+    const { events } = ConfigLoader.getConfig();
+    const { enoughConfirmations = DEFAULT_ENOUGH_CONFIRMATIONS } = events;
+
+    this.#provider = provider;
+    this.#filter = filter;
+    this.#enoughConfirmations = enoughConfirmations;
+    this.#logs = new Map();
+  }
+
+  add = log => {
+    if (!log.blockHash) return;
+    this.#logs.set(toKey(log), log);
+  };
+
+  // Resolves to the logs up to the block that aren't on the chain anymore
+  // Note: A log of a later block (e.g. when the chain is shorter after a reorg)
+  // is checked once the chain reaches its block number
+  removedUntil = async blockNumber => {
+    const tracked = Array.from(this.#logs.values()).filter(
+      log => log.blockNumber <= blockNumber
+    );
+    if (tracked.length === 0) return [];
+
+    const fromBlock = Math.min(...tracked.map(log => log.blockNumber));
+    const logs = await this.#provider.getLogs(
+      Object.assign({}, this.#filter, { fromBlock, toBlock: blockNumber })
+    );
+    const onChain = new Set(logs.map(toKey));
+
+    return tracked.filter(log => {
+      const key = toKey(log);
+
+      // Note: Already removed or final, by the check of another block
+      if (!this.#logs.has(key)) return false;
+
+      if (!onChain.has(key)) {
+        this.#logs.delete(key);
+        return true;
+      }
+
+      const confirmations = blockNumber - log.blockNumber + 1;
+      if (confirmations >= this.#enoughConfirmations) this.#logs.delete(key);
+      return false;
+    });
+  };
+}
+
+export default LogTracker;
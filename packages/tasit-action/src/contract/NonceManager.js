@@ -0,0 +1,106 @@
+// Note: One manager per signer address, shared by every Contract
+const managers = new Map();
+
+const isNonceError = error => {
+  if (!error) return false;
+  if (error.code === "NONCE_EXPIRED") return true;
+  if (error.code === "REPLACEMENT_UNDERPRICED") return true;
+  return /nonce too low|nonce too high|correct nonce|nonce has already been used|already known|known transaction|replacement transaction underpriced/i.test(
+    error.message
+  );
+};
+
+// Hands out sequential nonces for the writes of a signer,
+// so many writes can be sent without waiting for the previous ones to be mined
+// The writes are sent one at a time, in the order they were called
+export class NonceManager {
+  #address;
+  #queue;
+  #nonce;
+  #sent;
+
+  constructor(address) {
+    this.#address = address;
+    this.#queue = Promise.resolve();
+    this.#nonce = undefined;
+    // Hashes of the transactions sent by nonce, until they're mined
+    this.#sent = new Map();
+  }
+
+  static getManager = address => {
+    const key = address.toLowerCase();
+    if (!managers.has(key)) managers.set(key, new NonceManager(address));
+    return managers.get(key);
+  };
+
+  // `sendWithNonce` is a function that sends the transaction with the nonce
+  // and resolves to the ethers.js transaction response (or its hash)
+  // Note: On a nonce error (e.g. "nonce too low") the nonce is synced with the node
+  // and the transaction is sent once more
+  send = (provider, sendWithNonce) => {
+    const result = this.#queue.then(() => this.#send(provider, sendWithNonce));
+    this.#queue = result.catch(() => {});
+    return result;
+  };
+
+  // The next nonce will be the transaction count (pending) of the node
+  resync = () => {
+    this.#nonce = undefined;
+    this.#sent.clear();
+  };
+
+  // Note: A replacement (see Action speedUp() and cancel()) has the nonce
+  // of the transaction it replaces
+  replace = (nonce, hash) => {
+    if (this.#sent.has(nonce)) this.#sent.set(nonce, hash);
+  };
+
+  #send = async (provider, sendWithNonce, retry = true) => {
+    const nonce = await this.#nextNonce(provider);
+
+    let tx;
+    try {
+      tx = await sendWithNonce(nonce);
+    } catch (error) {
+      this.resync();
+      if (retry && isNonceError(error))
+        return this.#send(provider, sendWithNonce, false);
+      throw error;
+    }
+
+    const hash = typeof tx === "string" ? tx : tx.hash;
+    this.#sent.set(nonce, hash);
+    this.#nonce = nonce + 1;
+
+    return tx;
+  };
+
+  #nextNonce = async provider => {
+    const count = await provider.getTransactionCount(this.#address, "pending");
+
+    for (let nonce of this.#sent.keys())
+      if (nonce < count) this.#sent.delete(nonce);
+
+    if (this.#nonce === undefined || count >= this.#nonce) return count;
+
+    // Note: The node is behind the nonces sent, either because it doesn't
+    // see the pending transactions yet or because some were dropped (or the
+    // chain was reverted). The first dropped nonce is sent again
+    for (let nonce = count; nonce < this.#nonce; nonce++) {
+      const hash = this.#sent.get(nonce);
+      if (hash === undefined) continue;
+
+      const tx = await provider.getTransaction(hash);
+      if (tx === null) {
+        for (let dropped of this.#sent.keys())
+          if (dropped >= nonce) this.#sent.delete(dropped);
+        this.#nonce = nonce;
+        break;
+      }
+    }
+
+    return this.#nonce;
+  };
+}
+
+export default NonceManager;
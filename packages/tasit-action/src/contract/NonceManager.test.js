@@ -0,0 +1,197 @@
+import Contract from "./Contract";
+import NonceManager from "./NonceManager";
+import { ethers } from "ethers";
+
+import { abi as contractABI } from "../../../tasit-contracts/build/contracts/SampleContract.json";
+
+const sampleContractAddress = "0x6C4A015797DDDd87866451914eCe1e8b19261931";
+
+describe("TasitAction.NonceManager", () => {
+  describe("nonces", () => {
+    let manager;
+    let provider;
+    let transactionCount;
+    let knownHashes;
+
+    // Note: Only what the manager uses from a provider
+    const fakeProvider = () => {
+      return {
+        getTransactionCount: sinon.fake(async () => transactionCount),
+        getTransaction: sinon.fake(async hash =>
+          knownHashes.includes(hash) ? { hash } : null
+        ),
+      };
+    };
+
+    // Note: The node knows the transactions sent until they're dropped
+    const sendWithNonce = async nonce => {
+      const hash = `0x${nonce}`;
+      knownHashes.push(hash);
+      return { hash };
+    };
+
+    beforeEach("", async () => {
+      const { address } = ethers.Wallet.createRandom();
+      manager = NonceManager.getManager(address);
+      provider = fakeProvider();
+      transactionCount = 5;
+      knownHashes = [];
+    });
+
+    it("should share a manager per address", async () => {
+      const { address } = ethers.Wallet.createRandom();
+
+      expect(NonceManager.getManager(address)).to.equal(
+        NonceManager.getManager(address.toLowerCase())
+      );
+    });
+
+    it("should hand out sequential nonces", async () => {
+      const nonces = [];
+      const send = async nonce => {
+        nonces.push(nonce);
+        return sendWithNonce(nonce);
+      };
+
+      await Promise.all([
+        manager.send(provider, send),
+        manager.send(provider, send),
+        manager.send(provider, send),
+      ]);
+
+      expect(nonces).to.deep.equal([5, 6, 7]);
+    });
+
+    it("should use the node nonce when it's ahead", async () => {
+      await manager.send(provider, sendWithNonce);
+      transactionCount = 10;
+
+      const tx = await manager.send(provider, sendWithNonce);
+
+      expect(tx.hash).to.equal("0x10");
+    });
+
+    it("should keep the nonce of transactions the node doesn't count yet", async () => {
+      await manager.send(provider, sendWithNonce);
+
+      const tx = await manager.send(provider, sendWithNonce);
+
+      expect(tx.hash).to.equal("0x6");
+    });
+
+    it("should reuse the nonce of a dropped transaction", async () => {
+      await manager.send(provider, sendWithNonce);
+      await manager.send(provider, sendWithNonce);
+      knownHashes = ["0x6"];
+
+      const tx = await manager.send(provider, sendWithNonce);
+
+      expect(tx.hash).to.equal("0x5");
+    });
+
+    it("should resync and retry on a nonce too low error", async () => {
+      await manager.send(provider, sendWithNonce);
+
+      const nonces = [];
+      const send = async nonce => {
+        nonces.push(nonce);
+        if (nonces.length === 1) {
+          transactionCount = 9;
+          throw new Error("nonce too low");
+        }
+        return sendWithNonce(nonce);
+      };
+
+      const tx = await manager.send(provider, send);
+
+      expect(nonces).to.deep.equal([6, 9]);
+      expect(tx.hash).to.equal("0x9");
+    });
+
+    it("should resync after other errors", async () => {
+      await manager.send(provider, sendWithNonce);
+
+      const failing = async () => {
+        throw new Error("Signer is locked");
+      };
+      await expect(manager.send(provider, failing)).to.be.rejectedWith(
+        "Signer is locked"
+      );
+
+      const tx = await manager.send(provider, sendWithNonce);
+      expect(tx.hash).to.equal("0x5");
+    });
+  });
+
+  describe("contracts", () => {
+    let wallet;
+    let sampleContract;
+    let provider;
+    let snapshotId;
+
+    before("", async () => {
+      wallet = createFromPrivateKey(ownerPrivKey);
+    });
+
+    beforeEach("", async () => {
+      sampleContract = new Contract(sampleContractAddress, contractABI, wallet);
+      provider = sampleContract._getProvider();
+      snapshotId = await createSnapshot(provider);
+    });
+
+    afterEach("", async () => {
+      sampleContract.unsubscribe();
+      await revertFromSnapshot(provider, snapshotId);
+    });
+
+    it("should confirm many writes sent at once", async () => {
+      const nonce = await provider.getTransactionCount(wallet.address);
+
+      const actions = [];
+      for (let i = 0; i < 10; i++)
+        actions.push(sampleContract.setValue(`value ${i}`));
+
+      await Promise.all(actions.map(action => action.waitForNonceToUpdate()));
+
+      expect(await provider.getTransactionCount(wallet.address)).to.equal(
+        nonce + 10
+      );
+      expect(await sampleContract.getValue()).to.equal("value 9");
+    });
+
+    it("should confirm writes of contracts sharing a wallet", async () => {
+      const otherContract = new Contract(
+        sampleContractAddress,
+        contractABI,
+        wallet
+      );
+
+      const first = sampleContract.setValue("first");
+      const second = otherContract.setValue("second");
+      await Promise.all([
+        first.waitForNonceToUpdate(),
+        second.waitForNonceToUpdate(),
+      ]);
+
+      expect(await sampleContract.getValue()).to.equal("second");
+      otherContract.unsubscribe();
+    });
+
+    it("should recover after a transaction sent by another app", async () => {
+      const action = sampleContract.setValue("before");
+      await action.waitForNonceToUpdate();
+
+      const connected = wallet.connect(provider);
+      const tx = await connected.sendTransaction({
+        to: wallet.address,
+        value: 1,
+      });
+      await provider.waitForTransaction(tx.hash);
+
+      const after = sampleContract.setValue("after");
+      await after.waitForNonceToUpdate();
+
+      expect(await sampleContract.getValue()).to.equal("after");
+    });
+  });
+});
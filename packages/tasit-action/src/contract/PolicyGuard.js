@@ -0,0 +1,178 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import Utils from "./Utils";
+import ConfigLoader from "../ConfigLoader";
+import { PolicyViolationError } from "../Errors";
+
+const DAY = 24 * 60 * 60 * 1000;
+const POLICIES = [
+  "allowedContracts",
+  "allowedFunctions",
+  "maxTokenAmount",
+  "maxValue",
+  "dailySpendLimit",
+];
+
+// ERC20 functions that move or approve an amount (always the last argument)
+const TOKEN_FUNCTIONS = [
+  "transfer",
+  "approve",
+  "transferFrom",
+  "increaseAllowance",
+];
+
+const { bigNumberify } = ethers.utils;
+
+// Note: ERC721 has approve and transferFrom with the same signatures,
+// but neither transfer nor allowance
+const isERC20 = contractInterface => {
+  const { functions } = contractInterface;
+  return (
+    functions["transfer(address,uint256)"] !== undefined &&
+    functions["allowance(address,address)"] !== undefined
+  );
+};
+
+const isSameAddress = (address1, address2) => {
+  return (
+    Utils.isAddress(address1) &&
+    Utils.isAddress(address2) &&
+    address1.toLowerCase() === address2.toLowerCase()
+  );
+};
+
+// `maxTokenAmount` is an amount for all tokens or amounts by token address
+const getMaxTokenAmount = (maxTokenAmount, tokenAddress) => {
+  if (
+    typeof maxTokenAmount !== "object" ||
+    ethers.utils.BigNumber.isBigNumber(maxTokenAmount)
+  )
+    return maxTokenAmount;
+
+  const key = Object.keys(maxTokenAmount).find(address =>
+    isSameAddress(address, tokenAddress)
+  );
+  return key === undefined ? undefined : maxTokenAmount[key];
+};
+
+// The guard of the current config
+let currentGuard;
+
+// Every write of a Contract passes through the policies before signing
+// A write that breaks a policy is rejected with a PolicyViolationError
+// Note: The daily spend is counted when a write is allowed,
+// even if it fails later
+export class PolicyGuard {
+  #policies;
+  #now;
+  #spent = new Map();
+
+  // Options:
+  //  - now: function returning the current time in ms (default Date.now)
+  constructor(policies, options = {}) {
+    const { now = Date.now } = options;
+
+    Object.keys(policies || {}).forEach(name => {
+      if (!POLICIES.includes(name))
+        throw new Error(`Invalid policy '${name}', use: [${POLICIES}]`);
+    });
+
+    this.#policies = policies;
+    this.#now = now;
+  }
+
+  // Note: A new guard (and a new daily spend) is created when the policies
+  // on the config change
+  static getGuard = () => {
+    const { policies } = ConfigLoader.getConfig();
+    if (!currentGuard || currentGuard.getPolicies() !== policies)
+      currentGuard = new PolicyGuard(policies);
+
+    return currentGuard;
+  };
+
+  getPolicies = () => {
+    return this.#policies;
+  };
+
+  // `contract` is the ethers.js contract with the signer that will sign the write
+  // `args` are the function arguments, with the overrides (e.g. value) as the last one
+  check = async (contract, functionName, args) => {
+    if (!this.#policies) return;
+
+    const {
+      allowedContracts,
+      allowedFunctions,
+      maxTokenAmount,
+      maxValue,
+      dailySpendLimit,
+    } = this.#policies;
+
+    const { address, interface: contractInterface, signer } = contract;
+    const fn = contractInterface.functions[functionName];
+
+    if (
+      allowedContracts &&
+      !allowedContracts.some(allowed => isSameAddress(allowed, address))
+    )
+      throw new PolicyViolationError(
+        `Contract ${address} isn't allowed`,
+        "allowedContracts"
+      );
+
+    if (
+      allowedFunctions &&
+      !allowedFunctions.includes(fn.name) &&
+      !allowedFunctions.includes(fn.signature)
+    )
+      throw new PolicyViolationError(
+        `Function ${fn.signature} isn't allowed`,
+        "allowedFunctions"
+      );
+
+    if (
+      maxTokenAmount !== undefined &&
+      TOKEN_FUNCTIONS.includes(fn.name) &&
+      isERC20(contractInterface)
+    ) {
+      const max = getMaxTokenAmount(maxTokenAmount, address);
+      const amount = bigNumberify(args[fn.inputs.length - 1]);
+
+      if (max !== undefined && amount.gt(max))
+        throw new PolicyViolationError(
+          `Token amount ${amount} is above the maximum of ${max}`,
+          "maxTokenAmount"
+        );
+    }
+
+    let overrides = {};
+    if (args.length === fn.inputs.length + 1) overrides = args[args.length - 1];
+
+    const value = bigNumberify(overrides.value || 0);
+
+    if (maxValue !== undefined && value.gt(maxValue))
+      throw new PolicyViolationError(
+        `Value ${value} is above the maximum of ${maxValue}`,
+        "maxValue"
+      );
+
+    if (dailySpendLimit !== undefined && value.gt(0)) {
+      const from = await signer.getAddress();
+      const day = Math.floor(this.#now() / DAY);
+      const key = `${from}:${day}`;
+      const spent = this.#spent.get(key) || ethers.constants.Zero;
+
+      if (spent.add(value).gt(dailySpendLimit))
+        throw new PolicyViolationError(
+          `Daily spend limit of ${dailySpendLimit} reached`,
+          "dailySpendLimit"
+        );
+
+      this.#spent.set(key, spent.add(value));
+    }
+  };
+}
+
+export default PolicyGuard;
@@ -0,0 +1,268 @@
+import Contract from "./Contract";
+import PolicyGuard from "./PolicyGuard";
+import ConfigLoader from "../ConfigLoader";
+import { PolicyViolationError } from "../Errors";
+import { ethers } from "ethers";
+
+import { abi as contractABI } from "../../../tasit-contracts/build/contracts/SampleContract.json";
+import {
+  abi as fullERC20ABI,
+  bytecode as fullERC20Bytecode,
+} from "../../../tasit-contracts/build/contracts/FullERC20.json";
+import { abi as fullNFTABI } from "../../../tasit-contracts/build/contracts/FullNFT.json";
+
+const sampleContractAddress = "0x6C4A015797DDDd87866451914eCe1e8b19261931";
+const fullNFTAddress = "0x0E86f209729bf54763789CDBcA9E8b94f0FD5333";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("TasitAction.PolicyGuard", () => {
+  let wallet;
+  let ana;
+  let defaultConfig;
+  let provider;
+  let snapshotId;
+  let sampleContract;
+  let action;
+
+  const setPolicies = policies => {
+    ConfigLoader.setConfig(Object.assign({}, defaultConfig, { policies }));
+  };
+
+  before("", async () => {
+    defaultConfig = ConfigLoader.getConfig();
+
+    wallet = createFromPrivateKey(ownerPrivKey);
+
+    ana = createFromPrivateKey(
+      "0xc181b6b02c9757f13f5aa15d1342a58970a8a489722dc0608a1d09fea717c181"
+    );
+  });
+
+  beforeEach("", async () => {
+    action = undefined;
+    sampleContract = new Contract(sampleContractAddress, contractABI, wallet);
+    provider = sampleContract._getProvider();
+    snapshotId = await createSnapshot(provider);
+  });
+
+  afterEach("", async () => {
+    ConfigLoader.setConfig(defaultConfig);
+
+    if (action) action.unsubscribe();
+    sampleContract.unsubscribe();
+
+    await revertFromSnapshot(provider, snapshotId);
+  });
+
+  describe("Contract writes", () => {
+    it("should write when the policies are followed", async () => {
+      setPolicies({
+        allowedContracts: [sampleContractAddress.toLowerCase()],
+        allowedFunctions: ["setValue"],
+      });
+
+      action = sampleContract.setValue("allowed");
+      await action.waitForNonceToUpdate();
+
+      expect(await sampleContract.getValue()).to.equal("allowed");
+    });
+
+    it("should reject a write to a contract that isn't allowed", async () => {
+      setPolicies({ allowedContracts: [fullNFTAddress] });
+
+      const contractErrorListener = sinon.fake();
+      sampleContract.on("error", contractErrorListener);
+
+      action = sampleContract.setValue("not allowed");
+      const error = await waitForError(action);
+
+      expect(error).to.be.an.instanceof(PolicyViolationError);
+      expect(error.policy).to.equal("allowedContracts");
+      expect(error.message).to.equal(
+        `Contract ${sampleContractAddress} isn't allowed`
+      );
+
+      expect(contractErrorListener.callCount).to.equal(1);
+      const { error: contractError } = contractErrorListener.getCall(0).args[0];
+      expect(contractError).to.equal(error);
+
+      expect(await sampleContract.getValue()).not.to.equal("not allowed");
+    });
+
+    it("should reject a function that isn't allowed", async () => {
+      setPolicies({ allowedFunctions: ["removeValue"] });
+
+      action = sampleContract.setValue("not allowed");
+      const error = await waitForError(action);
+
+      expect(error).to.be.an.instanceof(PolicyViolationError);
+      expect(error.policy).to.equal("allowedFunctions");
+      expect(error.message).to.equal(`Function setValue(string) isn't allowed`);
+    });
+
+    it("should allow a function by its signature", async () => {
+      setPolicies({ allowedFunctions: ["setValue(string)"] });
+
+      action = sampleContract.setValue("allowed");
+      await action.waitForNonceToUpdate();
+
+      expect(await sampleContract.getValue()).to.equal("allowed");
+    });
+
+    it("should reject a value above the maximum", async () => {
+      setPolicies({ maxValue: 100 });
+
+      action = sampleContract.setValue("hello", { value: 101 });
+      const error = await waitForError(action);
+
+      expect(error).to.be.an.instanceof(PolicyViolationError);
+      expect(error.policy).to.equal("maxValue");
+    });
+
+    it("should not sign a rejected write", async () => {
+      setPolicies({ allowedFunctions: [] });
+
+      const nonce = await provider.getTransactionCount(wallet.address);
+
+      action = sampleContract.setValue("not allowed");
+      await waitForError(action);
+
+      expect(await provider.getTransactionCount(wallet.address)).to.equal(
+        nonce
+      );
+    });
+  });
+
+  describe("ERC20", () => {
+    let token;
+    let nft;
+
+    beforeEach("", async () => {
+      const factory = new ethers.ContractFactory(
+        fullERC20ABI,
+        fullERC20Bytecode,
+        wallet.connect(provider)
+      );
+      const ethersToken = await factory.deploy();
+      await ethersToken.deployed();
+
+      token = new Contract(ethersToken.address, fullERC20ABI, wallet);
+      nft = new Contract(fullNFTAddress, fullNFTABI, wallet);
+
+      const mint = token.mint(wallet.address, 1000);
+      await mint.waitForNonceToUpdate();
+    });
+
+    afterEach("", async () => {
+      token.unsubscribe();
+      nft.unsubscribe();
+    });
+
+    it("should transfer up to the maximum token amount", async () => {
+      setPolicies({ maxTokenAmount: 100 });
+
+      action = token.transfer(ana.address, 100);
+      await action.waitForNonceToUpdate();
+
+      const balance = await token.balanceOf(ana.address);
+      expect(balance.toNumber()).to.equal(100);
+    });
+
+    it("should reject a transfer or approval above the maximum", async () => {
+      setPolicies({ maxTokenAmount: 100 });
+
+      action = token.transfer(ana.address, 101);
+      let error = await waitForError(action);
+      expect(error).to.be.an.instanceof(PolicyViolationError);
+      expect(error.policy).to.equal("maxTokenAmount");
+      expect(error.message).to.equal(
+        `Token amount 101 is above the maximum of 100`
+      );
+      action.unsubscribe();
+
+      action = token.approve(ana.address, 500);
+      error = await waitForError(action);
+      expect(error.policy).to.equal("maxTokenAmount");
+    });
+
+    it("should use the maximum amount of the token", async () => {
+      setPolicies({ maxTokenAmount: { [token.getAddress()]: 10 } });
+
+      action = token.transfer(ana.address, 11);
+      const error = await waitForError(action);
+      expect(error.policy).to.equal("maxTokenAmount");
+    });
+
+    it("should not limit ERC721 token ids", async () => {
+      setPolicies({ maxTokenAmount: 1 });
+
+      const mint = nft.mint(wallet.address, 10);
+      await mint.waitForNonceToUpdate();
+
+      action = nft.approve(ana.address, 10);
+      await action.waitForNonceToUpdate();
+
+      expect(await nft.getApproved(10)).to.equal(ana.address);
+    });
+  });
+
+  describe("daily spend", () => {
+    let now;
+    let guard;
+    let ethersContract;
+
+    beforeEach("", async () => {
+      now = Date.now();
+      guard = new PolicyGuard({ dailySpendLimit: 100 }, { now: () => now });
+      ethersContract = new ethers.Contract(
+        sampleContractAddress,
+        contractABI,
+        wallet.connect(provider)
+      );
+    });
+
+    it("should allow values up to the daily limit", async () => {
+      await guard.check(ethersContract, "setValue", ["a", { value: 60 }]);
+      await guard.check(ethersContract, "setValue", ["b", { value: 40 }]);
+
+      await expect(
+        guard.check(ethersContract, "setValue", ["c", { value: 1 }])
+      ).to.be.rejectedWith(PolicyViolationError, `Daily spend limit of 100`);
+
+      // Note: Writes without value aren't limited
+      await guard.check(ethersContract, "setValue", ["d"]);
+    });
+
+    it("should reset the limit on the next day", async () => {
+      await guard.check(ethersContract, "setValue", ["a", { value: 100 }]);
+
+      now += DAY;
+      await guard.check(ethersContract, "setValue", ["b", { value: 100 }]);
+    });
+
+    it("should count the spend per account", async () => {
+      const anaContract = ethersContract.connect(ana.connect(provider));
+
+      await guard.check(ethersContract, "setValue", ["a", { value: 100 }]);
+      await guard.check(anaContract, "setValue", ["b", { value: 100 }]);
+    });
+  });
+
+  describe("config", () => {
+    it("should keep the guard while the policies don't change", async () => {
+      setPolicies({ maxValue: 1 });
+      const guard = PolicyGuard.getGuard();
+      expect(PolicyGuard.getGuard()).to.equal(guard);
+
+      setPolicies({ maxValue: 1 });
+      expect(PolicyGuard.getGuard()).not.to.equal(guard);
+    });
+
+    it("should throw error with an unknown policy", async () => {
+      expect(() => new PolicyGuard({ maxGas: 1 })).to.throw(
+        `Invalid policy 'maxGas'`
+      );
+    });
+  });
+});
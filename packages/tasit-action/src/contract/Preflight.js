@@ -0,0 +1,73 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import RevertDecoder from "./RevertDecoder";
+import Gas from "./Gas";
+import { PreflightError } from "../Errors";
+
+const { bigNumberify } = ethers.utils;
+
+// Checks that a transaction would succeed before it's signed and broadcasted:
+//  - eth_call with the same data, value and sender doesn't revert
+//  - eth_estimateGas succeeds (unless there's a gasLimit)
+//  - gasLimit and gasPrice are the ones the write would use (see Gas)
+//  - the sender has enough ETH for value + gasLimit * gasPrice
+// See `preflight` on ConfigLoader and Contract `simulate` functions
+export class Preflight {
+  // `tx` has from, to, data and optionally value, gasLimit and gasPrice
+  // `abi` is used to decode custom errors of reverts
+  // Resolves to the return data of the call, gasLimit and gasPrice
+  static run = async (tx, provider, abi) => {
+    const { from, to, data } = tx;
+    const value = bigNumberify(tx.value || 0);
+    const transaction = { from, to, data, value };
+
+    let result;
+    try {
+      result = await provider.call(transaction);
+    } catch (error) {
+      throw new PreflightError(
+        `Transaction would revert: ${error.message}`,
+        "revert",
+        {
+          transaction,
+          cause: RevertDecoder.toRevertError(error, abi) || error,
+        }
+      );
+    }
+
+    let gasLimit;
+    try {
+      gasLimit = tx.gasLimit
+        ? bigNumberify(tx.gasLimit)
+        : await Gas.estimateGasLimit(transaction, provider);
+    } catch (error) {
+      throw new PreflightError(
+        `Cannot estimate gas: ${error.message}`,
+        "gasEstimation",
+        { transaction, cause: error }
+      );
+    }
+
+    const gasPrice = tx.gasPrice
+      ? bigNumberify(tx.gasPrice)
+      : await Gas.getGasPrice(provider);
+
+    const checked = Object.assign({}, transaction, { gasLimit, gasPrice });
+
+    const balance = await provider.getBalance(from);
+    const required = value.add(gasLimit.mul(gasPrice));
+
+    if (balance.lt(required))
+      throw new PreflightError(
+        `Insufficient funds: ${required} wei are required, the balance is ${balance} wei`,
+        "insufficientFunds",
+        { transaction: checked, balance, required }
+      );
+
+    return { result, gasLimit, gasPrice };
+  };
+}
+
+export default Preflight;
@@ -0,0 +1,193 @@
+import Contract from "./Contract";
+import ConfigLoader from "../ConfigLoader";
+import { PreflightError } from "../Errors";
+import { ethers } from "ethers";
+
+import { abi as contractABI } from "../../../tasit-contracts/build/contracts/SampleContract.json";
+import {
+  abi as fullERC20ABI,
+  bytecode as fullERC20Bytecode,
+} from "../../../tasit-contracts/build/contracts/FullERC20.json";
+
+const sampleContractAddress = "0x6C4A015797DDDd87866451914eCe1e8b19261931";
+
+describe("TasitAction.Preflight", () => {
+  let wallet;
+  let defaultConfig;
+  let provider;
+  let snapshotId;
+  let sampleContract;
+  let action;
+
+  before("", async () => {
+    defaultConfig = ConfigLoader.getConfig();
+
+    wallet = createFromPrivateKey(ownerPrivKey);
+  });
+
+  beforeEach("", async () => {
+    action = undefined;
+    sampleContract = new Contract(sampleContractAddress, contractABI, wallet);
+    provider = sampleContract._getProvider();
+    snapshotId = await createSnapshot(provider);
+  });
+
+  afterEach("", async () => {
+    ConfigLoader.setConfig(defaultConfig);
+
+    if (action) action.unsubscribe();
+    sampleContract.unsubscribe();
+
+    await revertFromSnapshot(provider, snapshotId);
+  });
+
+  describe("writes", () => {
+    beforeEach("", async () => {
+      ConfigLoader.setConfig(
+        Object.assign({}, defaultConfig, { preflight: true })
+      );
+    });
+
+    it("should send a write that would succeed", async () => {
+      action = sampleContract.setValue("preflight");
+      await action.waitForNonceToUpdate();
+
+      expect(await sampleContract.getValue()).to.equal("preflight");
+    });
+
+    it("should not send a write that would revert", async () => {
+      const nonce = await provider.getTransactionCount(wallet.address);
+
+      action = sampleContract.revertWrite("hello");
+      const error = await waitForError(action);
+
+      expect(error).to.be.an.instanceof(PreflightError);
+      expect(error.reason).to.equal("revert");
+      expect(error.message).to.match(/^Transaction would revert: /);
+      expect(error.transaction.from).to.equal(wallet.address);
+      expect(error.transaction.to).to.equal(sampleContractAddress);
+      expect(error.cause).to.be.an.instanceof(Error);
+
+      expect(await provider.getTransactionCount(wallet.address)).to.equal(
+        nonce
+      );
+    });
+
+    it("should not send a write without enough funds", async () => {
+      const poor = ethers.Wallet.createRandom();
+      sampleContract.setWallet(poor);
+
+      action = sampleContract.setValue("hello");
+      const error = await waitForError(action);
+
+      expect(error).to.be.an.instanceof(PreflightError);
+      expect(error.reason).to.equal("insufficientFunds");
+      expect(error.balance.toNumber()).to.equal(0);
+
+      const { gasLimit, gasPrice } = error.transaction;
+      expect(error.required.eq(gasLimit.mul(gasPrice))).to.be.true;
+    });
+
+    it("should use the gas overrides", async () => {
+      // Note: 1 wei short of the balance
+      const poor = ethers.Wallet.createRandom();
+      const funding = await wallet.connect(provider).sendTransaction({
+        to: poor.address,
+        value: 100000 * 1e9 - 1,
+      });
+      await provider.waitForTransaction(funding.hash);
+      sampleContract.setWallet(poor);
+
+      action = sampleContract.setValue("hello", {
+        gasLimit: 100000,
+        gasPrice: 1e9,
+      });
+      const error = await waitForError(action);
+
+      expect(error.reason).to.equal("insufficientFunds");
+      expect(error.required.toNumber()).to.equal(100000 * 1e9);
+    });
+
+    it("should pass the node error through when disabled", async () => {
+      ConfigLoader.setConfig(defaultConfig);
+
+      action = sampleContract.revertWrite("hello");
+      const error = await waitForError(action);
+
+      expect(error).not.to.be.an.instanceof(PreflightError);
+      expect(error.message).to.match(/^Action with error: /);
+    });
+  });
+
+  describe("simulate", () => {
+    let token;
+
+    beforeEach("", async () => {
+      const factory = new ethers.ContractFactory(
+        fullERC20ABI,
+        fullERC20Bytecode,
+        wallet.connect(provider)
+      );
+      const ethersToken = await factory.deploy();
+      await ethersToken.deployed();
+
+      token = new Contract(ethersToken.address, fullERC20ABI, wallet);
+
+      const mint = token.mint(wallet.address, 1000);
+      await mint.waitForNonceToUpdate();
+    });
+
+    afterEach("", async () => {
+      token.unsubscribe();
+    });
+
+    it("should return the would-be result without sending", async () => {
+      const nonce = await provider.getTransactionCount(wallet.address);
+      const to = ethers.Wallet.createRandom().address;
+
+      expect(await token.simulate.transfer(to, 100)).to.equal(true);
+
+      const balance = await token.balanceOf(to);
+      expect(balance.toNumber()).to.equal(0);
+      expect(await provider.getTransactionCount(wallet.address)).to.equal(
+        nonce
+      );
+    });
+
+    it("should return undefined for functions without outputs", async () => {
+      expect(await sampleContract.simulate.setValue("hello")).to.be.undefined;
+      expect(await sampleContract.getValue()).not.to.equal("hello");
+    });
+
+    it("should reject when the write would fail", async () => {
+      const to = ethers.Wallet.createRandom().address;
+
+      await expect(token.simulate.transfer(to, 1001)).to.be.rejectedWith(
+        PreflightError,
+        /^Transaction would revert: /
+      );
+
+      await expect(
+        sampleContract.simulate.revertWrite("hello")
+      ).to.be.rejectedWith(PreflightError);
+    });
+
+    it("should simulate without a wallet with a from address", async () => {
+      token.removeWallet();
+      const to = ethers.Wallet.createRandom().address;
+
+      expect(
+        await token.simulate.transfer(to, 100, { from: wallet.address })
+      ).to.equal(true);
+
+      await expect(token.simulate.transfer(to, 100)).to.be.rejectedWith(
+        `Cannot simulate a transaction without a wallet or a from address`
+      );
+    });
+
+    it("should not have simulate functions for read-only methods", async () => {
+      expect(sampleContract.simulate.setValue).to.exist;
+      expect(sampleContract.simulate.getValue).not.to.exist;
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import { ActionError, RevertError } from "../Errors";
+
+const { defaultAbiCoder, hexDataSlice, id, isHexString } = ethers.utils;
+
+// Error(string), used by require() and revert() with a message
+const ERROR_SELECTOR = id("Error(string)").substring(0, 10);
+
+// Panic(uint256), used by the compiler (Solidity >= 0.8) for failed asserts, overflows, etc.
+const PANIC_SELECTOR = id("Panic(uint256)").substring(0, 10);
+
+// See: https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require
+const PANIC_REASONS = {
+  0x00: "Generic compiler panic",
+  0x01: "Assertion failed",
+  0x11: "Arithmetic overflow or underflow",
+  0x12: "Division or modulo by zero",
+  0x21: "Invalid enum value",
+  0x22: "Invalid storage byte array",
+  0x31: "pop() on an empty array",
+  0x32: "Array index out of bounds",
+  0x41: "Too much memory allocated",
+  0x51: "Call to an uninitialized function",
+};
+
+// Canonical type, e.g. tuple[] with (address,uint256) components as (address,uint256)[]
+const formatType = param => {
+  const { type, components } = param;
+  if (!type.startsWith("tuple")) return type;
+  return `(${components.map(formatType).join(",")})${type.substring(5)}`;
+};
+
+const getSignature = fragment => {
+  return `${fragment.name}(${fragment.inputs.map(formatType).join(",")})`;
+};
+
+// Decodes revert data from nodes and matches custom errors against contract ABIs
+export class RevertDecoder {
+  // The revert data and the hash of the failed transaction, when the node sent them
+  // Note: Some nodes (e.g. geth) send the revert data as the JSON-RPC error data,
+  // ganache sends it keyed by a transaction hash
+  static getRevertData = error => {
+    if (!error) return {};
+
+    const { data, transactionHash: txHash } = error;
+
+    if (isHexString(data)) return { data, txHash };
+
+    if (data && typeof data === "object") {
+      const result = Object.values(data).find(
+        value => value && value.error === "revert"
+      );
+      if (result) return { data: result.return, txHash };
+    }
+
+    return { txHash };
+  };
+
+  static isRevert = error => {
+    if (!error || error instanceof ActionError) return false;
+
+    const { data } = RevertDecoder.getRevertData(error);
+    return (
+      data !== undefined ||
+      error.code === "CALL_EXCEPTION" ||
+      /revert/i.test(error.message)
+    );
+  };
+
+  // Returns { reason, errorName, args }
+  // Custom errors are matched against the `error` entries of the ABI
+  static decode = (data, abi = []) => {
+    if (!isHexString(data) || data.length < 10) return {};
+
+    const selector = data.substring(0, 10).toLowerCase();
+    const encodedArgs = hexDataSlice(data, 4);
+
+    try {
+      if (selector === ERROR_SELECTOR) {
+        const args = defaultAbiCoder.decode(["string"], encodedArgs);
+        return { reason: args[0], errorName: "Error", args };
+      }
+
+      if (selector === PANIC_SELECTOR) {
+        const args = defaultAbiCoder.decode(["uint256"], encodedArgs);
+        const code = args[0].toNumber();
+        const description = PANIC_REASONS[code] || "Unknown panic";
+        const reason = `${description} (0x${code.toString(16)})`;
+        return { reason, errorName: "Panic", args };
+      }
+
+      const fragment = abi
+        .filter(json => json.type === "error")
+        .find(json => id(getSignature(json)).substring(0, 10) === selector);
+
+      if (!fragment) return {};
+
+      const args = defaultAbiCoder.decode(fragment.inputs, encodedArgs);
+      const reason = `${fragment.name}(${args.map(String).join(", ")})`;
+      return { reason, errorName: fragment.name, args };
+    } catch (error) {
+      // Note: Malformed revert data is kept on RevertError `data` only
+      return {};
+    }
+  };
+
+  // Returns a RevertError if the node error is a revert, undefined otherwise
+  static toRevertError = (error, abi, message = error.message) => {
+    if (!RevertDecoder.isRevert(error)) return undefined;
+
+    const { data, txHash } = RevertDecoder.getRevertData(error);
+    const decoded = RevertDecoder.decode(data, abi);
+
+    return new RevertError(message, Object.assign({ data, txHash }, decoded));
+  };
+
+  // Runs the transaction as a call (at a block, if given) to get its revert data
+  // Resolves to undefined if the call doesn't revert
+  static fromCall = async (provider, tx, blockTag, abi, messagePrefix = "") => {
+    const { from, to, data, value } = tx;
+    try {
+      await provider.call({ from, to, data, value }, blockTag);
+    } catch (error) {
+      const message = `${messagePrefix}${error.message}`;
+      return RevertDecoder.toRevertError(error, abi, message);
+    }
+  };
+}
+
+export default RevertDecoder;
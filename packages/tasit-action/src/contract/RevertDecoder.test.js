@@ -0,0 +1,228 @@
+import Contract from "./Contract";
+import Action from "./Action";
+import RevertDecoder from "./RevertDecoder";
+import ConfigLoader from "../ConfigLoader";
+import { PreflightError, RevertError } from "../Errors";
+import { ethers } from "ethers";
+
+import { abi as contractABI } from "../../../tasit-contracts/build/contracts/SampleContract.json";
+
+const sampleContractAddress = "0x6C4A015797DDDd87866451914eCe1e8b19261931";
+
+const { concat, defaultAbiCoder, hexlify, id } = ethers.utils;
+
+const encodeError = (signature, types, values) => {
+  return hexlify(
+    concat([
+      id(signature).substring(0, 10),
+      defaultAbiCoder.encode(types, values),
+    ])
+  );
+};
+
+describe("TasitAction.RevertDecoder", () => {
+  describe("decode", () => {
+    const customErrorsABI = [
+      {
+        type: "error",
+        name: "InsufficientBalance",
+        inputs: [
+          { name: "available", type: "uint256" },
+          { name: "required", type: "uint256" },
+        ],
+      },
+      {
+        type: "error",
+        name: "InvalidOrder",
+        inputs: [
+          {
+            name: "order",
+            type: "tuple",
+            components: [
+              { name: "seller", type: "address" },
+              { name: "price", type: "uint256" },
+            ],
+          },
+        ],
+      },
+    ];
+
+    it("should decode an Error(string) reason", async () => {
+      const data = encodeError("Error(string)", ["string"], ["Not the owner"]);
+
+      const { reason, errorName, args } = RevertDecoder.decode(data);
+
+      expect(reason).to.equal("Not the owner");
+      expect(errorName).to.equal("Error");
+      expect(args[0]).to.equal("Not the owner");
+    });
+
+    it("should decode a Panic(uint256) code", async () => {
+      const data = encodeError("Panic(uint256)", ["uint256"], [0x11]);
+
+      const { reason, errorName, args } = RevertDecoder.decode(data);
+
+      expect(reason).to.equal("Arithmetic overflow or underflow (0x11)");
+      expect(errorName).to.equal("Panic");
+      expect(args[0].toNumber()).to.equal(0x11);
+    });
+
+    it("should decode a custom error from the ABI", async () => {
+      const data = encodeError(
+        "InsufficientBalance(uint256,uint256)",
+        ["uint256", "uint256"],
+        [10, 20]
+      );
+
+      const { reason, errorName, args } = RevertDecoder.decode(
+        data,
+        customErrorsABI
+      );
+
+      expect(errorName).to.equal("InsufficientBalance");
+      expect(args.available.toNumber()).to.equal(10);
+      expect(args.required.toNumber()).to.equal(20);
+      expect(reason).to.equal("InsufficientBalance(10, 20)");
+    });
+
+    it("should decode a custom error with a tuple", async () => {
+      const seller = ethers.Wallet.createRandom().address;
+      const data = encodeError(
+        "InvalidOrder((address,uint256))",
+        ["tuple(address,uint256)"],
+        [[seller, 5]]
+      );
+
+      const { errorName, args } = RevertDecoder.decode(data, customErrorsABI);
+
+      expect(errorName).to.equal("InvalidOrder");
+      expect(args.order.seller).to.equal(seller);
+    });
+
+    it("should not decode unknown or empty data", async () => {
+      const data = encodeError("Unknown(uint256)", ["uint256"], [1]);
+
+      expect(RevertDecoder.decode(data, customErrorsABI)).to.deep.equal({});
+      expect(RevertDecoder.decode("0x")).to.deep.equal({});
+      expect(RevertDecoder.decode(undefined)).to.deep.equal({});
+      expect(RevertDecoder.decode("0x08c379a0")).to.deep.equal({});
+    });
+  });
+
+  describe("contracts", () => {
+    let wallet;
+    let defaultConfig;
+    let sampleContract;
+    let provider;
+    let snapshotId;
+    let action;
+
+    before("", async () => {
+      defaultConfig = ConfigLoader.getConfig();
+
+      wallet = createFromPrivateKey(ownerPrivKey);
+    });
+
+    beforeEach("", async () => {
+      action = undefined;
+      sampleContract = new Contract(sampleContractAddress, contractABI, wallet);
+      provider = sampleContract._getProvider();
+      snapshotId = await createSnapshot(provider);
+    });
+
+    afterEach("", async () => {
+      ConfigLoader.setConfig(defaultConfig);
+
+      if (action) action.unsubscribe();
+      sampleContract.unsubscribe();
+
+      await revertFromSnapshot(provider, snapshotId);
+    });
+
+    it("should reject a read with the revert reason", async () => {
+      const error = await sampleContract.revertRead().catch(error => error);
+
+      expect(error).to.be.an.instanceof(RevertError);
+      expect(error.reason).to.equal("revertRead always reverts");
+      expect(error.errorName).to.equal("Error");
+      expect(error.args[0]).to.equal("revertRead always reverts");
+      expect(error.txHash).to.be.undefined;
+    });
+
+    it("should emit the revert reason of a failed gas estimation", async () => {
+      action = sampleContract.revertWrite("hello");
+      const error = await waitForError(action);
+
+      expect(error).to.be.an.instanceof(RevertError);
+      expect(error.message).to.match(/^Action with error: /);
+      expect(error.reason).to.equal("revertWrite always reverts");
+      expect(error.errorName).to.equal("Error");
+    });
+
+    it("should emit the revert reason of a mined transaction", async () => {
+      // Note: With a gasLimit there's no gas estimation, so the transaction is mined
+      action = sampleContract.revertWrite("hello", { gasLimit: 100000 });
+      const error = await waitForError(action);
+
+      expect(error).to.be.an.instanceof(RevertError);
+      expect(error.reason).to.equal("revertWrite always reverts");
+      expect(error.txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+      const receipt = await provider.getTransactionReceipt(error.txHash);
+      expect(receipt.status).to.equal(0);
+    });
+
+    it("should emit the revert reason from the receipt of a failed transaction", async () => {
+      // Note: Ganache rejects the broadcast, but mines the transaction
+      const ethersContract = sampleContract.getEmitter();
+      const hash = await ethersContract
+        .revertWrite("hello", { gasLimit: 100000 })
+        .catch(error => error.transactionHash);
+
+      action = new Action(Promise.resolve({ hash }), provider, contractABI);
+
+      const confirmationListener = sinon.fake();
+      action.on("confirmation", confirmationListener);
+      const errorPromise = waitForError(action);
+
+      await mineBlocks(provider, 1);
+      const error = await errorPromise;
+
+      expect(error).to.be.an.instanceof(RevertError);
+      expect(error.reason).to.equal("revertWrite always reverts");
+      expect(error.txHash).to.equal(hash);
+      expect(error.eventName).to.equal("confirmation");
+    });
+
+    it("should decode reverts of signed transactions", async () => {
+      const tx = await sampleContract.populate.revertWrite("hello", {
+        gasLimit: 100000,
+      });
+      const signedTransaction = await wallet.sign(tx);
+
+      action = Action.fromSignedTransaction(signedTransaction, provider);
+      const error = await waitForError(action);
+
+      expect(error).to.be.an.instanceof(RevertError);
+      expect(error.reason).to.equal("revertWrite always reverts");
+    });
+
+    it("should keep the decoded revert on preflight errors", async () => {
+      ConfigLoader.setConfig(
+        Object.assign({}, defaultConfig, { preflight: true })
+      );
+
+      action = sampleContract.revertWrite("hello");
+      const error = await waitForError(action);
+
+      expect(error).to.be.an.instanceof(PreflightError);
+      expect(error.cause).to.be.an.instanceof(RevertError);
+      expect(error.cause.reason).to.equal("revertWrite always reverts");
+    });
+
+    it("should not change other errors", async () => {
+      const error = new Error("Signer is locked");
+      expect(RevertDecoder.toRevertError(error)).to.be.undefined;
+    });
+  });
+});
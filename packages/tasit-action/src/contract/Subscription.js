@@ -1,9 +1,18 @@
+import EventDispatcher from "./EventDispatcher";
+
 export class Subscription {
   #ethersEventEmitter;
+  #provider;
+  // Note: Event name => its listeners, in the order they were added
   #eventListeners = new Map();
+  #eventTimers = new Map();
 
-  constructor(eventEmitter) {
+  // The blocks and logs come from the provider (default: the event emitter),
+  // through its EventDispatcher
+  // Note: Without them, only local events can be listened to (e.g. AccountManager)
+  constructor(eventEmitter, provider = eventEmitter) {
     this.#ethersEventEmitter = eventEmitter;
+    this.#provider = provider;
   }
 
   _toEthersEventName = eventName => {
@@ -11,50 +20,66 @@ export class Subscription {
     return eventName;
   };
 
-  off = eventName => {
-    const eventListener = this.#eventListeners.get(eventName);
-
-    if (!eventListener) {
+  // Removes the listener function of the event (the one given to on() or once()),
+  // or all the listeners of the event without it
+  off = (eventName, listener) => {
+    const eventListeners = this.#eventListeners.get(eventName) || [];
+    const removed = listener
+      ? eventListeners.filter(
+          eventListener => eventListener.origin === listener
+        )
+      : eventListeners;
+
+    if (removed.length === 0) {
       console.warn(`A listener for event '${eventName}' isn't registered.`);
       return;
     }
 
-    if (eventName !== "error") {
-      const { listener } = eventListener;
+    removed.forEach(eventListener =>
+      this.#removeEventListener(eventName, eventListener)
+    );
+  };
+
+  #removeEventListener = (eventName, eventListener) => {
+    const eventListeners = this.#eventListeners.get(eventName) || [];
+    if (!eventListeners.includes(eventListener)) return;
 
-      this._clearEventTimerIfExists(eventName);
+    // Note: Only this listener, other listeners and subscribers
+    // may listen to the same ethers.js event (e.g. block)
+    if (eventListener.unsubscribe) eventListener.unsubscribe();
 
-      this.#ethersEventEmitter.removeAllListeners(
-        this._toEthersEventName(eventName)
-      );
+    const remaining = eventListeners.filter(other => other !== eventListener);
+    if (remaining.length > 0) {
+      this.#eventListeners.set(eventName, remaining);
+      return;
     }
+
+    this._clearEventTimerIfExists(eventName);
+    this.#eventTimers.delete(eventName);
     this.#eventListeners.delete(eventName);
   };
 
+  // The handle returned by the _add*Listener functions
+  #toUnsubscribe = (eventName, eventListener) => {
+    return () => this.#removeEventListener(eventName, eventListener);
+  };
+
   // TODO: Make protected
+  //
+  // Note: One timer per event, shared by its listeners
   _setEventTimer = (eventName, timer) => {
-    const eventListener = this.#eventListeners.get(eventName);
-
-    if (!eventListener) {
+    if (!this.#eventListeners.has(eventName)) {
       console.warn(`A listener for event '${eventName}' isn't registered.`);
+      clearTimeout(timer);
       return;
     }
 
-    const { listener } = eventListener;
-
-    this.#eventListeners.set(eventName, { listener, timer });
+    this.#eventTimers.set(eventName, timer);
   };
 
   // TODO: Make protected
   _clearEventTimerIfExists = eventName => {
-    const eventListener = this.#eventListeners.get(eventName);
-
-    if (!eventListener) {
-      console.warn(`A listener for event '${eventName}' isn't registered.`);
-      return;
-    }
-
-    const { timer } = eventListener;
+    const timer = this.#eventTimers.get(eventName);
 
     if (!timer) return;
 
@@ -62,26 +87,37 @@ export class Subscription {
   };
 
   unsubscribe = () => {
-    this.#eventListeners.forEach((eventListener, eventName) => {
+    Array.from(this.#eventListeners.keys()).forEach(eventName => {
       this.off(eventName);
     });
   };
 
+  // TODO: Make protected
+  //
+  // Whether the listener (e.g. an ethers.js listener) is still registered,
+  // for async listeners that may be removed in the meantime
+  _hasEventListener = (eventName, listener) => {
+    const eventListeners = this.#eventListeners.get(eventName) || [];
+    return eventListeners.some(
+      eventListener => eventListener.listener === listener
+    );
+  };
+
   subscribedEventNames = () => {
     return Array.from(this.#eventListeners.keys());
   };
 
   // TODO: Make protected
   _emitErrorEvent = error => {
-    const errorEventListener = this.#eventListeners.get("error");
-    if (!errorEventListener) {
+    const errorEventListeners = this.#eventListeners.get("error");
+    if (!errorEventListeners) {
       // Note: Throw error?
       console.warn(`Error emission without listener: ${error}`);
       return;
     }
 
     const message = { error };
-    errorEventListener.listener(message);
+    errorEventListeners.forEach(({ listener }) => listener(message));
   };
 
   // TODO: Make protected
@@ -91,43 +127,91 @@ export class Subscription {
   };
 
   // TODO: Make protected
-  //
-  // Note: Since we allow only one listener per event (error included),
-  // If there is a error event already, it will be replaced by new listener function
-  // that will call both new and old functions
-  _addErrorListener = newListener => {
-    let listener = newListener;
-    const oldErrorEventListener = this.#eventListeners.get("error");
-
-    if (oldErrorEventListener) {
-      listener = error => {
-        newListener(error);
-        oldErrorEventListener.listener(error);
-      };
-    }
-
-    this.#eventListeners.set("error", {
-      listener,
-    });
+  _addErrorListener = listener => {
+    return this.#setEventListener("error", { listener, origin: listener });
   };
 
   // TODO: Make protected
-  _addEventListener = (eventName, listener) => {
+  //
+  // `origin` is the listener function given to on() or once(),
+  // when `listener` wraps it, so off(eventName, origin) can remove it
+  _addEventListener = (
+    eventName,
+    listener,
+    ethersEventName = this._toEthersEventName(eventName),
+    origin = listener
+  ) => {
     if (eventName === "error")
       throw new Error(
         `Use _addErrorListener function to subscribe to an error event.`
       );
 
-    if (this.subscribedEventNames().includes(eventName))
-      throw new Error(
-        `A listener for event '${eventName}' is already registered.`
-      );
+    const dispatcher = EventDispatcher.getDispatcher(this.#provider);
+    const unsubscribe = dispatcher.subscribe(ethersEventName, listener);
 
-    this.#eventListeners.set(eventName, {
+    return this.#setEventListener(eventName, {
       listener,
+      origin,
+      ethersEventName,
+      unsubscribe,
     });
+  };
 
-    this.#ethersEventEmitter.on(this._toEthersEventName(eventName), listener);
+  // TODO: Make protected
+  //
+  // For events emitted by the subscription itself (e.g. Action "replaced"),
+  // not by the ethers.js event emitter
+  _addLocalEventListener = (eventName, listener, origin = listener) => {
+    return this.#setEventListener(eventName, { listener, origin });
+  };
+
+  // TODO: Make protected
+  //
+  // Note: The listener is removed before it's called
+  _addLocalOnceListener = (eventName, listener) => {
+    let unsubscribe;
+
+    const onceListener = async message => {
+      unsubscribe();
+      await listener(message);
+    };
+
+    unsubscribe = this._addLocalEventListener(
+      eventName,
+      onceListener,
+      listener
+    );
+
+    return unsubscribe;
+  };
+
+  #setEventListener = (eventName, eventListener) => {
+    const eventListeners = this.#eventListeners.get(eventName) || [];
+    this.#eventListeners.set(eventName, [...eventListeners, eventListener]);
+
+    return this.#toUnsubscribe(eventName, eventListener);
+  };
+
+  // TODO: Make protected
+  //
+  // Note: `listener` (optional) gets the event alone, e.g. when it's added after the fact
+  _emitLocalEvent = async (eventName, message, listener) => {
+    const eventListeners = (this.#eventListeners.get(eventName) || []).filter(
+      eventListener => !listener || eventListener.listener === listener
+    );
+
+    await Promise.all(
+      eventListeners.map(async eventListener => {
+        try {
+          await eventListener.listener(message);
+        } catch (error) {
+          this._emitErrorEventFromEventListener(
+            new Error(`Listener function with error: ${error.message}`),
+            eventName
+          );
+        }
+      })
+    );
   };
 
   // For testing purposes
@@ -0,0 +1,95 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import Utils from "./Utils";
+
+const { bigNumberify, hexlify, isHexString } = ethers.utils;
+
+const normalize = tx => {
+  const { to, data, value, nonce, gasLimit, gasPrice, chainId } = tx;
+
+  if (!Number.isInteger(nonce) || nonce < 0)
+    throw new Error(`Invalid transaction nonce`);
+
+  if (!Number.isInteger(chainId) || chainId <= 0)
+    throw new Error(`Invalid transaction chainId`);
+
+  return {
+    to,
+    data: hexlify(data || "0x"),
+    value: bigNumberify(value || 0),
+    nonce,
+    gasLimit: bigNumberify(gasLimit),
+    gasPrice: bigNumberify(gasPrice),
+    chainId,
+  };
+};
+
+// Unsigned transactions, for flows where the transaction is signed
+// somewhere else (e.g. an air-gapped device) and broadcasted later
+// See Contract `populate` functions and Action.fromSignedTransaction()
+export class Transaction {
+  // Fills in nonce, gasLimit, gasPrice and chainId
+  static populate = async (tx, provider, from) => {
+    if (!Utils.isAddress(from))
+      throw new Error(`Cannot populate a transaction without a from address`);
+
+    const populated = await ethers.utils.populateTransaction(
+      Object.assign({ value: 0 }, tx),
+      provider,
+      from
+    );
+
+    return normalize(populated);
+  };
+
+  static sign = async (signer, tx) => {
+    if (Utils.isEthersJsSigner(signer) && typeof signer.sign === "function")
+      return signer.sign(tx);
+
+    if (Utils.isSigner(signer) && !Utils.isEthersJsSigner(signer))
+      return signer.signTransaction(tx);
+
+    throw new Error(`Cannot sign a transaction without a wallet`);
+  };
+
+  // JSON form to carry the unsigned transaction over QR codes or files
+  static toJSON = tx => {
+    const { to, data, value, nonce, gasLimit, gasPrice, chainId } = tx;
+
+    return JSON.stringify({
+      to,
+      data,
+      value: bigNumberify(value).toHexString(),
+      nonce,
+      gasLimit: bigNumberify(gasLimit).toHexString(),
+      gasPrice: bigNumberify(gasPrice).toHexString(),
+      chainId,
+    });
+  };
+
+  static fromJSON = json => {
+    let tx;
+    try {
+      tx = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid unsigned transaction JSON`);
+    }
+
+    if (!tx || typeof tx !== "object")
+      throw new Error(`Invalid unsigned transaction JSON`);
+
+    const { to, data, value, gasLimit, gasPrice } = tx;
+
+    if (!Utils.isAddress(to) || !isHexString(data))
+      throw new Error(`Invalid unsigned transaction JSON`);
+
+    if (![value, gasLimit, gasPrice].every(n => isHexString(n)))
+      throw new Error(`Invalid unsigned transaction JSON`);
+
+    return normalize(tx);
+  };
+}
+
+export default Transaction;
@@ -0,0 +1,203 @@
+import Contract from "./Contract";
+import Action from "./Action";
+import Transaction from "./Transaction";
+import WalletSigner from "../signer/WalletSigner";
+import { ethers } from "ethers";
+
+import { abi as contractABI } from "../../../tasit-contracts/build/contracts/SampleContract.json";
+
+const sampleContractAddress = "0x6C4A015797DDDd87866451914eCe1e8b19261931";
+
+describe("TasitAction.Transaction", () => {
+  let wallet;
+  let sampleContract;
+  let provider;
+  let snapshotId;
+  let action;
+
+  before("", async () => {
+    wallet = createFromPrivateKey(ownerPrivKey);
+  });
+
+  beforeEach("", async () => {
+    action = undefined;
+    sampleContract = new Contract(sampleContractAddress, contractABI, wallet);
+    provider = sampleContract._getProvider();
+    snapshotId = await createSnapshot(provider);
+  });
+
+  afterEach("", async () => {
+    if (action) {
+      await action.waitForNonceToUpdate();
+      action.unsubscribe();
+    }
+
+    sampleContract.unsubscribe();
+    await revertFromSnapshot(provider, snapshotId);
+  });
+
+  describe("populate", () => {
+    it("should build an unsigned transaction", async () => {
+      const tx = await sampleContract.populate.setValue("hello world");
+
+      const nonce = await provider.getTransactionCount(wallet.address);
+      const { chainId } = await provider.getNetwork();
+      const data = sampleContract
+        .getEmitter()
+        .interface.functions.setValue.encode(["hello world"]);
+
+      expect(tx.to).to.equal(sampleContractAddress);
+      expect(tx.data).to.equal(data);
+      expect(tx.value.toNumber()).to.equal(0);
+      expect(tx.nonce).to.equal(nonce);
+      expect(tx.chainId).to.equal(chainId);
+      expect(tx.gasLimit.gt(0)).to.be.true;
+      expect(tx.gasPrice.gt(0)).to.be.true;
+    });
+
+    it("should use the overrides", async () => {
+      const tx = await sampleContract.populate.setValue("hello world", {
+        gasPrice: 2e9,
+        gasLimit: 100000,
+      });
+
+      expect(tx.gasPrice.toNumber()).to.equal(2e9);
+      expect(tx.gasLimit.toNumber()).to.equal(100000);
+    });
+
+    it("should build an unsigned transaction without a wallet", async () => {
+      sampleContract.removeWallet();
+
+      const tx = await sampleContract.populate.setValue("hello world", {
+        from: wallet.address,
+      });
+
+      const nonce = await provider.getTransactionCount(wallet.address);
+      expect(tx.nonce).to.equal(nonce);
+    });
+
+    it("should throw error without a wallet or a from address", async () => {
+      sampleContract.removeWallet();
+
+      await expect(
+        sampleContract.populate.setValue("hello world")
+      ).to.be.rejectedWith(
+        `Cannot populate a transaction without a wallet or a from address`
+      );
+    });
+
+    it("should not have populate functions for read-only methods", async () => {
+      expect(sampleContract.populate.setValue).to.exist;
+      expect(sampleContract.populate.getValue).not.to.exist;
+    });
+  });
+
+  describe("JSON", () => {
+    it("should serialize and parse an unsigned transaction", async () => {
+      const tx = await sampleContract.populate.setValue("hello world");
+
+      const json = Transaction.toJSON(tx);
+      expect(JSON.parse(json).gasPrice).to.match(/^0x/);
+
+      const parsed = Transaction.fromJSON(json);
+      expect(Transaction.toJSON(parsed)).to.equal(json);
+      expect(parsed.gasLimit.eq(tx.gasLimit)).to.be.true;
+    });
+
+    it("should throw error when parsing invalid JSON", async () => {
+      const tx = await sampleContract.populate.setValue("hello world");
+      const json = JSON.parse(Transaction.toJSON(tx));
+
+      expect(() => Transaction.fromJSON("not json")).to.throw();
+      expect(() =>
+        Transaction.fromJSON(
+          JSON.stringify(Object.assign({}, json, { to: "" }))
+        )
+      ).to.throw();
+      expect(() =>
+        Transaction.fromJSON(
+          JSON.stringify(Object.assign({}, json, { gasPrice: 1 }))
+        )
+      ).to.throw();
+      expect(() =>
+        Transaction.fromJSON(
+          JSON.stringify(Object.assign({}, json, { nonce: "0x1" }))
+        )
+      ).to.throw();
+    });
+  });
+
+  describe("sign and broadcast", () => {
+    it("should sign with a wallet and broadcast later", async () => {
+      const json = Transaction.toJSON(
+        await sampleContract.populate.setValue("signed offline")
+      );
+
+      const signedTransaction = await Transaction.sign(
+        wallet,
+        Transaction.fromJSON(json)
+      );
+      expect(ethers.utils.parseTransaction(signedTransaction).from).to.equal(
+        wallet.address
+      );
+
+      action = Action.fromSignedTransaction(signedTransaction, provider);
+
+      const confirmationListener = sinon.fake();
+      action.once("confirmation", confirmationListener);
+
+      await action.waitForNonceToUpdate();
+      await mineBlocks(provider, 2);
+
+      expect(confirmationListener.callCount).to.equal(1);
+      expect(await sampleContract.getValue()).to.equal("signed offline");
+    });
+
+    it("should sign with a Tasit signer", async () => {
+      const tx = await sampleContract.populate.setValue("signed by signer");
+      const signedTransaction = await Transaction.sign(
+        new WalletSigner(wallet),
+        tx
+      );
+
+      action = Action.fromSignedTransaction(signedTransaction);
+      await action.waitForNonceToUpdate();
+
+      expect(await sampleContract.getValue()).to.equal("signed by signer");
+    });
+
+    it("should throw error when signing without a wallet", async () => {
+      const tx = await sampleContract.populate.setValue("hello world");
+
+      await expect(Transaction.sign(undefined, tx)).to.be.rejectedWith(
+        `Cannot sign a transaction without a wallet`
+      );
+    });
+
+    it("should throw error when broadcasting an invalid transaction", async () => {
+      expect(() => Action.fromSignedTransaction("0x1234")).to.throw(
+        `Cannot create an Action from an invalid transaction`
+      );
+    });
+
+    it("should trigger Action error event when the broadcast fails", async () => {
+      const tx = await sampleContract.populate.setValue("hello world");
+      const signedTransaction = await Transaction.sign(wallet, tx);
+
+      const firstAction = Action.fromSignedTransaction(signedTransaction);
+      await firstAction.waitForNonceToUpdate();
+
+      // Note: The same nonce was already used
+      action = Action.fromSignedTransaction(signedTransaction);
+
+      const errorListener = sinon.fake();
+      action.on("error", errorListener);
+
+      await action.waitForNonceToUpdate();
+
+      expect(errorListener.callCount).to.equal(1);
+      const { error } = errorListener.getCall(0).args[0];
+      expect(error.message).to.match(/^Action with error: /);
+    });
+  });
+});
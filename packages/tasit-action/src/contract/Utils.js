@@ -11,6 +11,18 @@ export class Utils {
   static isEthersJsSigner = signer => {
     return signer && signer._ethersType === "Signer";
   };
+
+  // An ethers.js signer or a Tasit signer (see signer/WalletSigner)
+  static isSigner = signer => {
+    if (Utils.isEthersJsSigner(signer)) return true;
+
+    return (
+      !!signer &&
+      typeof signer.getAddress === "function" &&
+      typeof signer.signTransaction === "function" &&
+      typeof signer.signMessage === "function"
+    );
+  };
 }
 
 export default Utils;
@@ -18,8 +18,7 @@ describe("ethers.js", () => {
   provider.pollingInterval = 50;
 
   beforeEach("instantiate provider, wallet and contract objects", async () => {
-    const privateKey =
-      "0x11d943d7649fbdeb146dc57bd9cfc80b086bfab2330c7b25651dbaf382392f60";
+    const privateKey = ownerPrivKey;
 
     wallet = new ethers.Wallet(privateKey, provider);
     expect(wallet.address).to.have.lengthOf(42);
@@ -0,0 +1,16 @@
+// Keeps the audit log entries of a Sponsor in memory
+// Any object with async append(entry) and getEntries() functions can be used
+// instead, e.g. to keep the entries in a database or a file
+export class MemoryAuditLog {
+  #entries = [];
+
+  append = async entry => {
+    this.#entries.push(Object.assign({}, entry));
+  };
+
+  getEntries = async () => {
+    return this.#entries.map(entry => Object.assign({}, entry));
+  };
+}
+
+export default MemoryAuditLog;
@@ -0,0 +1,271 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import Action from "../contract/Action";
+import Utils from "../contract/Utils";
+import NonceManager from "../contract/NonceManager";
+import ProviderFactory from "../ProviderFactory";
+import { toEthersSigner } from "../signer/EthersSigner";
+import MemoryAuditLog from "./AuditLog";
+import erc20ABI from "../../../tasit-contracts/abi/ERC20.json";
+
+const ETHER = "ETH";
+const DAY = 24 * 60 * 60 * 1000;
+const POLICY_FIELDS = ["threshold", "target", "accountDailyCap", "dailyCap"];
+
+// All amounts are in wei (or the smallest unit of the token)
+const toPolicy = (policy, asset) => {
+  const invalid = new Error(
+    `Invalid funding policy for ${asset}, use: [${POLICY_FIELDS}]`
+  );
+
+  if (!policy) throw invalid;
+
+  const values = {};
+  POLICY_FIELDS.forEach(field => {
+    try {
+      values[field] = ethers.utils.bigNumberify(policy[field]);
+    } catch (error) {
+      throw invalid;
+    }
+    if (values[field].lt(0)) throw invalid;
+  });
+
+  if (values.threshold.gt(values.target))
+    throw new Error(
+      `The threshold of the funding policy for ${asset} is above the target`
+    );
+
+  return values;
+};
+
+const toTokenAddress = tokenAddress => {
+  if (!Utils.isAddress(tokenAddress))
+    throw new Error(`Invalid token address ${tokenAddress}`);
+
+  return ethers.utils.getAddress(tokenAddress);
+};
+
+const sum = entries => {
+  return entries.reduce(
+    (total, entry) => total.add(entry.amount),
+    ethers.constants.Zero
+  );
+};
+
+// Tops up accounts (e.g. ephemeral accounts) with ETH or ERC20 tokens
+// from a sponsor wallet, following a funding policy per asset:
+//  - threshold: a top-up happens when the balance is below it
+//  - target: the balance after the top-up
+//  - accountDailyCap: max. amount sent to one account per day (UTC)
+//  - dailyCap: max. amount sent to all accounts per day (UTC)
+// Every top-up attempt is appended to the audit log
+export class Sponsor {
+  #provider;
+  #signer;
+  #policies = new Map();
+  #tokens = new Map();
+  #auditLog;
+  #now;
+  #queue = Promise.resolve();
+  // Note: Token top-ups that aren't mined yet, by asset and address, so a top-up
+  // right after another one doesn't send the same amount again
+  // (the ETH ones are in the pending balance)
+  #inFlight = new Map();
+
+  // Options:
+  //  - ether: funding policy for ETH
+  //  - tokens: funding policies by token address
+  //  - auditLog: see MemoryAuditLog (default)
+  //  - now: function returning the current time in ms (default Date.now)
+  constructor(wallet, options = {}) {
+    if (!Utils.isSigner(wallet))
+      throw new Error(`Cannot create a Sponsor without a wallet`);
+
+    const {
+      ether,
+      tokens = {},
+      auditLog = new MemoryAuditLog(),
+      now = Date.now,
+    } = options;
+
+    if (!ether && Object.keys(tokens).length === 0)
+      throw new Error(`Cannot create a Sponsor without a funding policy`);
+
+    if (
+      !auditLog ||
+      typeof auditLog.append !== "function" ||
+      typeof auditLog.getEntries !== "function"
+    )
+      throw new Error(`Cannot create a Sponsor with an invalid audit log`);
+
+    this.#provider = ProviderFactory.getProvider();
+    this.#signer = toEthersSigner(wallet, this.#provider);
+    this.#auditLog = auditLog;
+    this.#now = now;
+
+    if (ether) this.#policies.set(ETHER, toPolicy(ether, ETHER));
+
+    Object.keys(tokens).forEach(tokenAddress => {
+      const asset = toTokenAddress(tokenAddress);
+      this.#policies.set(asset, toPolicy(tokens[tokenAddress], asset));
+      this.#tokens.set(
+        asset,
+        new ethers.Contract(asset, erc20ABI, this.#signer)
+      );
+    });
+  }
+
+  // Resolves to the Action of the top-up
+  // or to undefined when the balance isn't below the threshold
+  // Note: Without a token address, the account is topped up with ETH
+  topUp = (address, tokenAddress) => {
+    const topUp = this.#queue.then(() => this.#topUp(address, tokenAddress));
+
+    // Note: Top-ups run one at a time, so the caps are checked against
+    // all previous top-ups and the sponsor nonces don't clash
+    this.#queue = topUp.catch(() => {});
+
+    return topUp;
+  };
+
+  getAuditLog = () => {
+    return this.#auditLog;
+  };
+
+  // Amount sent today (UTC) to all accounts, or to one account if given
+  getSentToday = async (tokenAddress, address) => {
+    const asset =
+      tokenAddress === undefined ? ETHER : toTokenAddress(tokenAddress);
+    let entries = await this.#getSentEntries(asset, this.#now());
+
+    if (address !== undefined) {
+      const to = ethers.utils.getAddress(address);
+      entries = entries.filter(entry => entry.to === to);
+    }
+
+    return sum(entries);
+  };
+
+  #topUp = async (address, tokenAddress) => {
+    if (!Utils.isAddress(address))
+      throw new Error(`Cannot top up an invalid address`);
+
+    const asset =
+      tokenAddress === undefined ? ETHER : toTokenAddress(tokenAddress);
+
+    const policy = this.#policies.get(asset);
+    if (!policy) throw new Error(`No funding policy for ${asset}`);
+
+    const to = ethers.utils.getAddress(address);
+    const previousBalance = await this.#getBalance(asset, to);
+
+    if (previousBalance.gte(policy.threshold)) return;
+
+    const amount = policy.target.sub(previousBalance);
+
+    const entry = {
+      time: this.#now(),
+      asset,
+      from: await this.#signer.getAddress(),
+      to,
+      amount: amount.toString(),
+      previousBalance: previousBalance.toString(),
+    };
+
+    const refusal = await this.#checkCaps(entry, policy);
+    if (refusal) {
+      await this.#append(entry, { status: "refused", reason: refusal });
+      throw new Error(refusal);
+    }
+
+    let tx;
+    try {
+      tx = await this.#send(asset, to, amount);
+    } catch (error) {
+      await this.#append(entry, { status: "failed", reason: error.message });
+      throw new Error(`Top-up with error: ${error.message}`);
+    }
+
+    await this.#append(entry, { status: "sent", hash: tx.hash });
+    if (asset !== ETHER) this.#addInFlight(asset, to, amount, tx.hash);
+
+    return new Action(
+      Promise.resolve(tx),
+      this.#provider,
+      undefined,
+      this.#signer
+    );
+  };
+
+  // The balance with the top-ups that aren't mined yet
+  #getBalance = async (asset, address) => {
+    if (asset === ETHER) return this.#provider.getBalance(address, "pending");
+
+    const balance = await this.#tokens.get(asset).balanceOf(address);
+    const inFlight = this.#inFlight.get(`${asset}:${address}`) || [];
+    return balance.add(sum(inFlight));
+  };
+
+  #addInFlight = (asset, address, amount, hash) => {
+    const key = `${asset}:${address}`;
+    const topUp = { amount };
+    this.#inFlight.set(key, [...(this.#inFlight.get(key) || []), topUp]);
+
+    const remove = () => {
+      const remaining = this.#inFlight
+        .get(key)
+        .filter(other => other !== topUp);
+
+      if (remaining.length > 0) this.#inFlight.set(key, remaining);
+      else this.#inFlight.delete(key);
+    };
+
+    // Note: A reverted top-up is removed as well, it didn't change the balance
+    this.#provider.waitForTransaction(hash).then(remove, remove);
+  };
+
+  // Note: The sponsor wallet shares its nonces with its contract writes
+  #send = async (asset, to, amount) => {
+    const address = await this.#signer.getAddress();
+
+    return NonceManager.getManager(address).send(this.#provider, nonce => {
+      if (asset === ETHER)
+        return this.#signer.sendTransaction({ to, value: amount, nonce });
+      return this.#tokens.get(asset).transfer(to, amount, { nonce });
+    });
+  };
+
+  #checkCaps = async (entry, policy) => {
+    const { asset, to, amount, time } = entry;
+
+    const sentEntries = await this.#getSentEntries(asset, time);
+    const sentToAccount = sum(sentEntries.filter(sent => sent.to === to));
+    const sentToAll = sum(sentEntries);
+
+    if (sentToAccount.add(amount).gt(policy.accountDailyCap))
+      return `Daily cap of ${asset} for account ${to} reached`;
+
+    if (sentToAll.add(amount).gt(policy.dailyCap))
+      return `Daily cap of ${asset} reached`;
+  };
+
+  #getSentEntries = async (asset, time) => {
+    const day = Math.floor(time / DAY);
+    const entries = await this.#auditLog.getEntries();
+
+    return entries.filter(
+      entry =>
+        entry.status === "sent" &&
+        entry.asset === asset &&
+        Math.floor(entry.time / DAY) === day
+    );
+  };
+
+  #append = (entry, result) => {
+    return this.#auditLog.append(Object.assign({}, entry, result));
+  };
+}
+
+export default Sponsor;
@@ -0,0 +1,343 @@
+import Sponsor from "./Sponsor";
+import MemoryAuditLog from "./AuditLog";
+import ProviderFactory from "../ProviderFactory";
+import { ethers } from "ethers";
+
+import {
+  abi as fullERC20ABI,
+  bytecode as fullERC20Bytecode,
+} from "../../../tasit-contracts/build/contracts/FullERC20.json";
+
+const { parseEther } = ethers.utils;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("TasitAction.Funding.Sponsor", () => {
+  let owner;
+  let ephemeral;
+  let provider;
+  let snapshotId;
+  let etherPolicy;
+
+  before("", async () => {
+    owner = createFromPrivateKey(ownerPrivKey);
+  });
+
+  beforeEach("", async () => {
+    provider = ProviderFactory.getProvider();
+    snapshotId = await createSnapshot(provider);
+
+    ephemeral = ethers.Wallet.createRandom().connect(provider);
+
+    etherPolicy = {
+      threshold: parseEther("0.5"),
+      target: parseEther("1"),
+      accountDailyCap: parseEther("1.5"),
+      dailyCap: parseEther("10"),
+    };
+  });
+
+  afterEach("", async () => {
+    await revertFromSnapshot(provider, snapshotId);
+  });
+
+  describe("ETH", () => {
+    it("should top up an account to the target", async () => {
+      const sponsor = new Sponsor(owner, { ether: etherPolicy });
+
+      const action = await sponsor.topUp(ephemeral.address);
+      await action.waitForNonceToUpdate();
+
+      const balance = await provider.getBalance(ephemeral.address);
+      expect(balance.eq(parseEther("1"))).to.be.true;
+
+      const entries = await sponsor.getAuditLog().getEntries();
+      expect(entries).to.have.lengthOf(1);
+
+      const [entry] = entries;
+      expect(entry.status).to.equal("sent");
+      expect(entry.asset).to.equal("ETH");
+      expect(entry.from).to.equal(owner.address);
+      expect(entry.to).to.equal(ephemeral.address);
+      expect(entry.amount).to.equal(parseEther("1").toString());
+      expect(entry.previousBalance).to.equal("0");
+      expect(entry.hash).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("should not top up an account above the threshold", async () => {
+      const sponsor = new Sponsor(owner, { ether: etherPolicy });
+
+      const action = await sponsor.topUp(ephemeral.address);
+      await action.waitForNonceToUpdate();
+
+      expect(await sponsor.topUp(ephemeral.address)).to.be.undefined;
+      expect(await sponsor.getAuditLog().getEntries()).to.have.lengthOf(1);
+    });
+
+    it("should top up the same account once when called twice at once", async () => {
+      const sponsor = new Sponsor(owner, { ether: etherPolicy });
+
+      const [first, second] = await Promise.all([
+        sponsor.topUp(ephemeral.address),
+        sponsor.topUp(ephemeral.address),
+      ]);
+
+      await first.waitForNonceToUpdate();
+      expect(second).to.be.undefined;
+
+      const balance = await provider.getBalance(ephemeral.address);
+      expect(balance.eq(parseEther("1"))).to.be.true;
+    });
+
+    it("should read the pending balance of an account", async () => {
+      const sponsor = new Sponsor(owner, { ether: etherPolicy });
+      // Note: The sponsor has a provider of its own
+      const getBalance = sinon.spy(
+        ethers.providers.BaseProvider.prototype,
+        "getBalance"
+      );
+
+      try {
+        const action = await sponsor.topUp(ephemeral.address);
+        await action.waitForNonceToUpdate();
+        await sponsor.topUp(ephemeral.address);
+      } finally {
+        getBalance.restore();
+      }
+
+      expect(getBalance.callCount).to.equal(2);
+      getBalance.args.forEach(([address, blockTag]) => {
+        expect(address).to.equal(ephemeral.address);
+        expect(blockTag).to.equal("pending");
+      });
+    });
+
+    it("should refuse a top-up above the account daily cap", async () => {
+      let now = Date.now();
+      const sponsor = new Sponsor(owner, {
+        ether: etherPolicy,
+        now: () => now,
+      });
+
+      const action = await sponsor.topUp(ephemeral.address);
+      await action.waitForNonceToUpdate();
+
+      // Note: The account spends more than half of its funds
+      const tx = await ephemeral.sendTransaction({
+        to: owner.address,
+        value: parseEther("0.6"),
+      });
+      await provider.waitForTransaction(tx.hash);
+
+      await expect(sponsor.topUp(ephemeral.address)).to.be.rejectedWith(
+        `Daily cap of ETH for account ${ephemeral.address} reached`
+      );
+
+      const entries = await sponsor.getAuditLog().getEntries();
+      expect(entries.map(entry => entry.status)).to.deep.equal([
+        "sent",
+        "refused",
+      ]);
+
+      const sent = await sponsor.getSentToday(undefined, ephemeral.address);
+      expect(sent.eq(parseEther("1"))).to.be.true;
+
+      // Note: The caps are reset on the next day (UTC)
+      now += DAY;
+      const nextDayAction = await sponsor.topUp(ephemeral.address);
+      await nextDayAction.waitForNonceToUpdate();
+
+      const balance = await provider.getBalance(ephemeral.address);
+      expect(balance.eq(parseEther("1"))).to.be.true;
+    });
+
+    it("should refuse a top-up above the global daily cap", async () => {
+      const sponsor = new Sponsor(owner, {
+        ether: Object.assign({}, etherPolicy, { dailyCap: parseEther("1.5") }),
+      });
+
+      const other = ethers.Wallet.createRandom();
+
+      const action = await sponsor.topUp(ephemeral.address);
+      await action.waitForNonceToUpdate();
+
+      await expect(sponsor.topUp(other.address)).to.be.rejectedWith(
+        `Daily cap of ETH reached`
+      );
+
+      const balance = await provider.getBalance(other.address);
+      expect(balance.eq(0)).to.be.true;
+
+      const sent = await sponsor.getSentToday();
+      expect(sent.eq(parseEther("1"))).to.be.true;
+    });
+
+    it("should append the entries to the given audit log", async () => {
+      const auditLog = new MemoryAuditLog();
+      const sponsor = new Sponsor(owner, { ether: etherPolicy, auditLog });
+
+      expect(sponsor.getAuditLog()).to.equal(auditLog);
+
+      const action = await sponsor.topUp(ephemeral.address);
+      await action.waitForNonceToUpdate();
+
+      const entries = await auditLog.getEntries();
+      expect(entries).to.have.lengthOf(1);
+
+      // Note: The log returns copies of its entries
+      entries[0].amount = "0";
+      const [entry] = await auditLog.getEntries();
+      expect(entry.amount).to.equal(parseEther("1").toString());
+    });
+  });
+
+  describe("ERC20", () => {
+    let token;
+    let tokenPolicy;
+
+    beforeEach("", async () => {
+      const factory = new ethers.ContractFactory(
+        fullERC20ABI,
+        fullERC20Bytecode,
+        owner.connect(provider)
+      );
+      token = await factory.deploy();
+      await token.deployed();
+
+      tokenPolicy = {
+        threshold: 100,
+        target: 1000,
+        accountDailyCap: 2000,
+        dailyCap: 10000,
+      };
+    });
+
+    it("should top up an account with tokens", async () => {
+      const mintTx = await token.mint(owner.address, 5000);
+      await provider.waitForTransaction(mintTx.hash);
+
+      const sponsor = new Sponsor(owner, {
+        tokens: { [token.address]: tokenPolicy },
+      });
+
+      const action = await sponsor.topUp(ephemeral.address, token.address);
+      await action.waitForNonceToUpdate();
+
+      const balance = await token.balanceOf(ephemeral.address);
+      expect(balance.toNumber()).to.equal(1000);
+
+      const [entry] = await sponsor.getAuditLog().getEntries();
+      expect(entry.asset).to.equal(token.address);
+      expect(entry.amount).to.equal("1000");
+      expect(entry.status).to.equal("sent");
+
+      const sent = await sponsor.getSentToday(token.address);
+      expect(sent.toNumber()).to.equal(1000);
+    });
+
+    it("should not top up again before the first top-up is mined", async () => {
+      const mintTx = await token.mint(owner.address, 5000);
+      await provider.waitForTransaction(mintTx.hash);
+
+      const sponsor = new Sponsor(owner, {
+        tokens: { [token.address]: tokenPolicy },
+      });
+
+      // Note: The transactions stay pending until the mining starts again
+      await provider.send("miner_stop", []);
+      let first;
+      let second;
+      try {
+        first = await sponsor.topUp(ephemeral.address, token.address);
+        second = await sponsor.topUp(ephemeral.address, token.address);
+      } finally {
+        await provider.send("miner_start", []);
+      }
+
+      expect(first).to.not.be.undefined;
+      expect(second).to.be.undefined;
+
+      await first.waitForNonceToUpdate();
+      const balance = await token.balanceOf(ephemeral.address);
+      expect(balance.toNumber()).to.equal(1000);
+
+      const sent = await sponsor.getSentToday(token.address);
+      expect(sent.toNumber()).to.equal(1000);
+    });
+
+    it("should log a failed top-up", async () => {
+      // Note: The sponsor has no tokens
+      const sponsor = new Sponsor(owner, {
+        tokens: { [token.address]: tokenPolicy },
+      });
+
+      await expect(
+        sponsor.topUp(ephemeral.address, token.address)
+      ).to.be.rejectedWith(/^Top-up with error: /);
+
+      const [entry] = await sponsor.getAuditLog().getEntries();
+      expect(entry.status).to.equal("failed");
+      expect(entry.reason).to.be.a("string");
+      expect(entry.hash).to.be.undefined;
+    });
+
+    it("should throw error without a policy for the asset", async () => {
+      const sponsor = new Sponsor(owner, {
+        tokens: { [token.address]: tokenPolicy },
+      });
+
+      await expect(sponsor.topUp(ephemeral.address)).to.be.rejectedWith(
+        `No funding policy for ETH`
+      );
+
+      const other = ethers.Wallet.createRandom();
+      await expect(
+        sponsor.topUp(ephemeral.address, other.address)
+      ).to.be.rejectedWith(`No funding policy for ${other.address}`);
+    });
+  });
+
+  describe("validation", () => {
+    it("should throw error when creating without a wallet", async () => {
+      expect(() => new Sponsor(undefined, { ether: etherPolicy })).to.throw(
+        `Cannot create a Sponsor without a wallet`
+      );
+    });
+
+    it("should throw error when creating without a policy", async () => {
+      expect(() => new Sponsor(owner)).to.throw(
+        `Cannot create a Sponsor without a funding policy`
+      );
+    });
+
+    it("should throw error when creating with an invalid policy", async () => {
+      expect(
+        () =>
+          new Sponsor(owner, {
+            ether: Object.assign({}, etherPolicy, { dailyCap: undefined }),
+          })
+      ).to.throw(`Invalid funding policy for ETH`);
+
+      expect(
+        () =>
+          new Sponsor(owner, {
+            ether: Object.assign({}, etherPolicy, {
+              threshold: parseEther("2"),
+            }),
+          })
+      ).to.throw(`is above the target`);
+
+      expect(
+        () => new Sponsor(owner, { tokens: { "0x1234": etherPolicy } })
+      ).to.throw(`Invalid token address`);
+    });
+
+    it("should throw error when topping up an invalid address", async () => {
+      const sponsor = new Sponsor(owner, { ether: etherPolicy });
+
+      await expect(sponsor.topUp("0x1234")).to.be.rejectedWith(
+        `Cannot top up an invalid address`
+      );
+    });
+  });
+});
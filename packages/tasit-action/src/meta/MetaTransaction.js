@@ -0,0 +1,125 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import Utils from "../contract/Utils";
+
+const { arrayify, bigNumberify, getAddress, isHexString } = ethers.utils;
+
+const FIELDS = [
+  "chainId",
+  "forwarder",
+  "signer",
+  "to",
+  "data",
+  "nonce",
+  "expiry",
+];
+
+// A call signed by an account that doesn't pay for its gas,
+// a relayer sends it through the Forwarder contract (see tasit-contracts)
+// Fields:
+//  - chainId: the chain of the Forwarder, so it can't be replayed on another chain
+//  - forwarder: the address of the Forwarder contract
+//  - signer: the address of the account that signs it
+//  - to, data: the contract and the calldata of the call
+//  - nonce: the nonce of the signer on the Forwarder
+//  - expiry: the forwarder rejects it after this timestamp (in seconds)
+//  - signature: the signature of its hash (see getHash())
+// Note: The numbers are decimal strings, so it can be sent as JSON
+export class MetaTransaction {
+  // Throws if a field is missing or invalid
+  static from = metaTx => {
+    const invalid = new Error(`Invalid meta-transaction, use: [${FIELDS}]`);
+
+    if (!metaTx) throw invalid;
+
+    const {
+      chainId,
+      forwarder,
+      signer,
+      to,
+      data,
+      nonce,
+      expiry,
+      signature,
+    } = metaTx;
+
+    if (![forwarder, signer, to].every(Utils.isAddress)) throw invalid;
+    if (!isHexString(data)) throw invalid;
+
+    const values = {};
+    try {
+      values.chainId = bigNumberify(chainId).toString();
+      values.nonce = bigNumberify(nonce).toString();
+      values.expiry = bigNumberify(expiry).toString();
+    } catch (error) {
+      throw invalid;
+    }
+
+    return Object.assign(
+      {
+        forwarder: getAddress(forwarder),
+        signer: getAddress(signer),
+        to: getAddress(to),
+        data,
+      },
+      values,
+      signature === undefined ? {} : { signature }
+    );
+  };
+
+  // Same as Forwarder getHash()
+  static getHash = metaTx => {
+    const {
+      chainId,
+      forwarder,
+      signer,
+      to,
+      data,
+      nonce,
+      expiry,
+    } = MetaTransaction.from(metaTx);
+
+    return ethers.utils.solidityKeccak256(
+      [
+        "uint256",
+        "address",
+        "address",
+        "address",
+        "bytes",
+        "uint256",
+        "uint256",
+      ],
+      [chainId, forwarder, signer, to, data, nonce, expiry]
+    );
+  };
+
+  // Resolves to the meta-transaction with the signature
+  // `signer` is an ethers.js or Tasit signer with the address of the meta-transaction signer
+  // Note: The hash is signed as a message (with the "\x19Ethereum Signed Message" prefix)
+  static sign = async (metaTx, signer) => {
+    const unsigned = MetaTransaction.from(metaTx);
+    const address = await signer.getAddress();
+
+    if (getAddress(address) !== unsigned.signer)
+      throw new Error(`Cannot sign a meta-transaction of another signer`);
+
+    const hash = MetaTransaction.getHash(unsigned);
+    const signature = await signer.signMessage(arrayify(hash));
+
+    return Object.assign(unsigned, { signature });
+  };
+
+  // The address that signed the meta-transaction
+  static recover = metaTx => {
+    const { signature } = metaTx;
+    if (!isHexString(signature))
+      throw new Error(`Cannot recover a meta-transaction without a signature`);
+
+    const hash = MetaTransaction.getHash(metaTx);
+    return ethers.utils.verifyMessage(arrayify(hash), signature);
+  };
+}
+
+export default MetaTransaction;
@@ -0,0 +1,105 @@
+import MetaTransaction from "./MetaTransaction";
+import ProviderFactory from "../ProviderFactory";
+import { ethers } from "ethers";
+
+import {
+  abi as forwarderABI,
+  bytecode as forwarderBytecode,
+} from "../../../tasit-contracts/build/contracts/Forwarder.json";
+
+const sampleContractAddress = "0x6C4A015797DDDd87866451914eCe1e8b19261931";
+
+describe("TasitAction.MetaTransaction", () => {
+  let signer;
+  let metaTx;
+
+  beforeEach("", async () => {
+    signer = ethers.Wallet.createRandom();
+    metaTx = {
+      chainId: 1,
+      forwarder: sampleContractAddress,
+      signer: signer.address,
+      to: sampleContractAddress,
+      data: "0x12345678",
+      nonce: 0,
+      expiry: ethers.utils.bigNumberify(1600000000),
+    };
+  });
+
+  it("should keep the numbers as decimal strings", async () => {
+    const { chainId, nonce, expiry } = MetaTransaction.from(metaTx);
+
+    expect(chainId).to.equal("1");
+    expect(nonce).to.equal("0");
+    expect(expiry).to.equal("1600000000");
+  });
+
+  it("should throw on an invalid meta-transaction", async () => {
+    const invalid = `Invalid meta-transaction, use: [chainId,forwarder,signer,to,data,nonce,expiry]`;
+
+    expect(() => MetaTransaction.from()).to.throw(invalid);
+    expect(() =>
+      MetaTransaction.from(Object.assign({}, metaTx, { to: "0x1234" }))
+    ).to.throw(invalid);
+    expect(() =>
+      MetaTransaction.from(Object.assign({}, metaTx, { data: "hello" }))
+    ).to.throw(invalid);
+    expect(() =>
+      MetaTransaction.from(Object.assign({}, metaTx, { nonce: "one" }))
+    ).to.throw(invalid);
+    expect(() =>
+      MetaTransaction.from(Object.assign({}, metaTx, { chainId: undefined }))
+    ).to.throw(invalid);
+  });
+
+  it("should recover the signer", async () => {
+    const signed = await MetaTransaction.sign(metaTx, signer);
+
+    expect(MetaTransaction.recover(signed)).to.equal(signer.address);
+  });
+
+  it("should not recover the signer of a changed meta-transaction", async () => {
+    const signed = await MetaTransaction.sign(metaTx, signer);
+    const changed = Object.assign({}, signed, { nonce: "1" });
+
+    expect(MetaTransaction.recover(changed)).not.to.equal(signer.address);
+  });
+
+  it("should not recover the signer on another chain", async () => {
+    const signed = await MetaTransaction.sign(metaTx, signer);
+    const replayed = Object.assign({}, signed, { chainId: "3" });
+
+    expect(MetaTransaction.recover(replayed)).not.to.equal(signer.address);
+  });
+
+  it("should not sign a meta-transaction of another signer", async () => {
+    const other = ethers.Wallet.createRandom();
+
+    await expect(MetaTransaction.sign(metaTx, other)).to.be.rejectedWith(
+      `Cannot sign a meta-transaction of another signer`
+    );
+  });
+
+  it("should have the same hash as the forwarder", async () => {
+    const provider = ProviderFactory.getProvider();
+    const wallet = createFromPrivateKey(ownerPrivKey);
+
+    const snapshotId = await createSnapshot(provider);
+
+    const factory = new ethers.ContractFactory(
+      forwarderABI,
+      forwarderBytecode,
+      wallet.connect(provider)
+    );
+    const forwarder = await factory.deploy(metaTx.chainId);
+    await forwarder.deployed();
+
+    metaTx.forwarder = forwarder.address;
+    const { signer: from, to, data, nonce, expiry } = metaTx;
+
+    const hash = await forwarder.getHash(from, to, data, nonce, expiry);
+    await revertFromSnapshot(provider, snapshotId);
+
+    expect(hash).to.equal(MetaTransaction.getHash(metaTx));
+  });
+});
@@ -0,0 +1,161 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import MetaTransaction from "./MetaTransaction";
+import Utils from "../contract/Utils";
+import Gas from "../contract/Gas";
+import NonceManager from "../contract/NonceManager";
+import ProviderFactory from "../ProviderFactory";
+import ConfigLoader from "../ConfigLoader";
+import { toEthersSigner } from "../signer/EthersSigner";
+import forwarderABI from "../../../tasit-contracts/abi/Forwarder.json";
+
+// Relayers send signed meta-transactions (see MetaTransaction) through the Forwarder
+// contract and pay for their gas. Any object with this function is a relayer:
+//  - relay(metaTx): Promise<hash> of the transaction that forwards it
+
+const getAllowedContracts = () => {
+  const { policies } = ConfigLoader.getConfig();
+  const { allowedContracts } = policies || {};
+  return allowedContracts || [];
+};
+
+// Sends meta-transactions with a wallet of its own, only to the `allowedContracts`
+// of `policies` on ConfigLoader
+// Note: Without them, every meta-transaction is rejected, the relayer pays for the gas
+// Note: Used by the reference relayer server (see RelayerServer)
+export class LocalRelayer {
+  #provider;
+  #signer;
+  #forwarder;
+
+  constructor(wallet, forwarderAddress) {
+    if (!Utils.isSigner(wallet))
+      throw new Error(`Cannot create a LocalRelayer without a wallet`);
+
+    if (!Utils.isAddress(forwarderAddress))
+      throw new Error(
+        `Cannot create a LocalRelayer without a forwarder address`
+      );
+
+    this.#provider = ProviderFactory.getProvider();
+    this.#signer = toEthersSigner(wallet, this.#provider);
+    this.#forwarder = new ethers.Contract(
+      forwarderAddress,
+      forwarderABI,
+      this.#signer
+    );
+  }
+
+  getForwarderAddress = () => {
+    return this.#forwarder.address;
+  };
+
+  // Rejects without sending if the meta-transaction would be rejected by the forwarder
+  relay = async metaTx => {
+    const signed = MetaTransaction.from(metaTx);
+    await this.#check(signed);
+
+    const { signer, to, data, nonce, expiry, signature } = signed;
+    const args = [signer, to, data, nonce, expiry, signature];
+
+    const tx = {
+      from: await this.#signer.getAddress(),
+      to: this.#forwarder.address,
+      data: this.#forwarder.interface.functions.forward.encode(args),
+    };
+    const gas = await Gas.fill(tx, this.#provider);
+
+    const sent = await NonceManager.getManager(tx.from).send(
+      this.#provider,
+      nonce => this.#forwarder.forward(...args, Object.assign({ nonce }, gas))
+    );
+
+    return sent.hash;
+  };
+
+  #check = async metaTx => {
+    const { chainId, forwarder, signer, to, nonce, expiry } = metaTx;
+
+    if (ethers.utils.getAddress(forwarder) !== this.#forwarder.address)
+      throw new Error(`Cannot relay a meta-transaction of another forwarder`);
+
+    const forwarderChainId = await this.#forwarder.chainId();
+    if (!forwarderChainId.eq(chainId))
+      throw new Error(`Cannot relay a meta-transaction of another chain`);
+
+    const allowedContracts = getAllowedContracts();
+    if (allowedContracts.length === 0)
+      throw new Error(
+        `Cannot relay a meta-transaction without allowed contracts (see policies on the config)`
+      );
+
+    const checksumAddress = ethers.utils.getAddress(to);
+    const allowed = allowedContracts.some(
+      allowed => ethers.utils.getAddress(allowed) === checksumAddress
+    );
+    if (!allowed)
+      throw new Error(
+        `Cannot relay a meta-transaction to contract ${to}, it isn't allowed`
+      );
+
+    if (MetaTransaction.recover(metaTx) !== signer)
+      throw new Error(`Invalid meta-transaction signature`);
+
+    const { timestamp } = await this.#provider.getBlock("latest");
+    if (ethers.utils.bigNumberify(expiry).lt(timestamp))
+      throw new Error(`Meta-transaction expired`);
+
+    const expectedNonce = await this.#forwarder.nonces(signer);
+    if (!expectedNonce.eq(nonce))
+      throw new Error(
+        `Invalid meta-transaction nonce ${nonce}, expected ${expectedNonce}`
+      );
+  };
+}
+
+// The error sent by a relayer server, if any
+const getResponseError = error => {
+  try {
+    return JSON.parse(error.responseText).error;
+  } catch (parseError) {
+    return undefined;
+  }
+};
+
+// Sends meta-transactions to a relayer server (see RelayerServer)
+export class HttpRelayer {
+  #url;
+
+  constructor(url) {
+    if (typeof url !== "string" || !/^https?:\/\//.test(url))
+      throw new Error(`Cannot create an HttpRelayer without a URL`);
+
+    this.#url = url.replace(/\/$/, "");
+  }
+
+  relay = async metaTx => {
+    const body = JSON.stringify(MetaTransaction.from(metaTx));
+
+    try {
+      const { hash } = await ethers.utils.fetchJson(`${this.#url}/relay`, body);
+      return hash;
+    } catch (error) {
+      // Note: The server responds with the error of the relayer
+      throw new Error(getResponseError(error) || error.message);
+    }
+  };
+}
+
+// A relayer from the `relayer` of `metaTx` on ConfigLoader: a URL or a relayer
+export const toRelayer = relayer => {
+  if (typeof relayer === "string") return new HttpRelayer(relayer);
+
+  if (!relayer || typeof relayer.relay !== "function")
+    throw new Error(`Cannot send a meta-transaction without a relayer`);
+
+  return relayer;
+};
+
+export default LocalRelayer;
@@ -0,0 +1,308 @@
+import Contract from "../contract/Contract";
+import MetaTransaction from "./MetaTransaction";
+import { LocalRelayer, HttpRelayer } from "./Relayer";
+import { createRelayerServer } from "./RelayerServer";
+import ConfigLoader from "../ConfigLoader";
+import ProviderFactory from "../ProviderFactory";
+import { ethers } from "ethers";
+
+import {
+  abi as forwarderABI,
+  bytecode as forwarderBytecode,
+} from "../../../tasit-contracts/build/contracts/Forwarder.json";
+import {
+  abi as recipientABI,
+  bytecode as recipientBytecode,
+} from "../../../tasit-contracts/build/contracts/SampleMetaTxRecipient.json";
+
+describe("TasitAction.Relayer", () => {
+  let wallet;
+  let provider;
+  let forwarder;
+  let recipientAddress;
+  let server;
+  let relayerUrl;
+  let defaultConfig;
+  let snapshotId;
+  let ephemeral;
+  let recipient;
+  let action;
+  let network;
+
+  const deploy = async (abi, bytecode, ...args) => {
+    const factory = new ethers.ContractFactory(
+      abi,
+      bytecode,
+      wallet.connect(provider)
+    );
+    const contract = await factory.deploy(...args);
+    await contract.deployed();
+    return contract;
+  };
+
+  // Note: The relayer only relays to the allowed contracts
+  const setMetaTxConfig = metaTx => {
+    ConfigLoader.setConfig(
+      Object.assign({}, defaultConfig, {
+        deferredSend: true,
+        metaTx,
+        policies: { allowedContracts: [recipientAddress] },
+      })
+    );
+  };
+
+  // A meta-transaction for the recipient signed by the ephemeral account
+  const signMetaTx = async (value, chainId = network.chainId) => {
+    const data = recipient
+      .getEmitter()
+      .interface.functions.setValue.encode([value]);
+    const nonce = await forwarder.nonces(ephemeral.address);
+    const { timestamp } = await provider.getBlock("latest");
+
+    return MetaTransaction.sign(
+      {
+        chainId,
+        forwarder: forwarder.address,
+        signer: ephemeral.address,
+        to: recipientAddress,
+        data,
+        nonce,
+        expiry: timestamp + 60,
+      },
+      ephemeral
+    );
+  };
+
+  before("", async () => {
+    defaultConfig = ConfigLoader.getConfig();
+    provider = ProviderFactory.getProvider();
+    wallet = createFromPrivateKey(ownerPrivKey);
+
+    network = await provider.getNetwork();
+    forwarder = await deploy(forwarderABI, forwarderBytecode, network.chainId);
+    const sampleRecipient = await deploy(
+      recipientABI,
+      recipientBytecode,
+      forwarder.address
+    );
+    recipientAddress = sampleRecipient.address;
+
+    server = createRelayerServer(new LocalRelayer(wallet, forwarder.address));
+    await new Promise(resolve => server.listen(0, resolve));
+    relayerUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after("", async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach("", async () => {
+    setMetaTxConfig({
+      forwarderAddress: forwarder.address,
+      relayer: relayerUrl,
+    });
+
+    // Note: An account without ETH
+    ephemeral = ethers.Wallet.createRandom();
+    recipient = new Contract(recipientAddress, recipientABI, ephemeral);
+    snapshotId = await createSnapshot(provider);
+  });
+
+  afterEach("", async () => {
+    if (action) action.unsubscribe();
+    action = undefined;
+    recipient.unsubscribe();
+    ConfigLoader.setConfig(defaultConfig);
+    await revertFromSnapshot(provider, snapshotId);
+  });
+
+  it("should send a write signed by an account without ETH", async () => {
+    action = recipient.setValue("meta");
+    const sent = waitForEvent(action, "sent");
+    const mined = waitForEvent(action, "mined");
+
+    action.sendMeta();
+
+    const { hash } = await sent;
+    const receipt = await mined;
+    expect(receipt.hash).to.equal(hash);
+
+    const tx = await provider.getTransaction(hash);
+    expect(tx.from).to.equal(wallet.address);
+    expect(tx.to).to.equal(forwarder.address);
+
+    expect(await recipient.getValue(ephemeral.address)).to.equal("meta");
+    expect((await provider.getBalance(ephemeral.address)).isZero()).to.be.true;
+  });
+
+  it("should emit the contract events with the signer", async () => {
+    const changed = new Promise(resolve => {
+      recipient.once("ValueChanged", message => resolve(message.data.args));
+    });
+
+    action = recipient.setValue("meta");
+    action.sendMeta();
+
+    const { author, newValue } = await changed;
+    expect(author).to.equal(ephemeral.address);
+    expect(newValue).to.equal("meta");
+  });
+
+  it("should relay with a relayer object", async () => {
+    setMetaTxConfig({
+      forwarderAddress: forwarder.address,
+      relayer: new LocalRelayer(wallet, forwarder.address),
+    });
+
+    action = recipient.setValue("local");
+    action.sendMeta();
+    await action.waitForNonceToUpdate();
+
+    expect(await recipient.getValue(ephemeral.address)).to.equal("local");
+  });
+
+  it("should emit the revert reason of the contract", async () => {
+    action = recipient.revertWrite("meta");
+    const error = waitForError(action);
+
+    action.sendMeta();
+
+    expect((await error).reason).to.equal("revertWrite always reverts");
+  });
+
+  it("should emit an error on an expired meta-transaction", async () => {
+    setMetaTxConfig({
+      forwarderAddress: forwarder.address,
+      relayer: relayerUrl,
+      expiresIn: -1,
+    });
+
+    action = recipient.setValue("expired");
+    const error = waitForError(action);
+
+    action.sendMeta();
+
+    expect((await error).message).to.equal(
+      `Action with error: Meta-transaction expired`
+    );
+  });
+
+  it("should emit an error without a forwarder address", async () => {
+    setMetaTxConfig({ relayer: relayerUrl });
+
+    action = recipient.setValue("meta");
+    const error = waitForError(action);
+
+    action.sendMeta();
+
+    expect((await error).message).to.equal(
+      `Action with error: Cannot send a meta-transaction without a forwarder address`
+    );
+  });
+
+  it("should reject a meta-transaction with an invalid signature", async () => {
+    const signed = await signMetaTx("forged");
+    const forged = Object.assign({}, signed, {
+      signature: await ethers.Wallet.createRandom().signMessage(
+        ethers.utils.arrayify(MetaTransaction.getHash(signed))
+      ),
+    });
+
+    await expect(new HttpRelayer(relayerUrl).relay(forged)).to.be.rejectedWith(
+      `Invalid meta-transaction signature`
+    );
+  });
+
+  it("should reject a meta-transaction of another chain", async () => {
+    const signed = await signMetaTx("replayed", network.chainId + 1);
+
+    await expect(new HttpRelayer(relayerUrl).relay(signed)).to.be.rejectedWith(
+      `Cannot relay a meta-transaction of another chain`
+    );
+
+    // Note: The forwarder rejects it as well
+    const { signer, to, data, nonce, expiry, signature } = signed;
+    await expect(
+      forwarder.forward(signer, to, data, nonce, expiry, signature)
+    ).to.be.rejectedWith(/Invalid meta-transaction signature/);
+  });
+
+  it("should reject a meta-transaction relayed twice", async () => {
+    const relayer = new HttpRelayer(relayerUrl);
+    const signed = await signMetaTx("once");
+
+    const hash = await relayer.relay(signed);
+    await provider.waitForTransaction(hash);
+
+    await expect(relayer.relay(signed)).to.be.rejectedWith(
+      `Invalid meta-transaction nonce 0, expected 1`
+    );
+  });
+
+  it("should reject a meta-transaction to a contract that isn't allowed", async () => {
+    ConfigLoader.setConfig(
+      Object.assign({}, ConfigLoader.getConfig(), {
+        policies: { allowedContracts: [forwarder.address] },
+      })
+    );
+    const signed = await signMetaTx("not allowed");
+
+    await expect(new HttpRelayer(relayerUrl).relay(signed)).to.be.rejectedWith(
+      `Cannot relay a meta-transaction to contract ${recipientAddress}, it isn't allowed`
+    );
+
+    ConfigLoader.setConfig(
+      Object.assign({}, ConfigLoader.getConfig(), {
+        policies: { allowedContracts: [recipientAddress.toLowerCase()] },
+      })
+    );
+    const hash = await new HttpRelayer(relayerUrl).relay(signed);
+    await provider.waitForTransaction(hash);
+
+    expect(await recipient.getValue(ephemeral.address)).to.equal("not allowed");
+  });
+
+  it("should reject every meta-transaction without allowed contracts", async () => {
+    ConfigLoader.setConfig(
+      Object.assign({}, ConfigLoader.getConfig(), { policies: undefined })
+    );
+    const signed = await signMetaTx("no allowlist");
+
+    await expect(new HttpRelayer(relayerUrl).relay(signed)).to.be.rejectedWith(
+      `Cannot relay a meta-transaction without allowed contracts (see policies on the config)`
+    );
+
+    ConfigLoader.setConfig(
+      Object.assign({}, ConfigLoader.getConfig(), {
+        policies: { allowedContracts: [] },
+      })
+    );
+    await expect(new HttpRelayer(relayerUrl).relay(signed)).to.be.rejectedWith(
+      `Cannot relay a meta-transaction without allowed contracts`
+    );
+  });
+
+  it("should not send a meta-transaction from an Action that isn't deferred", async () => {
+    ConfigLoader.setConfig(
+      Object.assign({}, defaultConfig, { deferredSend: false })
+    );
+    recipient.setWallet(wallet);
+
+    action = recipient.setValue("sent");
+
+    expect(() => action.sendMeta()).to.throw(
+      `Cannot send a meta-transaction from an Action that isn't deferred`
+    );
+    await action.waitForNonceToUpdate();
+  });
+
+  it("should not replace a meta-transaction", async () => {
+    action = recipient.setValue("meta");
+    action.sendMeta();
+
+    await expect(action.speedUp()).to.be.rejectedWith(
+      `Cannot replace a meta-transaction, its relayer sends it`
+    );
+    await action.waitForNonceToUpdate();
+  });
+});
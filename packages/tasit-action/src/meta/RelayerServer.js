@@ -0,0 +1,89 @@
+import http from "http";
+import { ethers } from "ethers";
+import { LocalRelayer } from "./Relayer";
+import ConfigLoader from "../ConfigLoader";
+
+const DEFAULT_PORT = 8546;
+
+// Note: Meta-transactions are small, bigger requests are rejected
+const MAX_BODY_LENGTH = 64 * 1024;
+
+const respond = (response, statusCode, body) => {
+  response.writeHead(statusCode, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+};
+
+const readBody = request => {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.setEncoding("utf8");
+    request.on("data", chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_LENGTH) {
+        reject(new Error(`Request body too large`));
+        request.destroy();
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+};
+
+// The reference relayer server, a Node.js HTTP server for a relayer (see LocalRelayer):
+//  - POST /relay with a signed meta-transaction (JSON, see MetaTransaction)
+//    responds with 200 { hash } or 400 { error }
+// Note: Not for React Native apps, see HttpRelayer for the client
+export const createRelayerServer = relayer => {
+  return http.createServer(async (request, response) => {
+    if (request.method !== "POST" || request.url !== "/relay")
+      return respond(response, 404, { error: `Not found` });
+
+    try {
+      const metaTx = JSON.parse(await readBody(request));
+      const hash = await relayer.relay(metaTx);
+      respond(response, 200, { hash });
+    } catch (error) {
+      respond(response, 400, { error: error.message });
+    }
+  });
+};
+
+// Usage:
+// RELAYER_PRIVATE_KEY=0x... FORWARDER_ADDRESS=0x... ALLOWED_CONTRACTS=0x...,0x... node --require @babel/register src/meta/RelayerServer.js
+// Options (env): RPC_URL (default: http://localhost:8545), PORT (default: 8546)
+if (require.main === module) {
+  const {
+    RELAYER_PRIVATE_KEY,
+    FORWARDER_ADDRESS,
+    ALLOWED_CONTRACTS,
+    RPC_URL = "http://localhost:8545",
+    PORT = DEFAULT_PORT,
+  } = process.env;
+
+  // Note: The relayer only relays to these contracts, it pays for the gas
+  if (!ALLOWED_CONTRACTS)
+    throw new Error(`Cannot start a relayer server without ALLOWED_CONTRACTS`);
+
+  const { protocol, hostname, port } = new URL(RPC_URL);
+  ConfigLoader.setConfig({
+    provider: {
+      network: "other",
+      provider: "jsonrpc",
+      pollingInterval: 4000,
+      jsonRpc: {
+        url: `${protocol}//${hostname}`,
+        port: port || (protocol === "https:" ? 443 : 80),
+      },
+    },
+    policies: { allowedContracts: ALLOWED_CONTRACTS.split(",") },
+  });
+
+  const wallet = new ethers.Wallet(RELAYER_PRIVATE_KEY);
+  const relayer = new LocalRelayer(wallet, FORWARDER_ADDRESS);
+
+  createRelayerServer(relayer).listen(PORT, () => {
+    console.log(`Relayer ${wallet.address} listening on port ${PORT}`);
+  });
+}
+
+export default createRelayerServer;
@@ -0,0 +1,70 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import Utils from "../contract/Utils";
+
+// Bridge from a Tasit signer to an ethers.js Signer,
+// so ethers.js contracts can send transactions with any Tasit signer
+export class EthersSigner extends ethers.Signer {
+  #signer;
+
+  constructor(signer, provider) {
+    if (!Utils.isSigner(signer))
+      throw new Error(`Cannot create an EthersSigner without a signer`);
+
+    super();
+    this.#signer = signer;
+    ethers.utils.defineReadOnly(this, "provider", provider);
+  }
+
+  getSigner = () => {
+    return this.#signer;
+  };
+
+  getAddress() {
+    return this.#signer.getAddress();
+  }
+
+  signMessage(message) {
+    return this.#signer.signMessage(message);
+  }
+
+  async sendTransaction(transaction) {
+    const from = await this.getAddress();
+
+    if (typeof this.#signer.sendTransaction === "function") {
+      const tx = await ethers.utils.resolveProperties(transaction);
+      const hash = await this.#signer.sendTransaction(tx);
+      return this.#waitForTransactionResponse(hash);
+    }
+
+    const tx = await ethers.utils.populateTransaction(
+      transaction,
+      this.provider,
+      from
+    );
+    const signedTransaction = await this.#signer.signTransaction(tx);
+    return this.provider.sendTransaction(signedTransaction);
+  }
+
+  // Note: The node may not know the transaction right after it was sent
+  #waitForTransactionResponse = hash => {
+    return ethers.utils.poll(
+      async () => {
+        const tx = await this.provider.getTransaction(hash);
+        if (tx === null) return undefined;
+        return tx;
+      },
+      { fastRetry: 250, onceBlock: this.provider }
+    );
+  };
+}
+
+// Returns an ethers.js signer connected to the provider
+export const toEthersSigner = (signer, provider) => {
+  if (Utils.isEthersJsSigner(signer)) return signer.connect(provider);
+  return new EthersSigner(signer, provider);
+};
+
+export default EthersSigner;
@@ -0,0 +1,77 @@
+import "ethers/dist/shims.js";
+// Note: ethers SHOULD be imported from their main object
+// shims aren't injected with package import
+import { ethers } from "ethers";
+import Utils from "../contract/Utils";
+import ProviderFactory from "../ProviderFactory";
+
+const { hexlifyTransaction } = ethers.providers.JsonRpcProvider;
+
+// Adapter for an account managed by the node (e.g. ganache unlocked accounts)
+// See WalletSigner for the Tasit signer interface
+export class JsonRpcSigner {
+  #address;
+  #provider;
+
+  constructor(address, provider = ProviderFactory.getProvider()) {
+    if (!Utils.isAddress(address))
+      throw new Error(`Cannot create a JsonRpcSigner without an address`);
+
+    if (!provider || typeof provider.send !== "function")
+      throw new Error(`Cannot create a JsonRpcSigner without a JSON-RPC node`);
+
+    this.#address = ethers.utils.getAddress(address);
+    this.#provider = provider;
+  }
+
+  getAddress = async () => {
+    return this.#address;
+  };
+
+  // Note: Many nodes (ganache included) don't support eth_signTransaction,
+  // sendTransaction() is used instead when sending with a Contract
+  signTransaction = async tx => {
+    const hexTx = this.#toHexTransaction(
+      await ethers.utils.resolveProperties(tx)
+    );
+    const result = await this.#provider.send("eth_signTransaction", [hexTx]);
+
+    // Note: Geth returns { raw, tx }, Parity returns the raw tx
+    return typeof result === "string" ? result : result.raw;
+  };
+
+  signMessage = async message => {
+    const data =
+      typeof message === "string" ? ethers.utils.toUtf8Bytes(message) : message;
+
+    return this.#provider.send("eth_sign", [
+      this.#address.toLowerCase(),
+      ethers.utils.hexlify(data),
+    ]);
+  };
+
+  // Note: The node fills in the nonce and gas price
+  sendTransaction = async tx => {
+    tx = await ethers.utils.resolveProperties(tx);
+
+    if (tx.gasLimit === undefined) {
+      tx = Object.assign({}, tx, {
+        gasLimit: await this.#provider.estimateGas(
+          Object.assign({}, tx, { from: this.#address })
+        ),
+      });
+    }
+
+    return this.#provider.send("eth_sendTransaction", [
+      this.#toHexTransaction(tx),
+    ]);
+  };
+
+  #toHexTransaction = tx => {
+    const hexTx = hexlifyTransaction(tx);
+    hexTx.from = this.#address.toLowerCase();
+    return hexTx;
+  };
+}
+
+export default JsonRpcSigner;
@@ -0,0 +1,182 @@
+import WalletSigner from "./WalletSigner";
+import JsonRpcSigner from "./JsonRpcSigner";
+import EthersSigner, { toEthersSigner } from "./EthersSigner";
+import Contract from "../contract/Contract";
+import Utils from "../contract/Utils";
+import ProviderFactory from "../ProviderFactory";
+import { ethers } from "ethers";
+
+import { abi as contractABI } from "../../../tasit-contracts/build/contracts/SampleContract.json";
+
+const sampleContractAddress = "0x6C4A015797DDDd87866451914eCe1e8b19261931";
+
+// Note: The first ganache account is unlocked and is the same as the wallet below
+const privateKey = ownerPrivKey;
+
+describe("TasitAction.Signer", () => {
+  let wallet;
+  let provider;
+  let snapshotId;
+  let sampleContract;
+
+  before("", async () => {
+    wallet = createFromPrivateKey(privateKey);
+  });
+
+  beforeEach("", async () => {
+    sampleContract = undefined;
+    provider = ProviderFactory.getProvider();
+    snapshotId = await createSnapshot(provider);
+  });
+
+  afterEach("", async () => {
+    if (sampleContract) sampleContract.unsubscribe();
+    await revertFromSnapshot(provider, snapshotId);
+  });
+
+  const confirmNewValue = async (action, value) => {
+    await action.waitForNonceToUpdate();
+    expect(await sampleContract.getValue()).to.equal(value);
+  };
+
+  describe("Utils.isSigner", () => {
+    it("should accept ethers.js and Tasit signers", async () => {
+      expect(Utils.isSigner(wallet)).to.be.true;
+      expect(Utils.isSigner(new WalletSigner(wallet))).to.be.true;
+      expect(Utils.isSigner(new JsonRpcSigner(wallet.address))).to.be.true;
+    });
+
+    it("should reject invalid signers", async () => {
+      expect(Utils.isSigner()).to.be.false;
+      expect(Utils.isSigner("invalid wallet")).to.be.false;
+      expect(Utils.isSigner({ getAddress: () => {} })).to.be.false;
+    });
+  });
+
+  describe("WalletSigner", () => {
+    let signer;
+
+    beforeEach("", async () => {
+      signer = new WalletSigner(wallet);
+    });
+
+    it("should throw error when created without a wallet", async () => {
+      expect(() => new WalletSigner()).to.throw();
+      expect(() => new WalletSigner("invalid wallet")).to.throw();
+    });
+
+    it("should get the address", async () => {
+      expect(await signer.getAddress()).to.equal(wallet.address);
+    });
+
+    it("should sign a message", async () => {
+      const signature = await signer.signMessage("Hello World!");
+      expect(ethers.utils.verifyMessage("Hello World!", signature)).to.equal(
+        wallet.address
+      );
+    });
+
+    it("should sign a transaction", async () => {
+      const rawTx = await signer.signTransaction({
+        nonce: 0,
+        gasLimit: 21000,
+        gasPrice: 1e9,
+        to: wallet.address,
+        value: 1,
+        chainId: 1,
+      });
+
+      const tx = ethers.utils.parseTransaction(rawTx);
+      expect(tx.from).to.equal(wallet.address);
+      expect(tx.chainId).to.equal(1);
+    });
+
+    it("should write data to a contract", async () => {
+      sampleContract = new Contract(sampleContractAddress, contractABI, signer);
+
+      const action = sampleContract.setValue("from WalletSigner");
+      await confirmNewValue(action, "from WalletSigner");
+    });
+  });
+
+  describe("JsonRpcSigner", () => {
+    let signer;
+
+    beforeEach("", async () => {
+      const [address] = await provider.listAccounts();
+      signer = new JsonRpcSigner(address);
+    });
+
+    it("should throw error when created without an address", async () => {
+      expect(() => new JsonRpcSigner()).to.throw();
+      expect(() => new JsonRpcSigner("0x1234")).to.throw();
+    });
+
+    it("should get the address", async () => {
+      expect(await signer.getAddress()).to.equal(wallet.address);
+    });
+
+    it("should sign a message", async () => {
+      const signature = await signer.signMessage("Hello World!");
+      expect(ethers.utils.verifyMessage("Hello World!", signature)).to.equal(
+        wallet.address
+      );
+    });
+
+    it("should send a transaction", async () => {
+      const hash = await signer.sendTransaction({
+        to: wallet.address,
+        value: 1,
+      });
+
+      const receipt = await provider.waitForTransaction(hash);
+      expect(receipt.from).to.equal(wallet.address);
+    });
+
+    it("should write data to a contract", async () => {
+      sampleContract = new Contract(sampleContractAddress, contractABI);
+      sampleContract.setWallet(signer);
+
+      const action = sampleContract.setValue("from JsonRpcSigner");
+      await confirmNewValue(action, "from JsonRpcSigner");
+    });
+  });
+
+  describe("EthersSigner", () => {
+    it("should keep ethers.js wallets", async () => {
+      const ethersSigner = toEthersSigner(wallet, provider);
+      expect(ethersSigner).not.to.be.an.instanceof(EthersSigner);
+      expect(ethersSigner.provider).to.equal(provider);
+    });
+
+    it("should bridge Tasit signers", async () => {
+      const signer = new WalletSigner(wallet);
+      const ethersSigner = toEthersSigner(signer, provider);
+
+      expect(ethersSigner).to.be.an.instanceof(EthersSigner);
+      expect(Utils.isEthersJsSigner(ethersSigner)).to.be.true;
+      expect(ethersSigner.getSigner()).to.equal(signer);
+      expect(await ethersSigner.getAddress()).to.equal(wallet.address);
+    });
+
+    it("should trigger Action error event when the signer fails", async () => {
+      const signer = new WalletSigner(wallet);
+      signer.signTransaction = async () => {
+        throw new Error(`Signer is locked`);
+      };
+
+      sampleContract = new Contract(sampleContractAddress, contractABI, signer);
+
+      const errorListener = sinon.fake();
+      const action = sampleContract.setValue("hello world");
+      action.on("error", errorListener);
+
+      await action.waitForNonceToUpdate();
+      action.unsubscribe();
+
+      expect(errorListener.callCount).to.equal(1);
+      const { error } = errorListener.getCall(0).args[0];
+      expect(error.message).to.equal(`Action with error: Signer is locked`);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+import Utils from "../contract/Utils";
+
+// Tasit signer interface:
+//  - getAddress(): Promise<address>
+//  - signTransaction(tx): Promise<raw signed tx>
+//    `tx` has all fields filled in (nonce, gasLimit, gasPrice, chainId, to, value, data)
+//  - signMessage(message): Promise<signature>
+//  - sendTransaction(tx): Promise<tx hash> (optional)
+//    When present, it's used instead of signTransaction (e.g. node-managed accounts)
+//
+// Adapter for an ethers.js wallet (e.g. created by `tasit-account`)
+export class WalletSigner {
+  #wallet;
+
+  constructor(wallet) {
+    if (!Utils.isEthersJsSigner(wallet) || typeof wallet.sign !== "function")
+      throw new Error(`Cannot create a WalletSigner without a wallet`);
+
+    this.#wallet = wallet;
+  }
+
+  getAddress = async () => {
+    return this.#wallet.address;
+  };
+
+  signTransaction = async tx => {
+    return this.#wallet.sign(tx);
+  };
+
+  signMessage = async message => {
+    return this.#wallet.signMessage(message);
+  };
+}
+
+export default WalletSigner;
@@ -1,6 +1,10 @@
 import { expect } from "chai";
 import { ethers } from "ethers";
 
+// Note: The account that deploys the tasit-contracts (ganache's first account)
+export const ownerPrivKey =
+  "0x11d943d7649fbdeb146dc57bd9cfc80b086bfab2330c7b25651dbaf382392f60";
+
 export const waitForEthersEvent = async (eventEmitter, eventName, callback) => {
   return new Promise(function(resolve, reject) {
     eventEmitter.on(eventName, (...args) => {
@@ -11,6 +15,20 @@ export const waitForEthersEvent = async (eventEmitter, eventName, callback) => {
   });
 };
 
+// Resolves to the error of the next error event of an Action (or Contract)
+export const waitForError = subscription => {
+  return new Promise(resolve => {
+    subscription.on("error", message => resolve(message.error));
+  });
+};
+
+// Resolves to the data of the next message of the event
+export const waitForEvent = (subscription, eventName) => {
+  return new Promise(resolve => {
+    subscription.once(eventName, message => resolve(message.data));
+  });
+};
+
 const mineOneBlock = async provider => {
   await provider.send("evm_increaseTime", [1]);
   await provider.send("evm_mine", []);
@@ -61,7 +79,10 @@ export const toBN = ethersBN => {
 };
 
 export default {
+  ownerPrivKey,
   waitForEthersEvent,
+  waitForError,
+  waitForEvent,
   mineBlocks,
   createSnapshot,
   revertFromSnapshot,
@@ -13,19 +13,25 @@ global.sinon = sinon;
 
 // Helpers
 import {
+  ownerPrivKey,
   mineBlocks,
   createSnapshot,
   revertFromSnapshot,
   wait,
   waitForEthersEvent,
+  waitForError,
+  waitForEvent,
   toBN,
   confirmBalances,
 } from "./helpers";
+global.ownerPrivKey = ownerPrivKey;
 global.mineBlocks = mineBlocks;
 global.createSnapshot = createSnapshot;
 global.revertFromSnapshot = revertFromSnapshot;
 global.wait = wait;
 global.waitForEthersEvent = waitForEthersEvent;
+global.waitForError = waitForError;
+global.waitForEvent = waitForEvent;
 global.toBN = toBN;
 global.confirmBalances = confirmBalances;
 
@@ -0,0 +1,61 @@
+pragma solidity ^0.5.0;
+
+import "openzeppelin-solidity/contracts/cryptography/ECDSA.sol";
+
+// Relays calls signed by accounts without ETH (meta-transactions)
+// The relayer pays for the gas, the signer is appended to the calldata (see MetaTxRecipient)
+contract Forwarder {
+  using ECDSA for bytes32;
+
+  event Forwarded(address indexed signer, address indexed to, uint256 nonce);
+
+  mapping(address => uint256) public nonces;
+
+  // Note: It's part of the signed hash, so a meta-transaction can't be replayed
+  // on another chain with a Forwarder at the same address
+  uint256 public chainId;
+
+  constructor(uint256 _chainId) public {
+    chainId = _chainId;
+  }
+
+  function getHash(
+    address signer,
+    address to,
+    bytes memory data,
+    uint256 nonce,
+    uint256 expiry
+  ) public view returns(bytes32) {
+    return keccak256(abi.encodePacked(chainId, address(this), signer, to, data, nonce, expiry));
+  }
+
+  function forward(
+    address signer,
+    address to,
+    bytes memory data,
+    uint256 nonce,
+    uint256 expiry,
+    bytes memory signature
+  ) public returns(bytes memory) {
+    require(now <= expiry, "Meta-transaction expired");
+    require(nonce == nonces[signer], "Invalid meta-transaction nonce");
+
+    bytes32 hash = getHash(signer, to, data, nonce, expiry).toEthSignedMessageHash();
+    require(hash.recover(signature) == signer, "Invalid meta-transaction signature");
+
+    nonces[signer] = nonce + 1;
+
+    (bool success, bytes memory returnData) = to.call(abi.encodePacked(data, signer));
+
+    // Note: The revert data of the call is kept, so the reason reaches the signer
+    if (!success) {
+      assembly {
+        revert(add(returnData, 32), mload(returnData))
+      }
+    }
+
+    emit Forwarded(signer, to, nonce);
+
+    return returnData;
+  }
+}
@@ -0,0 +1,10 @@
+pragma solidity ^0.5.0;
+
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20Detailed.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20Mintable.sol";
+
+contract FullERC20 is ERC20Detailed, ERC20Mintable {
+  constructor() public ERC20Detailed("Full ERC20", "FERC20", 18) {
+
+  }
+}
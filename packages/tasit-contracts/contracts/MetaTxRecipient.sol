@@ -0,0 +1,22 @@
+pragma solidity ^0.5.0;
+
+// Base for contracts that accept meta-transactions from a trusted Forwarder
+contract MetaTxRecipient {
+  address public trustedForwarder;
+
+  constructor(address forwarder) public {
+    trustedForwarder = forwarder;
+  }
+
+  // The signer of the meta-transaction when called by the forwarder, msg.sender otherwise
+  function _msgSender() internal view returns(address sender) {
+    if (msg.sender != trustedForwarder || msg.data.length < 20) return msg.sender;
+
+    // Note: The forwarder appends the signer (20 bytes) to the calldata
+    bytes memory data = msg.data;
+    uint256 length = msg.data.length;
+    assembly {
+      sender := and(mload(add(data, length)), 0xffffffffffffffffffffffffffffffffffffffff)
+    }
+  }
+}
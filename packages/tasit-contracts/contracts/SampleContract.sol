@@ -26,12 +26,12 @@ contract SampleContract {
   }
 
   function revertRead() public pure returns(bool) {
-    require(false);
+    require(false, "revertRead always reverts");
     return false;
   }
 
   function revertWrite(string memory value) public {
-    require(false);
+    require(false, "revertWrite always reverts");
     _value = value;
   }
 
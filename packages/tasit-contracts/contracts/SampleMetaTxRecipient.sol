@@ -0,0 +1,26 @@
+pragma solidity ^0.5.0;
+
+import "./MetaTxRecipient.sol";
+
+contract SampleMetaTxRecipient is MetaTxRecipient {
+  event ValueChanged(address indexed author, string newValue);
+
+  mapping(address => string) _values;
+
+  constructor(address forwarder) MetaTxRecipient(forwarder) public {}
+
+  function getValue(address author) public view returns(string memory) {
+    return _values[author];
+  }
+
+  function setValue(string memory value) public {
+    address author = _msgSender();
+    emit ValueChanged(author, value);
+    _values[author] = value;
+  }
+
+  function revertWrite(string memory value) public {
+    _values[_msgSender()] = value;
+    require(false, "revertWrite always reverts");
+  }
+}
@@ -0,0 +1,23 @@
+var Forwarder = artifacts.require("./Forwarder.sol");
+var SampleMetaTxRecipient = artifacts.require("./SampleMetaTxRecipient.sol");
+
+// Note: Deployed by the last account, so their addresses don't depend on
+// how many contracts the first one deploys (e.g. Decentraland's)
+// Note: The chain id of the Forwarder is the network id, like ethers.js does
+// for JSON-RPC nodes (ganache doesn't support eth_chainId)
+module.exports = function(deployer, network, accounts) {
+  var from = accounts[accounts.length - 1];
+
+  deployer
+    .then(function() {
+      return web3.eth.net.getId();
+    })
+    .then(function(chainId) {
+      return deployer.deploy(Forwarder, chainId, { from: from });
+    })
+    .then(function() {
+      return deployer.deploy(SampleMetaTxRecipient, Forwarder.address, {
+        from: from,
+      });
+    });
+};
@@ -0,0 +1,26 @@
+const FullERC20 = artifacts.require("./FullERC20.sol");
+
+// Note: FullERC20 isn't deployed by the migrations so the addresses of the
+// contracts deployed after it (e.g. Decentraland) don't change
+contract("FullERC20", function(accounts) {
+  const [owner, ana] = accounts;
+  let fullERC20;
+
+  beforeEach(async function() {
+    fullERC20 = await FullERC20.new({ from: owner });
+  });
+
+  it("should get the token name, symbol and decimals", async function() {
+    assert.equal(await fullERC20.name(), "Full ERC20");
+    assert.equal(await fullERC20.symbol(), "FERC20");
+    assert.equal((await fullERC20.decimals()).toNumber(), 18);
+  });
+
+  it("should mint tokens", async function() {
+    await fullERC20.mint(ana, 1000, { from: owner });
+
+    const balance = await fullERC20.balanceOf(ana);
+
+    assert.equal(balance.toNumber(), 1000, "Tokens weren't minted.");
+  });
+});
@@ -40,11 +40,15 @@ contract("SampleContract", function(accounts) {
   });
 
   it("should revert on read", async function() {
-    await expect(sampleContract.revertRead()).to.be.rejected;
+    await expect(sampleContract.revertRead()).to.be.rejectedWith(
+      "revertRead always reverts"
+    );
   });
 
   it("should revert on write", async function() {
-    await expect(sampleContract.revertWrite("some string")).to.be.rejected;
+    await expect(sampleContract.revertWrite("some string")).to.be.rejectedWith(
+      "revertWrite always reverts"
+    );
   });
 
   // Note that this is different behavior from ethers.js
@@ -19,7 +19,6 @@ import {
   createSnapshot,
   revertFromSnapshot,
   confirmBalances,
-  gasParams,
   setupWallets,
   addressesAreEqual,
   bigNumberify,
@@ -132,8 +131,7 @@ describe("Decentraland tasit app test cases (ropsten)", () => {
       manaContract.setWallet(ephemeralWallet);
       const approvalAction = manaContract.approve(
         MARKETPLACE_ADDRESS,
-        manaAmountForShopping,
-        gasParams
+        manaAmountForShopping
       );
       await approvalAction.waitForNonceToUpdate();
 
@@ -236,8 +234,7 @@ describe("Decentraland tasit app test cases (ropsten)", () => {
         nftAddress,
         `${assetId}`,
         `${priceInWei}`,
-        `${fingerprint}`,
-        gasParams
+        `${fingerprint}`
       );
 
       await executeOrderAction.waitForNonceToUpdate();
@@ -8,7 +8,6 @@ import {
   createSnapshot,
   revertFromSnapshot,
   confirmBalances,
-  gasParams,
   setupContracts,
   setupWallets,
   duration,
@@ -120,8 +119,7 @@ describe("Decentraland", () => {
         estateContract.setWallet(sellerWallet);
         const marketplaceApprovalBySeller = estateContract.setApprovalForAll(
           marketplaceContract.getAddress(),
-          true,
-          gasParams
+          true
         );
         await marketplaceApprovalBySeller.waitForNonceToUpdate();
       }
@@ -143,8 +141,7 @@ describe("Decentraland", () => {
         estateContract.getAddress(),
         assetId,
         priceInWei,
-        expireAt,
-        gasParams
+        expireAt
       );
       await createOrder.waitForNonceToUpdate();
 
@@ -154,8 +151,7 @@ describe("Decentraland", () => {
         estateContract.getAddress(),
         assetId,
         priceInWei,
-        fingerprint.toString(),
-        gasParams
+        fingerprint.toString()
       );
       await executeOrder.waitForNonceToUpdate();
 
@@ -178,8 +174,7 @@ describe("Decentraland", () => {
               estateContract.getAddress(),
               assetId,
               priceInWei,
-              expireAt,
-              gasParams
+              expireAt
             );
             await createOrder.waitForNonceToUpdate();
           }
@@ -246,8 +241,7 @@ describe("Decentraland", () => {
           estateContract.getAddress(),
           assetId,
           priceInWei,
-          fingerprint.toString(),
-          gasParams
+          fingerprint.toString()
         );
         await executeOrder.waitForNonceToUpdate();
 
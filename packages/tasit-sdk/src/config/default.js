@@ -11,6 +11,11 @@ const development = {
   events: {
     timeout: 2000,
   },
+  // Note: ganache underestimates the gas of calls between contracts (e.g. LAND proxy),
+  // so the transaction runs out of gas and fails as a revert
+  gas: {
+    limitMultiplier: 1.5,
+  },
 };
 
 module.exports = development;
@@ -7,11 +7,10 @@ import {
   duration,
   createEstatesFromParcels,
   getEstateSellOrder,
-  gasParams,
 } from "../testHelpers/helpers";
 import { Action } from "../TasitSdk";
 import config from "../config/default";
-const { ConfigLoader } = Action;
+const { ConfigLoader, ActionSequence } = Action;
 
 // It's likely that script won't be necessary after 0.1.0 version of tasit demo app
 // Use npx babel-node to run this
@@ -45,26 +44,38 @@ const { ConfigLoader } = Action;
   );
 
   estateContract.setWallet(sellerWallet);
-  const marketplaceApprovalBySeller = estateContract.setApprovalForAll(
-    marketplaceContract.getAddress(),
-    true,
-    gasParams
-  );
-  await marketplaceApprovalBySeller.waitForNonceToUpdate();
-
   marketplaceContract.setWallet(sellerWallet);
-  for (let assetId of estateIds) {
-    const priceInWei = ONE.toString();
-    const expireAt = Date.now() + duration.years(1);
-    const createOrder = marketplaceContract.createOrder(
-      estateContract.getAddress(),
-      assetId,
-      priceInWei,
-      expireAt,
-      gasParams
-    );
-    await createOrder.waitForNonceToUpdate();
-  }
+
+  const approval = {
+    name: "Approve the marketplace",
+    run: () =>
+      estateContract.setApprovalForAll(marketplaceContract.getAddress(), true),
+  };
+
+  const createOrders = estateIds.map(assetId => ({
+    name: `Create a sell order for estate ${assetId}`,
+    run: () => {
+      const priceInWei = ONE.toString();
+      const expireAt = Date.now() + duration.years(1);
+      return marketplaceContract.createOrder(
+        estateContract.getAddress(),
+        assetId,
+        priceInWei,
+        expireAt
+      );
+    },
+  }));
+
+  const sequence = new ActionSequence([approval, ...createOrders]);
+  sequence.on("progress", message => {
+    const { name, stage } = message.data;
+    if (stage === "completed") console.log(`${name}: done`);
+  });
+  sequence.on("error", message => {
+    const { completed } = message.error;
+    console.error(`${message.error.message} (done: ${completed.length})`);
+  });
+  await sequence.run();
 
   const orders = [];
   for (let id of estateIds) {
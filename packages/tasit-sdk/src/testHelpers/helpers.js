@@ -44,14 +44,6 @@ const sellerPrivKey =
 const buyerPrivKey =
   "0x4f09311114f0ff4dfad0edaa932a3e01a4ee9f34da2cbd087aa0e6ffcb9eb322";
 
-// TODO: Go deep on gas handling.
-// Without that, VM returns a revert error instead of out of gas error.
-// See: https://github.com/tasitlabs/TasitSDK/issues/173
-const gasParams = {
-  gasLimit: 7e6,
-  gasPrice: 1e9,
-};
-
 const setupWallets = () => {
   const ownerWallet = createFromPrivateKey(ownerPrivKey);
   const sellerWallet = createFromPrivateKey(sellerPrivKey);
@@ -92,8 +84,7 @@ const setupContracts = async ownerWallet => {
 
   const landProxyUpgrade = landProxyContract.upgrade(
     LAND_ADDRESS,
-    ownerWallet.address,
-    gasParams
+    ownerWallet.address
   );
   await landProxyUpgrade.waitForNonceToUpdate();
 
@@ -105,14 +96,12 @@ const setupContracts = async ownerWallet => {
   await estateInitialize.waitForNonceToUpdate();
 
   const landInitialize = landProxyContractWithLandABI.initialize(
-    ownerWallet.address,
-    gasParams
+    ownerWallet.address
   );
   await landInitialize.waitForNonceToUpdate();
 
   const landEstateSetup = landProxyContractWithLandABI.setEstateRegistry(
-    estateContract.getAddress(),
-    gasParams
+    estateContract.getAddress()
   );
   await landEstateSetup.waitForNonceToUpdate();
 
@@ -142,8 +131,7 @@ const createParcels = async (landContract, parcels, beneficiary) => {
   const parcelsAssignment = landContract.assignMultipleParcels(
     xArray,
     yArray,
-    beneficiary.address,
-    gasParams
+    beneficiary.address
   );
   await parcelsAssignment.waitForNonceToUpdate();
 };
@@ -168,8 +156,7 @@ const createEstate = async (
     xArray,
     yArray,
     ownerWallet.address,
-    estateName,
-    gasParams
+    estateName
   );
 
   const estateId = await new Promise(function(resolve, reject) {
@@ -320,7 +307,6 @@ export {
   createSnapshot,
   revertFromSnapshot,
   confirmBalances,
-  gasParams,
   setupWallets,
   setupContracts,
   duration,